@@ -0,0 +1,187 @@
+/**
+ * Pure data model of the letter grid
+ * Holds letters and spore counts in plain cell objects with no Phaser dependency
+ */
+class BoardState {
+    /**
+     * Create an empty board
+     * @param {number} size - Number of rows and columns
+     */
+    constructor(size) {
+        this.size = size;
+        this.nextCellId = 1;
+
+        // 2D array of cells indexed [row][col], null for empty positions
+        this.cells = Array(size).fill().map(() => Array(size).fill(null));
+    }
+
+    /**
+     * Create a cell at the given position
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {string} letter - Letter on the cell
+     * @returns {Object} The new cell {id, row, col, letter, sporeCount}
+     */
+    createCell(row, col, letter) {
+        const cell = {
+            id: this.nextCellId++,
+            row: row,
+            col: col,
+            letter: letter,
+            sporeCount: 0
+        };
+
+        this.cells[row][col] = cell;
+        return cell;
+    }
+
+    /**
+     * Check if a position is on the board
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {boolean} True if in bounds
+     */
+    inBounds(row, col) {
+        return row >= 0 && row < this.size && col >= 0 && col < this.size;
+    }
+
+    /**
+     * Get the cell at a position
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {Object|null} The cell or null if empty or out of bounds
+     */
+    getCell(row, col) {
+        if (!this.inBounds(row, col)) {
+            return null;
+        }
+        return this.cells[row][col];
+    }
+
+    /**
+     * Check whether a cell is still on the board at its recorded position
+     * @param {Object} cell - The cell to check
+     * @returns {boolean} True if the cell is on the board
+     */
+    contains(cell) {
+        return !!cell && this.getCell(cell.row, cell.col) === cell;
+    }
+
+    /**
+     * Remove a cell from the board
+     * @param {Object} cell - The cell to remove
+     */
+    removeCell(cell) {
+        if (this.contains(cell)) {
+            this.cells[cell.row][cell.col] = null;
+        }
+    }
+
+    /**
+     * Remove every cell from the board
+     */
+    clear() {
+        this.cells = Array(this.size).fill().map(() => Array(this.size).fill(null));
+    }
+
+    /**
+     * Check if two cells are adjacent (including diagonally)
+     * @param {Object} cell1 - First cell
+     * @param {Object} cell2 - Second cell
+     * @returns {boolean} True if cells are adjacent
+     */
+    isAdjacent(cell1, cell2) {
+        if (!cell1 || !cell2) return false;
+
+        const rowDiff = Math.abs(cell1.row - cell2.row);
+        const colDiff = Math.abs(cell1.col - cell2.col);
+
+        // Adjacent if not the same cell and both row/col diff <= 1
+        return (cell1 !== cell2) && (rowDiff <= 1 && colDiff <= 1);
+    }
+
+    /**
+     * Call a function for every non-empty cell
+     * @param {Function} callback - Called with (cell, row, col)
+     */
+    forEachCell(callback) {
+        for (let row = 0; row < this.size; row++) {
+            for (let col = 0; col < this.size; col++) {
+                const cell = this.cells[row][col];
+                if (cell) {
+                    callback(cell, row, col);
+                }
+            }
+        }
+    }
+
+    /**
+     * Count the cells that match a test
+     * @param {Function} predicate - Called with each non-empty cell
+     * @returns {number} Number of matching cells
+     */
+    countCells(predicate) {
+        let count = 0;
+        this.forEachCell(cell => {
+            if (predicate(cell)) count++;
+        });
+        return count;
+    }
+
+    /**
+     * Get the letters of the board as a 2D array
+     * @returns {Array<Array<string|null>>} Letters indexed [row][col]
+     */
+    getLetters() {
+        return this.cells.map(row => row.map(cell => cell ? cell.letter : null));
+    }
+
+    /**
+     * Check if the board has any empty positions
+     * @returns {boolean} True if at least one position is empty
+     */
+    hasEmptyCells() {
+        return this.cells.some(row => row.some(cell => cell === null));
+    }
+
+    /**
+     * Move all cells in a column down to fill gaps left by removed cells
+     * @param {number} col - The column to compact
+     * @returns {Object[]} Moves made, as {cell, fromRow, toRow}
+     */
+    compactColumn(col) {
+        const moves = [];
+
+        for (let destRow = this.size - 1; destRow >= 0; destRow--) {
+            // If this cell is empty, find a non-empty cell above it to move down
+            if (this.cells[destRow][col] !== null) continue;
+
+            for (let srcRow = destRow - 1; srcRow >= 0; srcRow--) {
+                const cell = this.cells[srcRow][col];
+                if (cell !== null) {
+                    this.cells[destRow][col] = cell;
+                    this.cells[srcRow][col] = null;
+                    cell.row = destRow;
+                    moves.push({ cell, fromRow: srcRow, toRow: destRow });
+                    break;
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    /**
+     * Count the empty positions at the top of a column
+     * @param {number} col - The column to check
+     * @returns {number} Number of empty rows before the first cell
+     */
+    countEmptyAtTop(col) {
+        let emptyCount = 0;
+        for (let row = 0; row < this.size; row++) {
+            if (this.cells[row][col] !== null) break;
+            emptyCount++;
+        }
+        return emptyCount;
+    }
+}
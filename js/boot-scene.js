@@ -0,0 +1,34 @@
+/**
+ * First scene: loads the level files and starts the dictionary download,
+ * then hands over to the main menu
+ */
+class BootScene extends Phaser.Scene {
+    constructor() {
+        super('BootScene');
+    }
+
+    create() {
+        this.add.text(400, 300, 'Loading...', {
+            fontFamily: 'Arial',
+            fontSize: '28px',
+            color: '#aaddaa'
+        }).setOrigin(0.5);
+
+        // One validator serves every game, so the dictionary downloads once while the menu is open
+        if (!this.registry.has('wordValidator')) {
+            this.registry.set('wordValidator', new WordValidator());
+        }
+
+        // Level definitions are read from levels/ before anything can be played
+        LevelLoader.load().then(() => {
+            // A shared replay link (?replay=) opens straight into playback, if its level is one we have
+            const replay = Replay.getFromUrl();
+            const levels = LevelLoader.levels || [];
+            if (replay && (replay.start.daily || levels.some(level => level.levelNumber === replay.start.levelNumber))) {
+                this.scene.start('GameScene', { replay });
+            } else {
+                this.scene.start('MenuScene');
+            }
+        });
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Campaign progress saved in localStorage
+ * Records the best score and star rating of every completed level and works
+ * out which levels are unlocked. Replaces the old sporesCompletedLevel1 flag,
+ * which is migrated the first time progress is loaded.
+ */
+class CampaignProgress {
+    /**
+     * Create the progress record, loading anything saved before
+     */
+    constructor() {
+        // Completed levels keyed by level number: {stars, bestScore}
+        this.levels = {};
+        this.load();
+    }
+
+    /**
+     * Load saved progress, migrating the legacy tutorial flag
+     */
+    load() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(CampaignProgress.STORAGE_KEY));
+            if (saved && saved.levels) {
+                this.levels = saved.levels;
+            }
+        } catch (error) {
+            console.warn('Saved campaign progress is unreadable, starting fresh:', error);
+            this.levels = {};
+        }
+
+        if (localStorage.getItem(CampaignProgress.LEGACY_TUTORIAL_KEY) === 'true') {
+            if (!this.levels[1]) {
+                this.levels[1] = { stars: 1, bestScore: 0 };
+            }
+            localStorage.removeItem(CampaignProgress.LEGACY_TUTORIAL_KEY);
+            this.save();
+        }
+    }
+
+    /**
+     * Write progress to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') return;
+
+        localStorage.setItem(CampaignProgress.STORAGE_KEY, JSON.stringify({
+            version: CampaignProgress.VERSION,
+            levels: this.levels
+        }));
+    }
+
+    /**
+     * Get the saved result for a level
+     * @param {number} levelNumber - Level number
+     * @returns {Object|null} {stars, bestScore}, or null if the level was never completed
+     */
+    getRecord(levelNumber) {
+        return this.levels[levelNumber] || null;
+    }
+
+    /**
+     * Check if a level has been completed
+     * @param {number} levelNumber - Level number
+     * @returns {boolean} True if completed at least once
+     */
+    isCompleted(levelNumber) {
+        return !!this.levels[levelNumber];
+    }
+
+    /**
+     * Record a completed level, keeping the best score and star rating
+     * @param {number} levelNumber - Level number
+     * @param {number} score - Final score
+     * @param {number} stars - Stars earned (1-3)
+     * @returns {boolean} True if this is a new best score
+     */
+    recordCompletion(levelNumber, score, stars) {
+        const record = this.levels[levelNumber];
+        const isNewBest = !record || score > record.bestScore;
+
+        this.levels[levelNumber] = {
+            stars: Math.max(stars, record ? record.stars : 0),
+            bestScore: Math.max(score, record ? record.bestScore : 0)
+        };
+        this.save();
+
+        return isNewBest;
+    }
+
+    /**
+     * Check if a level can be played
+     * The first level is always open; others open when the level before them
+     * (the one whose nextLevel points at them) or their unlockAfter level is completed.
+     * @param {Object} level - Level definition
+     * @param {Object[]} levels - Every level, sorted by level number
+     * @returns {boolean} True if unlocked
+     */
+    isUnlocked(level, levels) {
+        if (levels.length === 0 || level.levelNumber === levels[0].levelNumber) {
+            return true;
+        }
+        if (level.unlockAfter !== undefined && this.isCompleted(level.unlockAfter)) {
+            return true;
+        }
+
+        return levels.some(other => other.nextLevel === level.levelNumber && this.isCompleted(other.levelNumber));
+    }
+
+    /**
+     * Get the level to start on: the first unlocked level not yet completed
+     * @param {Object[]} levels - Every level, sorted by level number
+     * @returns {number} Level number
+     */
+    getResumeLevel(levels) {
+        const level = levels.find(candidate => this.isUnlocked(candidate, levels) && !this.isCompleted(candidate.levelNumber));
+        return level ? level.levelNumber : levels[0].levelNumber;
+    }
+
+    /**
+     * Total stars earned across the campaign
+     * @returns {number} Star count
+     */
+    getTotalStars() {
+        return Object.values(this.levels).reduce((sum, record) => sum + record.stars, 0);
+    }
+
+    /**
+     * Rate a completed level: one star for finishing, one more for each starScores threshold reached
+     * @param {Object} level - Level definition
+     * @param {number} score - Final score
+     * @returns {number} Stars from 1 to 3
+     */
+    static getStarRating(level, score) {
+        const thresholds = (level && level.starScores) || [];
+        return 1 + thresholds.filter(threshold => score >= threshold).length;
+    }
+}
+
+CampaignProgress.STORAGE_KEY = 'sporesProgress';
+CampaignProgress.LEGACY_TUTORIAL_KEY = 'sporesCompletedLevel1';
+CampaignProgress.VERSION = 1;
+CampaignProgress.MAX_STARS = 3;
@@ -0,0 +1,286 @@
+/**
+ * Daily Challenge screen
+ * A DOM overlay with today's challenge, the player's streak and a month
+ * calendar of past results. Each day can be played once; days already played
+ * show their score instead.
+ */
+class DailyCalendar {
+    /**
+     * Create the calendar screen
+     * @param {Phaser.Scene} scene - The daily scene that owns the overlay
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.container = null;
+        this.today = DailyChallenge.getDateKey();
+
+        // First day of the month on show, as 'YYYY-MM-DD'
+        this.month = `${this.today.slice(0, 7)}-01`;
+    }
+
+    /**
+     * Show the screen, replacing any open copy
+     */
+    show() {
+        this.hide();
+
+        const daily = new DailyChallenge();
+
+        const container = document.createElement('div');
+        container.className = 'daily-calendar-container';
+        container.style.position = 'absolute';
+        container.style.top = '50%';
+        container.style.left = '50%';
+        container.style.transform = 'translate(-50%, -50%)';
+        container.style.backgroundColor = 'rgba(10, 26, 10, 0.95)';
+        container.style.color = 'white';
+        container.style.padding = '20px';
+        container.style.borderRadius = '10px';
+        container.style.textAlign = 'center';
+        container.style.fontFamily = 'Arial, sans-serif';
+        container.style.boxShadow = '0 0 20px rgba(255, 170, 51, 0.5)';
+        container.style.maxHeight = '90vh';
+        container.style.overflowY = 'auto';
+        container.style.zIndex = '1001';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Daily Challenge';
+        title.style.color = '#ffaa33';
+        title.style.margin = '0 0 5px 0';
+        container.appendChild(title);
+
+        const streak = document.createElement('div');
+        streak.textContent = `Streak: ${daily.getCurrentStreak(this.today)} · Best: ${daily.getBestStreak()} · Days played: ${Object.keys(daily.results).length}`;
+        streak.style.color = '#ffd700';
+        streak.style.marginBottom = '15px';
+        container.appendChild(streak);
+
+        container.appendChild(this.createTodaySection(daily));
+        container.appendChild(this.createMonthHeader());
+        container.appendChild(this.createMonthGrid(daily));
+
+        const closeButton = this.createButton('Back', '#555555');
+        closeButton.style.display = 'block';
+        closeButton.style.margin = '15px auto 0';
+        closeButton.onclick = () => this.scene.scene.start('MenuScene');
+        container.appendChild(closeButton);
+
+        document.body.appendChild(container);
+        this.container = container;
+    }
+
+    /**
+     * Create the part of the screen about today's challenge
+     * @param {DailyChallenge} daily - Saved daily results
+     * @returns {HTMLElement} Today's status, with a button to play or continue it
+     */
+    createTodaySection(daily) {
+        const section = document.createElement('div');
+        section.style.marginBottom = '15px';
+
+        const result = daily.getResult(this.today);
+        const savedGame = GameSave.load(null);
+
+        // An attempt left in progress can be carried on, but not started again
+        if (savedGame && savedGame.daily === this.today) {
+            const button = this.createButton("Continue Today's Challenge", '#4caf50');
+            button.onclick = () => this.scene.scene.start('GameScene', { resume: true });
+            section.appendChild(button);
+            section.appendChild(this.createNote(`Score so far: ${savedGame.score}`));
+            return section;
+        }
+
+        if (result) {
+            const label = result.finished ? "Today's score" : "Today's attempt ended at";
+            const score = document.createElement('div');
+            score.textContent = `${label}: ${result.score}`;
+            score.style.fontSize = '20px';
+            score.style.fontWeight = 'bold';
+            section.appendChild(score);
+            section.appendChild(this.createNote('Come back tomorrow for a new board.'));
+            return section;
+        }
+
+        const button = this.createButton("Play Today's Challenge", '#4caf50');
+        button.onclick = () => this.playToday(button);
+        section.appendChild(button);
+        section.appendChild(this.createNote(`${DailyChallenge.MAX_MOVES} moves, one attempt. Everyone gets the same board.`));
+        return section;
+    }
+
+    /**
+     * Create the month name with buttons to move between months
+     * @returns {HTMLElement} The header row
+     */
+    createMonthHeader() {
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.justifyContent = 'space-between';
+        header.style.alignItems = 'center';
+        header.style.marginBottom = '8px';
+
+        const previous = this.createButton('◀', '#555555');
+        previous.style.padding = '4px 12px';
+        previous.onclick = () => this.changeMonth(-1);
+        header.appendChild(previous);
+
+        const name = document.createElement('div');
+        name.textContent = DailyChallenge.parseDateKey(this.month).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        name.style.fontWeight = 'bold';
+        header.appendChild(name);
+
+        // There is nothing to see after the current month
+        const next = this.createButton('▶', '#555555');
+        next.style.padding = '4px 12px';
+        next.disabled = this.month >= `${this.today.slice(0, 7)}-01`;
+        next.style.opacity = next.disabled ? '0.4' : '1';
+        next.onclick = () => this.changeMonth(1);
+        header.appendChild(next);
+
+        return header;
+    }
+
+    /**
+     * Create the grid of days for the month on show, weeks starting on Monday
+     * @param {DailyChallenge} daily - Saved daily results
+     * @returns {HTMLElement} The calendar grid
+     */
+    createMonthGrid(daily) {
+        const grid = document.createElement('div');
+        grid.style.display = 'grid';
+        grid.style.gridTemplateColumns = 'repeat(7, 48px)';
+        grid.style.gap = '4px';
+        grid.style.justifyContent = 'center';
+
+        DailyCalendar.WEEKDAYS.forEach(weekday => {
+            const label = document.createElement('div');
+            label.textContent = weekday;
+            label.style.fontSize = '12px';
+            label.style.color = '#aaddaa';
+            grid.appendChild(label);
+        });
+
+        // Leave blanks before the 1st so it lands under its weekday
+        const firstDay = DailyChallenge.parseDateKey(this.month);
+        for (let i = 0; i < (firstDay.getDay() + 6) % 7; i++) {
+            grid.appendChild(document.createElement('div'));
+        }
+
+        for (let dateKey = this.month; dateKey.slice(0, 7) === this.month.slice(0, 7); dateKey = DailyChallenge.addDays(dateKey, 1)) {
+            grid.appendChild(this.createDayCell(dateKey, daily.getResult(dateKey)));
+        }
+
+        return grid;
+    }
+
+    /**
+     * Create one day of the calendar
+     * @param {string} dateKey - The day, as 'YYYY-MM-DD'
+     * @param {Object|null} result - That day's attempt, if it was played
+     * @returns {HTMLElement} The day cell
+     */
+    createDayCell(dateKey, result) {
+        const cell = document.createElement('div');
+        cell.style.height = '44px';
+        cell.style.borderRadius = '6px';
+        cell.style.border = dateKey === this.today ? '2px solid #ffff00' : '2px solid transparent';
+        cell.style.background = result ? (result.finished ? '#4caf50' : '#2e7d32') : '#333333';
+        cell.style.opacity = dateKey > this.today ? '0.4' : '1';
+        cell.style.fontSize = '14px';
+        cell.style.lineHeight = '1.2';
+        cell.style.paddingTop = '4px';
+        cell.style.boxSizing = 'border-box';
+
+        const day = document.createElement('div');
+        day.textContent = Number(dateKey.slice(8));
+        day.style.fontWeight = 'bold';
+        cell.appendChild(day);
+
+        if (result) {
+            const score = document.createElement('div');
+            score.textContent = result.score;
+            score.style.fontSize = '11px';
+            score.style.color = '#ffd700';
+            cell.appendChild(score);
+            cell.title = `${DailyChallenge.formatDate(dateKey)}: ${result.score} points, ${result.words} words${result.finished ? '' : ' (unfinished)'}`;
+        }
+
+        return cell;
+    }
+
+    /**
+     * Create a line of small print
+     * @param {string} text - The note
+     * @returns {HTMLElement} The note
+     */
+    createNote(text) {
+        const note = document.createElement('div');
+        note.textContent = text;
+        note.style.fontSize = '14px';
+        note.style.color = '#cccccc';
+        note.style.marginTop = '6px';
+        return note;
+    }
+
+    /**
+     * Create a plain button in the overlay style
+     * @param {string} text - Button label
+     * @param {string} color - Background colour
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(text, color) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '10px 20px';
+        button.style.background = color;
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.color = 'white';
+        button.style.fontSize = '16px';
+        button.style.cursor = 'pointer';
+        return button;
+    }
+
+    /**
+     * Start today's challenge once the daily's dictionary is ready
+     * Where no worker can hold the dictionary the deal searches it, so starting
+     * before it has loaded would give this player a different board.
+     * @param {HTMLButtonElement} button - The play button, disabled while waiting
+     */
+    playToday(button) {
+        const validator = this.scene.registry.get('wordValidator');
+        validator.setLanguagePack(LanguagePacks.getPackForLevel(DailyChallenge.createLevel(this.today)));
+
+        button.disabled = true;
+        button.textContent = 'Loading dictionary...';
+        validator.whenLoaded().then(() => {
+            // The player may have left the screen while waiting
+            if (this.container) {
+                this.scene.scene.start('GameScene', { daily: this.today });
+            }
+        });
+    }
+
+    /**
+     * Show an earlier or later month
+     * @param {number} offset - Months to move by
+     */
+    changeMonth(offset) {
+        const date = DailyChallenge.parseDateKey(this.month);
+        date.setMonth(date.getMonth() + offset);
+        this.month = DailyChallenge.getDateKey(date);
+        this.show();
+    }
+
+    /**
+     * Remove the screen
+     */
+    hide() {
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
+
+DailyCalendar.WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
@@ -0,0 +1,216 @@
+/**
+ * Daily Challenge results saved in localStorage
+ * Every calendar date has one shared board: the seed comes from the date and
+ * the word list and game parameters are fixed, so everyone playing that day gets
+ * the same starting letters and refills. Each date allows one scored attempt,
+ * recorded here by date along with the streak of consecutive days played.
+ */
+class DailyChallenge {
+    /**
+     * Create the results record, loading anything saved before
+     */
+    constructor() {
+        // Attempts keyed by date ('YYYY-MM-DD'): {score, words, cascades, finished}
+        this.results = {};
+        this.load();
+    }
+
+    /**
+     * Load saved results
+     */
+    load() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(DailyChallenge.STORAGE_KEY));
+            if (saved && saved.results) {
+                this.results = saved.results;
+            }
+        } catch (error) {
+            console.warn('Saved daily results are unreadable, starting fresh:', error);
+            this.results = {};
+        }
+    }
+
+    /**
+     * Write results to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') return;
+
+        localStorage.setItem(DailyChallenge.STORAGE_KEY, JSON.stringify({
+            version: DailyChallenge.VERSION,
+            results: this.results
+        }));
+    }
+
+    /**
+     * Get the attempt made on a date
+     * @param {string} dateKey - Date as 'YYYY-MM-DD'
+     * @returns {Object|null} {score, words, cascades, finished}, or null if that day wasn't played
+     */
+    getResult(dateKey) {
+        return this.results[dateKey] || null;
+    }
+
+    /**
+     * Check if a date's challenge has been started
+     * Starting it uses up the day's attempt, even if the game is never finished.
+     * @param {string} dateKey - Date as 'YYYY-MM-DD'
+     * @returns {boolean} True if attempted
+     */
+    hasPlayed(dateKey) {
+        return !!this.results[dateKey];
+    }
+
+    /**
+     * Record the attempt for a date as it stands
+     * @param {string} dateKey - Date as 'YYYY-MM-DD'
+     * @param {number} score - Score so far
+     * @param {Object} stats - {wordsFormed, cascadesCreated}
+     * @param {boolean} finished - Whether the attempt is over
+     */
+    recordResult(dateKey, score, stats, finished) {
+        this.results[dateKey] = {
+            score,
+            words: stats.wordsFormed,
+            cascades: stats.cascadesCreated,
+            finished
+        };
+        this.save();
+    }
+
+    /**
+     * Count the days played in a row up to today
+     * A streak that reached yesterday still counts until today is over.
+     * @param {string} today - Today's date as 'YYYY-MM-DD'
+     * @returns {number} Consecutive days played
+     */
+    getCurrentStreak(today = DailyChallenge.getDateKey()) {
+        let dateKey = this.hasPlayed(today) ? today : DailyChallenge.addDays(today, -1);
+        let streak = 0;
+        while (this.hasPlayed(dateKey)) {
+            streak++;
+            dateKey = DailyChallenge.addDays(dateKey, -1);
+        }
+        return streak;
+    }
+
+    /**
+     * Find the longest run of consecutive days ever played
+     * @returns {number} Days in the longest streak
+     */
+    getBestStreak() {
+        let best = 0;
+        Object.keys(this.results).forEach(dateKey => {
+            // Only count from the first day of each run
+            if (this.hasPlayed(DailyChallenge.addDays(dateKey, -1))) {
+                return;
+            }
+
+            let length = 0;
+            for (let day = dateKey; this.hasPlayed(day); day = DailyChallenge.addDays(day, 1)) {
+                length++;
+            }
+            best = Math.max(best, length);
+        });
+        return best;
+    }
+
+    /**
+     * Get the key for a date in the player's own time zone
+     * @param {Date} date - The date (defaults to now)
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    static getDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Turn a date key back into a date
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @returns {Date} Local midnight at the start of that date
+     */
+    static parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Move a date key forwards or back by whole days
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @param {number} days - Days to add (negative to go back)
+     * @returns {string} The new date key
+     */
+    static addDays(dateKey, days) {
+        const date = DailyChallenge.parseDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return DailyChallenge.getDateKey(date);
+    }
+
+    /**
+     * Format a date key for display, e.g. 'Oct 18, 2026'
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @returns {string} The formatted date
+     */
+    static formatDate(dateKey) {
+        return DailyChallenge.parseDateKey(dateKey).toLocaleDateString(undefined, {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+    }
+
+    /**
+     * Get the seed for a date's board
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @returns {string} The seed
+     */
+    static getSeed(dateKey) {
+        return `daily-${dateKey}`;
+    }
+
+    /**
+     * Build the level played on a date
+     * The daily isn't one of the level files; it is defined here and played
+     * through LevelManager like any other level.
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @returns {Object} Level definition
+     */
+    static createLevel(dateKey) {
+        return LevelLoader.normalize({
+            levelNumber: DailyChallenge.LEVEL_NUMBER,
+            name: `Daily Challenge · ${DailyChallenge.formatDate(dateKey)}`,
+            gridSize: DailyChallenge.GRID_SIZE,
+            objectives: [],
+            constraints: { maxMoves: DailyChallenge.MAX_MOVES },
+            undos: 0,
+            language: DailyChallenge.LANGUAGE,
+            parameters: { ...DailyChallenge.PARAMETERS },
+            tooltips: [
+                { text: `Everyone gets this board today. Score as much as you can in ${DailyChallenge.MAX_MOVES} moves!`, position: 'bottom' }
+            ]
+        }, null);
+    }
+}
+
+DailyChallenge.STORAGE_KEY = 'sporesDaily';
+DailyChallenge.VERSION = 1;
+
+// The daily's level number keeps it apart from the level files in saves and replays
+DailyChallenge.LEVEL_NUMBER = 1000;
+DailyChallenge.GRID_SIZE = 8;
+DailyChallenge.MAX_MOVES = 20;
+
+// Word list and engine parameters every player's daily uses, whatever their own settings
+DailyChallenge.LANGUAGE = 'en-twl';
+DailyChallenge.PARAMETERS = {
+    sporeCount: 8,
+    sporeThreshold: 2,
+    sporeDistribution: 1.5,
+    wordLengthFactor: 1.5,
+    minVowelRatio: 0.3,
+    maxVowelRatio: 0.55
+};
@@ -0,0 +1,16 @@
+/**
+ * Scene that shows the Daily Challenge calendar overlay
+ */
+class DailyScene extends Phaser.Scene {
+    constructor() {
+        super('DailyScene');
+    }
+
+    create() {
+        this.calendar = new DailyCalendar(this);
+        this.calendar.show();
+
+        // The overlay lives in the DOM, so it has to be removed by hand
+        this.events.once('shutdown', () => this.calendar.hide());
+    }
+}
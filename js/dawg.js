@@ -0,0 +1,401 @@
+/**
+ * Directed acyclic word graph (a minimised trie)
+ * Words that share prefixes share the path from the root, and words that share
+ * suffixes share the path to the end, so the 178k word dictionary fits in about
+ * 128k edges packed into a single Uint32Array.
+ *
+ * Each node is a run of consecutive edges, ordered by letter. An edge is one
+ * 32-bit integer:
+ *   bits 0-21  index of the child node's first edge (0 if the child has no edges)
+ *   bit 22     set on the last edge of a node
+ *   bit 23     set if following this edge completes a word
+ *   bits 24-31 index of the edge's letter in the alphabet
+ * Edge 0 is unused so that 0 can mean "no children"; the root starts at edge 1.
+ */
+class Dawg {
+    /**
+     * Wrap packed edges
+     * @param {Uint32Array} edges - Packed edges as described above
+     * @param {string} alphabet - Letters used by the edges, in index order
+     * @param {number} size - Number of words in the graph
+     */
+    constructor(edges, alphabet, size) {
+        this.edges = edges;
+        this.alphabet = alphabet;
+        this.size = size;
+
+        // Map letters back to their alphabet index for fast lookups
+        this.letterIndex = new Map();
+        for (let i = 0; i < alphabet.length; i++) {
+            this.letterIndex.set(alphabet[i], i);
+        }
+    }
+
+    /**
+     * Get the root node
+     * @returns {number} Index of the root's first edge, or 0 if the graph is empty
+     */
+    getRoot() {
+        return this.edges.length > Dawg.ROOT ? Dawg.ROOT : 0;
+    }
+
+    /**
+     * Find the edge for a letter in a node
+     * @param {number} node - Index of the node's first edge
+     * @param {string} letter - Letter to follow
+     * @returns {number} Index of the matching edge, or -1 if there is none
+     */
+    findEdge(node, letter) {
+        const index = this.letterIndex.get(letter);
+        if (node === 0 || node >= this.edges.length || index === undefined) return -1;
+
+        for (let i = node; ; i++) {
+            const edge = this.edges[i];
+            const edgeLetter = edge >>> Dawg.LETTER_SHIFT;
+            if (edgeLetter === index) return i;
+
+            // Edges are sorted by letter, so we can stop early
+            if (edgeLetter > index || (edge & Dawg.LAST_EDGE)) return -1;
+        }
+    }
+
+    /**
+     * Follow a string of letters from the root
+     * @param {string} prefix - Letters to follow
+     * @returns {Object|null} {node, terminal} where the prefix ends, or null if no word starts with it
+     */
+    walk(prefix) {
+        let node = this.getRoot();
+        let terminal = false;
+
+        for (const letter of prefix) {
+            const edgeIndex = this.findEdge(node, letter);
+            if (edgeIndex === -1) return null;
+
+            const edge = this.edges[edgeIndex];
+            node = edge & Dawg.CHILD_MASK;
+            terminal = (edge & Dawg.TERMINAL) !== 0;
+        }
+
+        return { node, terminal };
+    }
+
+    /**
+     * Check if a word is in the graph
+     * @param {string} word - The word
+     * @returns {boolean} True if the word is present
+     */
+    has(word) {
+        const end = this.walk(word);
+        return !!end && end.terminal;
+    }
+
+    /**
+     * Check if any word starts with a prefix
+     * @param {string} prefix - The prefix
+     * @returns {boolean} True if some word starts with the prefix
+     */
+    hasPrefix(prefix) {
+        return this.size > 0 && this.walk(prefix) !== null;
+    }
+
+    /**
+     * List words that start with a prefix, in alphabetical order
+     * @param {string} prefix - The prefix
+     * @param {number} limit - Maximum number of words to return
+     * @returns {string[]} Matching words, including the prefix itself if it is a word
+     */
+    completions(prefix, limit = Infinity) {
+        const results = [];
+        const start = this.walk(prefix);
+        if (!start || limit <= 0) return results;
+
+        if (start.terminal && prefix.length > 0) {
+            results.push(prefix);
+        }
+
+        const visit = (node, word) => {
+            for (let i = node; node !== 0 && results.length < limit; i++) {
+                const edge = this.edges[i];
+                const next = word + this.alphabet[edge >>> Dawg.LETTER_SHIFT];
+
+                if (edge & Dawg.TERMINAL) {
+                    results.push(next);
+                    if (results.length >= limit) return;
+                }
+                visit(edge & Dawg.CHILD_MASK, next);
+
+                if (edge & Dawg.LAST_EDGE) break;
+            }
+        };
+
+        visit(start.node, prefix);
+        return results;
+    }
+
+    /**
+     * List words matching a pattern, in alphabetical order
+     * '?' matches any single letter and '*' matches any run of letters (including none)
+     * @param {string} pattern - Pattern such as 'C?T' or 'UN*ED'
+     * @param {number} limit - Maximum number of words to return
+     * @returns {string[]} Matching words
+     */
+    wordsMatching(pattern, limit = Infinity) {
+        const results = new Set();
+        if (limit <= 0) return [];
+
+        // Visited states, so patterns with several '*' don't explore the same branch twice
+        const seen = new Set();
+
+        const visit = (node, terminal, position, word) => {
+            if (results.size >= limit) return;
+
+            const key = `${word}|${position}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            if (position === pattern.length) {
+                if (terminal && word.length > 0) results.add(word);
+                return;
+            }
+
+            const symbol = pattern[position];
+            if (symbol === '*') {
+                // Match no letters, then try matching one more letter
+                visit(node, terminal, position + 1, word);
+            }
+
+            if (symbol === '*' || symbol === '?') {
+                for (let i = node; node !== 0; i++) {
+                    const edge = this.edges[i];
+                    const nextPosition = symbol === '*' ? position : position + 1;
+                    visit(edge & Dawg.CHILD_MASK, (edge & Dawg.TERMINAL) !== 0, nextPosition,
+                        word + this.alphabet[edge >>> Dawg.LETTER_SHIFT]);
+
+                    if (edge & Dawg.LAST_EDGE) break;
+                }
+                return;
+            }
+
+            const edgeIndex = this.findEdge(node, symbol);
+            if (edgeIndex !== -1) {
+                const edge = this.edges[edgeIndex];
+                visit(edge & Dawg.CHILD_MASK, (edge & Dawg.TERMINAL) !== 0, position + 1, word + symbol);
+            }
+        };
+
+        visit(this.getRoot(), false, 0, '');
+        return Array.from(results).sort();
+    }
+
+    /**
+     * Serialise the graph to the binary dictionary format
+     * Layout (little-endian): 4-byte magic 'SPDW', uint16 format version,
+     * uint16 alphabet byte length, uint32 word count, uint32 edge count, the
+     * UTF-8 alphabet padded to a multiple of 4 bytes, then the edges as uint32s.
+     * @returns {ArrayBuffer} The encoded graph
+     */
+    toBinary() {
+        const alphabetBytes = new TextEncoder().encode(this.alphabet);
+        const edgesOffset = Dawg.HEADER_SIZE + Math.ceil(alphabetBytes.length / 4) * 4;
+        const buffer = new ArrayBuffer(edgesOffset + this.edges.length * 4);
+        const view = new DataView(buffer);
+
+        for (let i = 0; i < Dawg.MAGIC.length; i++) {
+            view.setUint8(i, Dawg.MAGIC.charCodeAt(i));
+        }
+        view.setUint16(4, Dawg.FORMAT_VERSION, true);
+        view.setUint16(6, alphabetBytes.length, true);
+        view.setUint32(8, this.size, true);
+        view.setUint32(12, this.edges.length, true);
+        new Uint8Array(buffer, Dawg.HEADER_SIZE, alphabetBytes.length).set(alphabetBytes);
+
+        for (let i = 0; i < this.edges.length; i++) {
+            view.setUint32(edgesOffset + i * 4, this.edges[i], true);
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Read a graph written by toBinary
+     * @param {ArrayBuffer} buffer - The encoded graph
+     * @returns {Dawg} The graph
+     * @throws {Error} If the data is not a dictionary file of a supported version
+     */
+    static fromBinary(buffer) {
+        if (buffer.byteLength < Dawg.HEADER_SIZE) {
+            throw new Error('Dictionary file is too short');
+        }
+
+        const view = new DataView(buffer);
+        let magic = '';
+        for (let i = 0; i < Dawg.MAGIC.length; i++) {
+            magic += String.fromCharCode(view.getUint8(i));
+        }
+        if (magic !== Dawg.MAGIC) {
+            throw new Error('Not a binary dictionary file');
+        }
+
+        const version = view.getUint16(4, true);
+        if (version !== Dawg.FORMAT_VERSION) {
+            throw new Error(`Unsupported dictionary format version ${version}`);
+        }
+
+        const alphabetLength = view.getUint16(6, true);
+        const size = view.getUint32(8, true);
+        const edgeCount = view.getUint32(12, true);
+        const edgesOffset = Dawg.HEADER_SIZE + Math.ceil(alphabetLength / 4) * 4;
+        if (buffer.byteLength < edgesOffset + edgeCount * 4) {
+            throw new Error('Dictionary file is truncated');
+        }
+
+        const alphabet = new TextDecoder().decode(new Uint8Array(buffer, Dawg.HEADER_SIZE, alphabetLength));
+        const edges = new Uint32Array(edgeCount);
+        for (let i = 0; i < edgeCount; i++) {
+            edges[i] = view.getUint32(edgesOffset + i * 4, true);
+        }
+
+        return new Dawg(edges, alphabet, size);
+    }
+
+    /**
+     * Build a graph from a list of words
+     * Uses incremental construction from sorted input (Daciuk et al.), so suffixes
+     * are merged as words are added and the full trie never exists in memory.
+     * @param {Iterable<string>} words - Words to include (duplicates are ignored)
+     * @param {Function} onProgress - Optional callback with the fraction of words added so far
+     * @returns {Dawg} The packed graph
+     */
+    static build(words, onProgress = null) {
+        const sorted = Array.from(new Set(words)).filter(word => word.length > 0).sort();
+
+        let nextId = 0;
+        const createNode = () => ({ id: nextId++, final: false, children: new Map() });
+
+        const root = createNode();
+        const register = new Map();
+        const unchecked = [];
+        let previousWord = '';
+
+        // Replace the most recent nodes with equivalent registered nodes, deepest first
+        const minimize = downTo => {
+            while (unchecked.length > downTo) {
+                const { parent, letter, child } = unchecked.pop();
+                const key = Dawg.nodeSignature(child);
+                const existing = register.get(key);
+                if (existing) {
+                    parent.children.set(letter, existing);
+                } else {
+                    register.set(key, child);
+                }
+            }
+        };
+
+        sorted.forEach((word, index) => {
+            if (onProgress && index % Dawg.PROGRESS_INTERVAL === 0) {
+                onProgress(index / sorted.length);
+            }
+
+            let common = 0;
+            while (common < word.length && common < previousWord.length && word[common] === previousWord[common]) {
+                common++;
+            }
+            minimize(common);
+
+            let node = unchecked.length === 0 ? root : unchecked[unchecked.length - 1].child;
+            for (let i = common; i < word.length; i++) {
+                const child = createNode();
+                node.children.set(word[i], child);
+                unchecked.push({ parent: node, letter: word[i], child });
+                node = child;
+            }
+            node.final = true;
+            previousWord = word;
+        });
+        minimize(0);
+
+        const dawg = Dawg.pack(root, sorted);
+        if (onProgress) onProgress(1);
+        return dawg;
+    }
+
+    /**
+     * Describe a node by its finality and its edges, for finding equivalent nodes
+     * @param {Object} node - Builder node
+     * @returns {string} Signature shared by all equivalent nodes
+     */
+    static nodeSignature(node) {
+        let signature = node.final ? '1' : '0';
+        node.children.forEach((child, letter) => {
+            signature += `${letter}${child.id},`;
+        });
+        return signature;
+    }
+
+    /**
+     * Pack builder nodes into the edge array format
+     * @param {Object} root - Root builder node
+     * @param {string[]} sortedWords - The words in the graph
+     * @returns {Dawg} The packed graph
+     */
+    static pack(root, sortedWords) {
+        const letters = new Set();
+        sortedWords.forEach(word => {
+            for (const letter of word) letters.add(letter);
+        });
+        const alphabet = Array.from(letters).sort().join('');
+        const letterIndex = new Map(Array.from(alphabet).map((letter, index) => [letter, index]));
+        if (alphabet.length > 256) {
+            throw new Error(`Dictionary alphabet has ${alphabet.length} letters, the limit is 256`);
+        }
+
+        // Lay out every distinct node with children as a run of edges
+        const offsets = new Map();
+        const order = [];
+        let edgeCount = 1;
+        const queue = [root];
+        for (let q = 0; q < queue.length; q++) {
+            const node = queue[q];
+            if (offsets.has(node) || node.children.size === 0) continue;
+
+            offsets.set(node, edgeCount);
+            order.push(node);
+            edgeCount += node.children.size;
+            node.children.forEach(child => queue.push(child));
+        }
+
+        if (edgeCount > Dawg.CHILD_MASK) {
+            throw new Error(`Dictionary needs ${edgeCount} edges, the limit is ${Dawg.CHILD_MASK}`);
+        }
+
+        const edges = new Uint32Array(edgeCount);
+        order.forEach(node => {
+            let i = offsets.get(node);
+            let remaining = node.children.size;
+            node.children.forEach((child, letter) => {
+                let edge = (offsets.get(child) || 0) | (letterIndex.get(letter) << Dawg.LETTER_SHIFT);
+                if (child.final) edge |= Dawg.TERMINAL;
+                if (--remaining === 0) edge |= Dawg.LAST_EDGE;
+                edges[i++] = edge >>> 0;
+            });
+        });
+
+        return new Dawg(edges, alphabet, sortedWords.length);
+    }
+}
+
+// Edge layout
+Dawg.ROOT = 1;
+Dawg.CHILD_MASK = 0x3FFFFF;
+Dawg.LAST_EDGE = 1 << 22;
+Dawg.TERMINAL = 1 << 23;
+Dawg.LETTER_SHIFT = 24;
+
+// Binary dictionary format
+Dawg.MAGIC = 'SPDW';
+Dawg.FORMAT_VERSION = 1;
+Dawg.HEADER_SIZE = 16;
+
+// Number of words added between build progress callbacks
+Dawg.PROGRESS_INTERVAL = 5000;
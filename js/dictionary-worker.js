@@ -0,0 +1,194 @@
+/**
+ * Dictionary worker
+ * Loads the binary dictionary off the main thread (or builds the word graph from
+ * the plain word list when the binary hasn't been built), then answers validate,
+ * lookup and solve requests so the game keeps a smooth frame rate while it loads
+ * and plays. The word graph stays here; the main thread never builds a copy.
+ *
+ * Messages in:
+ *   {type: 'load', binaryUrl, url, pack}
+ *   {type: 'validate', id, word}
+ *   {type: 'lookup', id, word}
+ *   {type: 'solve', id, letters, minLength}
+ * Messages out:
+ *   {type: 'progress', percent}
+ *   {type: 'loaded', size}
+ *   {type: 'error', message}
+ *   {type: 'result', id, result} or {type: 'result', id, error}
+ */
+importScripts('letter-data.js', 'language-packs.js', 'dawg.js', 'word-solver.js');
+
+// Share of the progress bar used by the word list download; building the graph uses the rest
+const DOWNLOAD_PROGRESS = 60;
+
+let dawg = null;
+let lastPercent = -1;
+let resolveReady;
+let rejectReady;
+
+// Requests that arrive while loading wait for the dictionary instead of failing
+const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+});
+ready.catch(() => {});
+
+/**
+ * Report loading progress, skipping repeats of the same percentage
+ * @param {number} percent - Progress from 0 to 100
+ */
+function postProgress(percent) {
+    const rounded = Math.floor(percent);
+    if (rounded === lastPercent) return;
+
+    lastPercent = rounded;
+    self.postMessage({ type: 'progress', percent: rounded });
+}
+
+/**
+ * Read a response body, reporting download progress when the size is known
+ * @param {Response} response - Fetch response
+ * @param {number} maxPercent - Progress to report once the download completes
+ * @returns {Promise<ArrayBuffer>} The body bytes
+ */
+async function readWithProgress(response, maxPercent) {
+    const total = Number(response.headers.get('Content-Length'));
+    if (!total || !response.body) {
+        return response.arrayBuffer();
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        chunks.push(value);
+        received += value.length;
+        postProgress(Math.min(received / total, 1) * maxPercent);
+    }
+
+    const bytes = new Uint8Array(received);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes.buffer;
+}
+
+/**
+ * Fetch a dictionary file
+ * @param {string} url - File URL
+ * @param {number} maxPercent - Progress to report once the download completes
+ * @returns {Promise<ArrayBuffer>} The file contents
+ */
+async function fetchDictionaryFile(url, maxPercent) {
+    const response = await fetch(url);
+    if (!LanguagePacks.isDictionaryResponse(response)) {
+        throw new Error(`Failed to load dictionary: ${url} not found (${response.status} ${response.statusText})`);
+    }
+    return readWithProgress(response, maxPercent);
+}
+
+/**
+ * Load the precompiled binary dictionary
+ * @param {string} url - URL of dict.bin
+ * @returns {Promise<Dawg>} The word graph
+ */
+async function loadBinaryDictionary(url) {
+    return Dawg.fromBinary(await fetchDictionaryFile(url, 100));
+}
+
+/**
+ * Load the plain word list and build the word graph from it
+ * @param {string} url - URL of dict.txt
+ * @returns {Promise<Dawg>} The word graph
+ */
+async function loadTextDictionary(url) {
+    const text = new TextDecoder().decode(await fetchDictionaryFile(url, DOWNLOAD_PROGRESS));
+    if (!LanguagePacks.isWordList(text)) {
+        throw new Error(`${url} is not a word list`);
+    }
+
+    const words = [];
+    text.split(/\r?\n/).forEach(word => {
+        const trimmedWord = word.trim();
+        if (trimmedWord.length > 0) {
+            words.push(trimmedWord.toUpperCase());
+        }
+    });
+
+    return Dawg.build(words, fraction => {
+        postProgress(DOWNLOAD_PROGRESS + fraction * (100 - DOWNLOAD_PROGRESS));
+    });
+}
+
+/**
+ * Load the dictionary, preferring the binary file
+ * @param {string} binaryUrl - URL of dict.bin
+ * @param {string} url - URL of dict.txt, used when the binary is missing or unreadable
+ */
+async function loadDictionary(binaryUrl, url) {
+    postProgress(0);
+
+    try {
+        dawg = await loadBinaryDictionary(binaryUrl);
+    } catch (error) {
+        console.warn(`Binary dictionary unavailable (${error.message}), loading the word list instead`);
+        lastPercent = -1;
+        postProgress(0);
+        dawg = await loadTextDictionary(url);
+    }
+
+    self.postMessage({ type: 'loaded', size: dawg.size });
+}
+
+/**
+ * Answer a request once the dictionary is ready
+ * @param {number} id - Request id to echo back
+ * @param {Function} handler - Computes the result from the loaded graph
+ */
+function respond(id, handler) {
+    ready
+        .then(() => self.postMessage({ type: 'result', id, result: handler() }))
+        .catch(error => self.postMessage({ type: 'result', id, error: error.message }));
+}
+
+self.onmessage = event => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'load':
+            // Score solver results with the pack's letter values
+            if (message.pack) {
+                LetterData.usePack(message.pack);
+            }
+            loadDictionary(message.binaryUrl, message.url)
+                .then(resolveReady)
+                .catch(error => {
+                    rejectReady(error);
+                    self.postMessage({ type: 'error', message: error.message });
+                });
+            break;
+
+        case 'validate':
+            respond(message.id, () => dawg.has(message.word.toUpperCase()));
+            break;
+
+        case 'lookup': {
+            const word = message.word.toUpperCase();
+            respond(message.id, () => ({ word: dawg.has(word), prefix: dawg.hasPrefix(word) }));
+            break;
+        }
+
+        case 'solve':
+            respond(message.id, () => new WordSolver(dawg).solve(message.letters, { minLength: message.minLength }));
+            break;
+
+        default:
+            console.warn(`Dictionary worker received unknown message type "${message.type}"`);
+    }
+};
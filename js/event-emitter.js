@@ -0,0 +1,92 @@
+/**
+ * Minimal event emitter used by the headless game engine
+ * Mirrors the on/off/emit API of Phaser's emitter without depending on Phaser
+ */
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    /**
+     * Register a listener for an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Listener function
+     * @param {Object} context - Optional `this` for the listener
+     * @returns {EventEmitter} This emitter for chaining
+     */
+    on(event, callback, context = null) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+
+        this.listeners[event].push({ callback, context, once: false });
+        return this;
+    }
+
+    /**
+     * Register a listener that is removed after its first call
+     * @param {string} event - Event name
+     * @param {Function} callback - Listener function
+     * @param {Object} context - Optional `this` for the listener
+     * @returns {EventEmitter} This emitter for chaining
+     */
+    once(event, callback, context = null) {
+        this.on(event, callback, context);
+        this.listeners[event][this.listeners[event].length - 1].once = true;
+        return this;
+    }
+
+    /**
+     * Remove listeners for an event
+     * Without a callback every listener for the event is removed
+     * @param {string} event - Event name
+     * @param {Function} callback - Listener function to remove
+     * @param {Object} context - Context the listener was registered with
+     * @returns {EventEmitter} This emitter for chaining
+     */
+    off(event, callback, context) {
+        if (!this.listeners[event]) {
+            return this;
+        }
+
+        if (!callback) {
+            delete this.listeners[event];
+            return this;
+        }
+
+        this.listeners[event] = this.listeners[event].filter(listener =>
+            listener.callback !== callback || (context !== undefined && listener.context !== context)
+        );
+        return this;
+    }
+
+    /**
+     * Call every listener registered for an event
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments passed to the listeners
+     * @returns {boolean} True if the event had listeners
+     */
+    emit(event, ...args) {
+        const listeners = this.listeners[event];
+        if (!listeners || listeners.length === 0) {
+            return false;
+        }
+
+        // Iterate over a copy so listeners can unsubscribe while being called
+        [...listeners].forEach(listener => {
+            if (listener.once) {
+                this.off(event, listener.callback, listener.context);
+            }
+            listener.callback.apply(listener.context, args);
+        });
+
+        return true;
+    }
+
+    /**
+     * Remove every listener for every event
+     */
+    removeAllListeners() {
+        this.listeners = {};
+    }
+}
@@ -0,0 +1,677 @@
+/**
+ * Headless game rules for Spores
+ * Owns the board state, word validation, explosion queue, spore spreading and
+ * refills. Views subscribe to its events; it has no Phaser dependency so it can
+ * also run in Node for tests and simulations.
+ */
+class GameEngine extends EventEmitter {
+    /**
+     * Create a new game engine
+     * @param {Object} options - Engine options
+     * @param {number} options.size - Size of the board (rows and columns)
+     * @param {Object} options.validator - Word validator with isValid(word), has(word), hasPrefix(prefix) and size
+     * @param {number} options.minWordLength - Minimum number of letters in a word (default 3)
+     * @param {Object} options.parameters - Overrides for the default game parameters
+     * @param {SeededRandom} options.rng - Random number generator for every random decision
+     * @param {LetterBag} options.letterBag - Bag new letters are drawn from (a fresh bag by default)
+     * @param {Function} options.letterGenerator - Returns the letter for a new cell, replacing the bag and refill balancing
+     * @param {number|null} options.shuffles - Shuffles allowed when the board runs out of words (default 3, null for no limit)
+     * @param {boolean} options.refills - Whether new cells drop in to fill the gaps (default true; puzzles only let tiles fall)
+     */
+    constructor(options = {}) {
+        super();
+
+        this.size = options.size || 8;
+        this.validator = options.validator || null;
+        this.rng = options.rng || new SeededRandom();
+        this.letterBag = options.letterBag || new LetterBag(this.rng);
+        this.customLetterGenerator = !!options.letterGenerator;
+        this.generateLetter = options.letterGenerator || (() => this.letterBag.draw());
+
+        // Minimum number of letters in a word, set by the language pack (a 'QU' tile counts as two)
+        this.minWordLength = options.minWordLength || 3;
+
+        // Shuffles left to rescue a board with no playable words; null never runs out
+        this.shufflesRemaining = options.shuffles !== undefined ? options.shuffles : 3;
+
+        // Without refills the board only shrinks, until every tile has been cleared
+        this.refills = options.refills !== false;
+
+        // Cascade limit to prevent infinite chains
+        this.maxCascades = 8;
+
+        // Game parameters (can be modified by settings)
+        this.parameters = {
+            sporeCount: 8,           // Base number of spores released per explosion
+            sporeThreshold: 2,       // Number of spores needed to trigger an explosion
+            sporeDistribution: 1.5,  // Controls how widely spores are distributed
+            wordLengthFactor: 1.5,   // Multiplier for word length bonus (6+ letters)
+            minVowelRatio: 0.3,      // Refills draw a vowel when fewer letters than this around the column are vowels
+            maxVowelRatio: 0.55,     // ...and a consonant when more are
+            ...(options.parameters || {})
+        };
+
+        this.board = new BoardState(this.size);
+    }
+
+    /**
+     * Replace the whole board with freshly generated letters
+     * @param {Object} options - Reset options
+     * @param {boolean} options.ensureWords - Regenerate until the board has enough 4-letter words
+     * @param {Array<Array<string>>} options.layout - Starting tiles indexed [row][col] ('.' draws from the bag)
+     * @param {Array<Array<number>>} options.spores - Starting spore counts indexed [row][col]
+     * @param {Array<Array<boolean>>} options.marked - Tiles a level objective asks the player to explode, indexed [row][col]
+     */
+    reset(options = {}) {
+        this.board.clear();
+        this.letterBag.refill();
+
+        for (let row = 0; row < this.size; row++) {
+            for (let col = 0; col < this.size; col++) {
+                const tile = options.layout && options.layout[row] ? options.layout[row][col] : null;
+                const letter = tile && tile !== GameEngine.RANDOM_TILE ? tile : this.generateLetter();
+                const cell = this.board.createCell(row, col, letter);
+
+                if (options.spores && options.spores[row]) {
+                    cell.sporeCount = options.spores[row][col] || 0;
+
+                    // Tiles that start with spores count towards "clear the spores" objectives
+                    cell.infected = cell.sporeCount > 0;
+                }
+                if (options.marked && options.marked[row] && options.marked[row][col]) {
+                    cell.marked = true;
+                }
+            }
+        }
+
+        // A designed layout is kept as it is
+        if (options.ensureWords && !options.layout) {
+            this.ensureFourLetterWords();
+        }
+
+        this.emit('boardReset');
+    }
+
+    /**
+     * Capture the board, shuffles and letter bag for a saved game
+     * The random number generator is shared with the scene, which saves it separately.
+     * @returns {Object} Plain data that restore() accepts
+     */
+    serialize() {
+        return {
+            size: this.size,
+            cells: this.board.cells.map(row => row.map(cell => cell ? {
+                letter: cell.letter,
+                sporeCount: cell.sporeCount,
+                marked: !!cell.marked,
+                infected: !!cell.infected
+            } : null)),
+            shufflesRemaining: this.shufflesRemaining,
+            letterBag: this.letterBag.serialize()
+        };
+    }
+
+    /**
+     * Replace the board with one captured by serialize()
+     * @param {Object} saved - Saved engine state
+     * @throws {Error} If the save is for a different board size
+     */
+    restore(saved) {
+        if (!saved || saved.size !== this.size || !Array.isArray(saved.cells) || saved.cells.length !== this.size) {
+            throw new Error(`Saved board does not fit a ${this.size}x${this.size} grid`);
+        }
+
+        this.board.clear();
+        saved.cells.forEach((row, rowIndex) => {
+            row.forEach((savedCell, col) => {
+                if (!savedCell) return;
+
+                const cell = this.board.createCell(rowIndex, col, savedCell.letter);
+                cell.sporeCount = savedCell.sporeCount || 0;
+                if (savedCell.marked) cell.marked = true;
+                if (savedCell.infected) cell.infected = true;
+            });
+        });
+
+        this.shufflesRemaining = saved.shufflesRemaining;
+        this.letterBag.restore(saved.letterBag || []);
+
+        this.emit('boardReset');
+    }
+
+    /**
+     * Ensure the board has at least 4 valid 4-letter words
+     */
+    ensureFourLetterWords() {
+        // Maximum attempts to regenerate the board
+        const maxAttempts = 5;
+        let attempts = 0;
+        let foundWords = this.countWordsOfLength(4);
+
+        while (attempts < maxAttempts && foundWords < 4) {
+            console.log(`Only found ${foundWords} valid 4-letter words, regenerating some tiles...`);
+
+            // Replace some cells with more common letters (vowels and common consonants)
+            const commonLetters = ['A', 'E', 'I', 'O', 'T', 'N', 'R', 'S', 'L'];
+
+            // Replace some random cells (about 25% of the board)
+            const cellsToReplace = Math.floor(this.size * this.size * 0.25);
+            for (let i = 0; i < cellsToReplace; i++) {
+                const cell = this.board.getCell(this.rng.integer(this.size), this.rng.integer(this.size));
+
+                if (cell) {
+                    cell.letter = this.rng.pick(commonLetters);
+                }
+            }
+
+            attempts++;
+            foundWords = this.countWordsOfLength(4);
+        }
+
+        console.log(`Grid validation complete. Found ${foundWords} valid 4-letter words after ${attempts} attempts.`);
+    }
+
+    /**
+     * Count the distinct playable words of a given length on the board
+     * Falls back to a list of common words when the dictionary can't be searched
+     * here, while it is loading or when a worker holds it
+     * @param {number} length - Word length
+     * @returns {number} Number of distinct words
+     */
+    countWordsOfLength(length) {
+        const lexicon = this.hasDictionary() ? this.validator : GameEngine.getCommonWordGraph();
+
+        return this.findWords({ lexicon }).filter(result => result.length === length).length;
+    }
+
+    /**
+     * Check if the validator has a dictionary loaded that can be searched synchronously
+     * @returns {boolean} True if words can be looked up
+     */
+    hasDictionary() {
+        return !!(this.validator && this.validator.size > 0);
+    }
+
+    /**
+     * Find every playable word on the board along any adjacent path
+     * @param {Object} options - Search options
+     * @param {Object} options.lexicon - Word list to search (defaults to the validator)
+     * @param {boolean} options.allPaths - List every path that spells a word, not just the best one for each word
+     * @returns {Object[]} Words as {word, path, score, length}, best score first
+     */
+    findWords(options = {}) {
+        const lexicon = options.lexicon || this.validator;
+        if (!lexicon || typeof lexicon.hasPrefix !== 'function') {
+            return [];
+        }
+
+        const solver = new WordSolver(lexicon);
+        return solver.solve(this.board.getLetters(), {
+            minLength: this.minWordLength,
+            allPaths: !!options.allPaths,
+            scoreWord: path => this.calculateWordScore(path.map(pos => this.board.getCell(pos.row, pos.col)))
+        });
+    }
+
+    /**
+     * Get the word spelled by a path of cells
+     * @param {Object[]} cells - Cells in selection order
+     * @returns {string} The formed word
+     */
+    getWord(cells) {
+        return cells.map(cell => cell ? cell.letter : '').join('');
+    }
+
+    /**
+     * Check that a path of cells is a legal selection on the current board
+     * @param {Object[]} cells - Cells in selection order
+     * @returns {boolean} True if every cell is on the board, unique and adjacent to the previous one
+     */
+    isValidPath(cells) {
+        if (!Array.isArray(cells) || cells.length === 0) {
+            return false;
+        }
+
+        const seen = new Set();
+        for (let i = 0; i < cells.length; i++) {
+            const cell = cells[i];
+            if (!this.board.contains(cell) || seen.has(cell)) {
+                return false;
+            }
+            if (i > 0 && !this.board.isAdjacent(cells[i - 1], cell)) {
+                return false;
+            }
+            seen.add(cell);
+        }
+
+        return true;
+    }
+
+    /**
+     * Calculate the score for a word formed by a path of cells
+     * @param {Object[]} cells - Cells in selection order
+     * @returns {number} The word score
+     */
+    calculateWordScore(cells) {
+        // Basic score: sum of letter values
+        let score = 0;
+        cells.forEach(cell => {
+            score += LetterData.getPointValue(cell.letter);
+        });
+
+        // Word length bonus (6+ letters, so multi-letter tiles count fully) - use the configurable factor
+        if (this.getWord(cells).length >= 6) {
+            score *= this.parameters.wordLengthFactor;
+        }
+
+        return Math.floor(score);
+    }
+
+    /**
+     * Work out the bonuses a word's chain reaction earns on top of the word's score
+     * @param {number} cascades - Number of cascades the word set off
+     * @returns {Object} {cascade, overload, maxCascade, total} in points
+     */
+    calculateCascadeBonuses(cascades) {
+        const bonuses = {
+            cascade: cascades * GameEngine.CASCADE_BONUS,
+            overload: cascades >= GameEngine.OVERLOAD_CASCADES ? GameEngine.OVERLOAD_BONUS : 0,
+            maxCascade: cascades >= this.maxCascades ? GameEngine.MAX_CASCADE_BONUS : 0
+        };
+        bonuses.total = bonuses.cascade + bonuses.overload + bonuses.maxCascade;
+        return bonuses;
+    }
+
+    /**
+     * Play a word: validate it, explode its cells, spread spores and refill
+     * @param {Object[]} cells - Cells in selection order
+     * @param {Object} options - Play options
+     * @param {boolean} options.inDictionary - Answer of a dictionary check already made elsewhere,
+     *   such as in the dictionary worker; the validator is asked when this is left out
+     * @returns {Object} {valid, word, score, tilesExploded, cascadeCount, chainDepth, explodedCells, deadBoard}
+     */
+    submitWord(cells, options = {}) {
+        const word = this.getWord(cells);
+        const inDictionary = () => options.inDictionary !== undefined
+            ? options.inDictionary
+            : !!this.validator && this.validator.isValid(word);
+
+        // Reject broken paths and short words as well as words missing from the dictionary
+        const isValid = this.isValidPath(cells) && word.length >= this.minWordLength && inDictionary();
+
+        if (!isValid) {
+            this.emit('invalidWord', word, cells);
+            return { valid: false, word, score: 0, tilesExploded: 0, cascadeCount: 0, chainDepth: 0, explodedCells: [] };
+        }
+
+        const score = this.calculateWordScore(cells);
+        this.emit('wordAccepted', word, score, cells);
+
+        const result = this.explode(cells);
+        this.refill();
+
+        const summary = {
+            valid: true,
+            word,
+            score,
+            tilesExploded: result.tilesExploded,
+            cascadeCount: result.cascadeCount,
+            chainDepth: result.chainDepth,
+            explodedCells: result.explodedCells,
+            deadBoard: this.isDeadBoard()
+        };
+
+        this.emit('explosionsComplete', summary);
+        return summary;
+    }
+
+    /**
+     * Explode cells and resolve the resulting chain of spore explosions
+     * @param {Object[]} cells - Cells of the played word
+     * @returns {Object} {tilesExploded, cascadeCount, chainDepth, explodedCells}
+     */
+    explode(cells) {
+        const explosionQueue = [...cells];
+        const explodedCells = new Set();
+        let cascadeCount = 0;
+
+        // Generation of each queued cell: 0 for the word, one more for each link in the chain
+        const depths = new Map(cells.map(cell => [cell, 0]));
+        let chainDepth = 0;
+
+        // Number of spores released by each explosion - using the parameters value
+        const sporeCount = Math.min(this.parameters.sporeCount, Math.ceil(cells.length / 1.5));
+
+        while (explosionQueue.length > 0 && cascadeCount < this.maxCascades) {
+            const cell = explosionQueue.shift();
+
+            // Skip cells that already exploded or are no longer on the board
+            if (!cell || explodedCells.has(cell) || !this.board.contains(cell)) continue;
+
+            explodedCells.add(cell);
+            this.board.removeCell(cell);
+            this.emit('tileExploded', cell, !cells.includes(cell));
+
+            const depth = depths.get(cell);
+            chainDepth = Math.max(chainDepth, depth);
+
+            const queued = explosionQueue.length;
+            cascadeCount += this.spreadSpores(cell.col, cell.row, sporeCount, explosionQueue, explodedCells);
+            explosionQueue.slice(queued).forEach(next => depths.set(next, depth + 1));
+        }
+
+        console.log(`Explosion chain complete: ${explodedCells.size} tiles exploded, ${cascadeCount} cascades`);
+
+        return {
+            tilesExploded: explodedCells.size,
+            cascadeCount: cascadeCount,
+            chainDepth: chainDepth,
+            explodedCells: [...explodedCells]
+        };
+    }
+
+    /**
+     * Distribute spores using adjacency-based algorithm
+     * @param {number} originX - Column of the exploded cell
+     * @param {number} originY - Row of the exploded cell
+     * @param {number} sporeCount - Number of spores to distribute
+     * @param {Object[]} explosionQueue - Cells waiting to explode
+     * @param {Set} explodedCells - Cells that have already exploded
+     * @returns {number} Number of new cascade explosions queued
+     */
+    spreadSpores(originX, originY, sporeCount, explosionQueue, explodedCells) {
+        // Collect potential target cells with weights
+        const targets = [];
+        let cascadeCount = 0;
+
+        // Get the distribution range from game parameters (1-5)
+        const distributionRange = this.parameters.sporeDistribution;
+
+        // Check an area around the exploded cell based on the distribution range
+        const searchRadius = Math.max(1, Math.min(Math.floor(distributionRange * 1.5), 5));
+
+        for (let dy = -searchRadius; dy <= searchRadius; dy++) {
+            for (let dx = -searchRadius; dx <= searchRadius; dx++) {
+                // Skip the original position
+                if (dx === 0 && dy === 0) continue;
+
+                const target = this.board.getCell(originY + dy, originX + dx);
+
+                // Skip empty spaces and cells in the explosion queue
+                if (!target || explosionQueue.includes(target) || explodedCells.has(target)) continue;
+
+                // Closer cells get higher weight; higher distribution = more uniform spread
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                let weight = (6 - distance) / distributionRange;
+
+                // Give bonus weight to cells that already have spores
+                // This creates "hot spots" and chain reactions
+                if (target.sporeCount > 0) {
+                    const progressToExplode = target.sporeCount / this.parameters.sporeThreshold;
+                    weight *= (1 + progressToExplode * 2);
+                }
+
+                targets.push({ cell: target, weight: weight });
+            }
+        }
+
+        // If no valid targets, don't distribute any spores
+        if (targets.length === 0) {
+            return 0;
+        }
+
+        // Calculate total weight for normalization
+        const totalWeight = targets.reduce((sum, t) => sum + t.weight, 0);
+
+        // Distribute spores based on calculated probabilities
+        for (let i = 0; i < sporeCount; i++) {
+            let randomValue = this.rng.next() * totalWeight;
+            let selected = null;
+
+            for (const target of targets) {
+                randomValue -= target.weight;
+                if (randomValue <= 0) {
+                    selected = target.cell;
+                    break;
+                }
+            }
+
+            // If no cell was selected, pick one randomly
+            if (!selected) {
+                selected = this.rng.pick(targets).cell;
+            }
+
+            selected.sporeCount++;
+            this.emit('sporesChanged', selected, selected.sporeCount);
+
+            // If the cell reached the threshold, queue it for explosion
+            if (selected.sporeCount >= this.parameters.sporeThreshold && !explosionQueue.includes(selected)) {
+                explosionQueue.push(selected);
+                cascadeCount++;
+            }
+        }
+
+        return cascadeCount;
+    }
+
+    /**
+     * Let cells fall into gaps and create new cells at the top of each column
+     */
+    refill() {
+        if (!this.board.hasEmptyCells()) {
+            return;
+        }
+
+        for (let col = 0; col < this.size; col++) {
+            this.refillColumn(col);
+        }
+    }
+
+    /**
+     * Compact one column and fill the empty spots left at the top with new cells
+     * Boards without refills are only compacted.
+     * @param {number} col - The column to refill
+     */
+    refillColumn(col) {
+        // First, compact all cells downward
+        this.board.compactColumn(col).forEach(move => {
+            this.emit('tileMoved', move.cell, move.fromRow, move.toRow);
+        });
+
+        if (!this.refills) {
+            return;
+        }
+
+        const emptyCount = this.board.countEmptyAtTop(col);
+        for (let row = 0; row < emptyCount; row++) {
+            const cell = this.board.createCell(row, col, this.drawBalancedLetter(col));
+            this.emit('tileCreated', cell, emptyCount);
+        }
+    }
+
+    /**
+     * Draw a letter for a refilled cell, keeping the vowel ratio around its column
+     * within the minVowelRatio..maxVowelRatio window
+     * @param {number} col - Column the letter drops into
+     * @returns {string} The letter for the new cell
+     */
+    drawBalancedLetter(col) {
+        if (this.customLetterGenerator) {
+            return this.generateLetter();
+        }
+
+        const { vowels, total } = this.countVowelsAround(col);
+        if (total > 0) {
+            const ratio = vowels / total;
+            if (ratio < this.parameters.minVowelRatio) {
+                return this.letterBag.drawMatching(letter => LetterBag.isVowel(letter));
+            }
+            if (ratio > this.parameters.maxVowelRatio) {
+                return this.letterBag.drawMatching(letter => !LetterBag.isVowel(letter));
+            }
+        }
+
+        return this.letterBag.draw();
+    }
+
+    /**
+     * Count the vowels in a column and the columns either side of it
+     * @param {number} col - Centre column
+     * @returns {Object} {vowels, total} over the non-empty cells
+     */
+    countVowelsAround(col) {
+        let vowels = 0;
+        let total = 0;
+
+        for (let c = Math.max(0, col - 1); c <= Math.min(this.size - 1, col + 1); c++) {
+            for (let row = 0; row < this.size; row++) {
+                const cell = this.board.getCell(row, c);
+                if (cell) {
+                    total++;
+                    if (LetterBag.isVowel(cell.letter)) vowels++;
+                }
+            }
+        }
+
+        return { vowels, total };
+    }
+
+    /**
+     * Check whether the board has run out of playable words
+     * Boards are never reported dead before the dictionary has loaded, or while
+     * it is held by a worker that has to be asked instead.
+     * @returns {boolean} True if no word of minimum length can be formed
+     */
+    isDeadBoard() {
+        return this.hasDictionary() && this.findWords().length === 0;
+    }
+
+    /**
+     * Rearrange the letters on the board, leaving every spore where it is
+     * Tries a few arrangements and keeps the first one with a playable word.
+     * @returns {Object[]|null} Changed cells as {cell, fromLetter, letter}, or null if no shuffles are left
+     */
+    shuffle() {
+        if (this.shufflesRemaining !== null) {
+            if (this.shufflesRemaining <= 0) {
+                return null;
+            }
+            this.shufflesRemaining--;
+        }
+
+        const cells = [];
+        this.board.forEachCell(cell => cells.push(cell));
+        const originalLetters = cells.map(cell => cell.letter);
+
+        let letters = originalLetters;
+        for (let attempt = 0; attempt < GameEngine.SHUFFLE_ATTEMPTS; attempt++) {
+            letters = this.rng.shuffle([...originalLetters]);
+            cells.forEach((cell, i) => {
+                cell.letter = letters[i];
+            });
+
+            if (!this.isDeadBoard()) break;
+        }
+
+        const changes = [];
+        cells.forEach((cell, i) => {
+            if (cell.letter !== originalLetters[i]) {
+                changes.push({ cell, fromLetter: originalLetters[i], letter: cell.letter });
+            }
+        });
+
+        this.emit('boardShuffled', changes, this.shufflesRemaining);
+        return changes;
+    }
+
+    /**
+     * Find valid words currently present on the board
+     * @param {number} maxWords - Maximum number of words to return
+     * @returns {string[]} Array of words, best score first
+     */
+    getValidWords(maxWords = 20) {
+        if (!this.hasDictionary()) return [];
+
+        return this.findWords().slice(0, maxWords).map(result => result.word);
+    }
+
+    /**
+     * Update game parameters based on settings
+     * @param {Object} settings - New settings object
+     */
+    updateParameters(settings) {
+        if (!settings) return;
+
+        this.parameters = {
+            ...this.parameters,
+            ...settings
+        };
+
+        this.emit('parametersChanged', this.parameters);
+    }
+
+    /**
+     * Get the word graph of the common four-letter words, building it the first time
+     * @returns {Dawg} The word graph
+     */
+    static getCommonWordGraph() {
+        if (!GameEngine.commonWordGraph) {
+            GameEngine.commonWordGraph = Dawg.build(GameEngine.COMMON_FOUR_LETTER_WORDS);
+        }
+        return GameEngine.commonWordGraph;
+    }
+}
+
+// The 8 neighbouring directions on the board
+GameEngine.DIRECTIONS = [
+    { dr: -1, dc: 0 },  // Up
+    { dr: -1, dc: 1 },  // Up-Right
+    { dr: 0, dc: 1 },   // Right
+    { dr: 1, dc: 1 },   // Down-Right
+    { dr: 1, dc: 0 },   // Down
+    { dr: 1, dc: -1 },  // Down-Left
+    { dr: 0, dc: -1 },  // Left
+    { dr: -1, dc: -1 }  // Up-Left
+];
+
+// Layout character for a tile drawn from the letter bag
+GameEngine.RANDOM_TILE = '.';
+
+// Arrangements tried by a shuffle before settling for one without words
+GameEngine.SHUFFLE_ATTEMPTS = 10;
+
+// Chain reaction bonuses: points per cascade, a spore overload bonus for a chain of
+// several cascades, and a bonus for a chain that runs until the cascade limit stops it
+GameEngine.CASCADE_BONUS = 15;
+GameEngine.OVERLOAD_CASCADES = 3;
+GameEngine.OVERLOAD_BONUS = 50;
+GameEngine.MAX_CASCADE_BONUS = 100;
+
+// Fallback list used to judge board quality before the dictionary has loaded
+GameEngine.COMMON_FOUR_LETTER_WORDS = [
+    'ABLE', 'ACID', 'AGED', 'ALSO', 'AREA', 'ARMY', 'AWAY',
+    'BABY', 'BACK', 'BALL', 'BAND', 'BANK', 'BASE', 'BATH',
+    'BEAR', 'BEAT', 'BEEN', 'BEER', 'BELL', 'BELT', 'BEST',
+    'BIRD', 'BLOW', 'BLUE', 'BOAT', 'BODY', 'BOMB', 'BOND',
+    'BONE', 'BOOK', 'BOOM', 'BORN', 'BOSS', 'BOTH', 'BOWL',
+    'BULK', 'BURN', 'BUSH', 'BUSY', 'CALL', 'CALM', 'CAME',
+    'CAMP', 'CARD', 'CARE', 'CASE', 'CASH', 'CAST', 'CELL',
+    'CHAT', 'CHIP', 'CITY', 'CLUB', 'COAL', 'COAT', 'CODE',
+    'COLD', 'COME', 'COOK', 'COOL', 'COPE', 'COPY', 'CORE',
+    'COST', 'CREW', 'CROP', 'DARK', 'DATA', 'DATE', 'DAWN',
+    'DAYS', 'DEAD', 'DEAL', 'DEAR', 'DEBT', 'DEEP', 'DENY',
+    'DESK', 'DIAL', 'DIET', 'DIRT', 'DISC', 'DISK', 'DOES',
+    'DONE', 'DOOR', 'DOSE', 'DOWN', 'DRAW', 'DREW', 'DROP',
+    'DRUG', 'DUAL', 'DUKE', 'DUST', 'DUTY', 'EACH', 'EARN',
+    'EASE', 'EAST', 'EASY', 'EDGE', 'ELSE', 'EVEN', 'EVER',
+    'EVIL', 'EXIT', 'FACE', 'FACT', 'FAIL', 'FAIR', 'FALL',
+    'FARM', 'FAST', 'FATE', 'FEAR', 'FEED', 'FEEL', 'FEET',
+    'FELL', 'FELT', 'FILE', 'FILL', 'FILM', 'FIND', 'FINE',
+    'FIRE', 'FIRM', 'FISH', 'FIVE', 'FLAT', 'FLOW', 'FOOD',
+    'FOOT', 'FORD', 'FORM', 'FORT', 'FOUR', 'FREE', 'FROM',
+    'FUEL', 'FULL', 'FUND', 'GAIN', 'GAME', 'GATE', 'GAVE',
+    'GEAR', 'GENE', 'GIFT', 'GIRL', 'GIVE', 'GLAD', 'GOAL'
+];
+
+// Word graph of the common words, built the first time a board is judged without the dictionary
+GameEngine.commonWordGraph = null;
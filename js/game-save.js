@@ -0,0 +1,66 @@
+/**
+ * The game in progress, saved in localStorage so it can be continued later
+ * There is one save slot: GameScene writes it after every move and clears it
+ * when the level ends, and the menu offers to continue whatever is in it.
+ */
+class GameSave {
+    /**
+     * Write the game in progress
+     * @param {Object} state - Game state built by GameScene.saveGame
+     */
+    static save(state) {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(GameSave.STORAGE_KEY, JSON.stringify({
+                version: GameSave.VERSION,
+                savedAt: Date.now(),
+                ...state
+            }));
+        } catch (error) {
+            console.warn('Could not save the game:', error);
+        }
+    }
+
+    /**
+     * Read the saved game
+     * @param {Object[]} levels - Every level; a save for a level that no longer exists is ignored
+     *     (the Daily Challenge isn't a level file and is always kept)
+     * @returns {Object|null} The saved state, or null if there is nothing to continue
+     */
+    static load(levels) {
+        if (typeof localStorage === 'undefined') return null;
+
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(GameSave.STORAGE_KEY));
+        } catch (error) {
+            console.warn('Saved game is unreadable, discarding it:', error);
+            GameSave.clear();
+            return null;
+        }
+
+        if (!saved || saved.version !== GameSave.VERSION || !saved.engine) {
+            return null;
+        }
+        if (levels && !saved.daily && !levels.some(level => level.levelNumber === saved.levelNumber)) {
+            return null;
+        }
+
+        return saved;
+    }
+
+    /**
+     * Delete the saved game
+     */
+    static clear() {
+        if (typeof localStorage === 'undefined') return;
+
+        localStorage.removeItem(GameSave.STORAGE_KEY);
+    }
+}
+
+GameSave.STORAGE_KEY = 'sporesSavedGame';
+
+// Bump when the saved shape changes; older saves are then ignored
+GameSave.VERSION = 1;
@@ -4,25 +4,115 @@
 class GameScene extends Phaser.Scene {
     constructor() {
         super('GameScene');
+    }
+    
+    /**
+     * Prepare for a level; runs every time the scene starts or restarts
+     * @param {Object} data - Scene data
+     * @param {number} data.levelNumber - Level to play (defaults to where the campaign left off)
+     * @param {boolean} data.resume - Continue the saved game instead (see GameSave)
+     * @param {Object} data.replay - Play back a replay instead (see Replay)
+     * @param {string} data.daily - Play the Daily Challenge for this date ('YYYY-MM-DD') instead
+     * @param {Object} data.versus - Players' names and turns for a versus level ({names, turns}; the last ones chosen by default)
+     * @param {boolean} data.online - Play the online match the room server has started instead (see OnlineClient)
+     */
+    init(data) {
+        const levels = LevelLoader.levels || LevelLoader.FALLBACK_LEVELS;
+        
+        // Replays are watched, not played: nothing is saved and the player's input is ignored
+        this.replay = data.replay || null;
+        this.isReplay = !!this.replay;
+        
+        // A continued or replayed game picks up its level here; the rest is restored in create
+        this.savedGame = data.resume && !this.isReplay ? GameSave.load(levels) : null;
+        this.startState = this.isReplay ? this.replay.start : this.savedGame;
+        if (this.startState) {
+            this.levelNumber = this.startState.levelNumber;
+        } else if (data.daily) {
+            this.levelNumber = DailyChallenge.LEVEL_NUMBER;
+        } else if (data.online) {
+            this.levelNumber = OnlineClient.LEVEL_NUMBER;
+        } else {
+            this.levelNumber = data.levelNumber || new CampaignProgress().getResumeLevel(levels);
+        }
+        
+        // The Daily Challenge is played from a level built for its date rather than a level file
+        this.dailyDate = (this.startState ? this.startState.daily : data.daily) || null;
+        
+        // A versus match is set up in create, once the level is known
+        this.versusSettings = data.versus || null;
+        this.versus = null;
+        this.versusPanels = null;
+        this.turnText = null;
+        
+        // An online match is refereed by the room server; the connection is picked up in create
+        this.isOnline = !!data.online;
+        this.onlineClient = null;
+        this.onlineMatchOver = false;
         
         this.score = 0;
-        // Create a single instance of the word validator for the entire game
-        this.wordValidator = new WordValidator();
         
         // Track gameplay statistics
         this.stats = {
             wordsFormed: 0,
-            cascadesCreated: 0
+            cascadesCreated: 0,
+            bestWord: null,
+            bestWordScore: 0
         };
+        
+        // Snapshots taken before each word, newest last, for undo
+        this.undoStack = [];
+        
+        // Blitz countdown display, created for Blitz levels
+        this.blitzClock = null;
+        this.blitzClockTime = null;
+        
+        // Every different word played so far, in the order found
+        this.foundWords = [];
     }
     
     create() {
-        // Start loading the dictionary immediately
-        this.wordValidator.loadDictionary();
+        // The word validator is shared by every game and started loading in BootScene
+        this.wordValidator = this.registry.get('wordValidator');
+        this.hintsUseDictionary = false;
         
-        // Create the level manager and initialize level 1
+        // The Daily Challenge and online matches are played on levels built in code rather than level files
+        let customLevel = null;
+        if (this.dailyDate) {
+            customLevel = DailyChallenge.createLevel(this.dailyDate);
+        } else if (this.isOnline) {
+            this.onlineClient = OnlineScene.getClient(this.registry);
+            customLevel = OnlineClient.createLevel();
+        }
+        
+        // Create the level manager and initialize the chosen level
         this.levelManager = new LevelManager(this);
-        this.levelManager.initLevel(1);
+        this.levelManager.initLevel(this.levelNumber, customLevel);
+        const level = this.levelManager.getCurrentLevel();
+        
+        // Two players take turns on a versus level, each with their own score
+        if (this.levelManager.getMode() === 'versus') {
+            this.versus = new VersusMatch(this.versusSettings || VersusMatch.loadSettings());
+        }
+        
+        // Seed every random game decision so boards can be reproduced (?seed= in the URL).
+        // A level with its own seed, such as a puzzle, ignores the URL so it plays out as designed.
+        if (this.startState) {
+            this.seed = this.startState.seed;
+        } else if (this.dailyDate) {
+            this.seed = DailyChallenge.getSeed(this.dailyDate);
+        } else if (this.onlineClient) {
+            this.seed = this.onlineClient.game.seed;
+        } else if (level && level.seed) {
+            this.seed = level.seed;
+        } else {
+            this.seed = SeededRandom.getSeedFromUrl() || SeededRandom.generateSeed();
+        }
+        this.rng = new SeededRandom(this.seed);
+        console.log(`Game seed: ${this.seed}`);
+        
+        // Zen mode keeps the score, bonuses and high score out of sight
+        this.showScoring = this.levelManager.getMode() !== 'zen';
         
         // Create mycelium background
         const bgColor = 0x0a1a0a; // Dark green base
@@ -68,6 +158,9 @@ class GameScene extends Phaser.Scene {
             strokeThickness: 1
         }).setOrigin(0.5, 0);
         
+        // Show the seed so players can share or report this exact game
+        this.createSeedDisplay();
+        
         // Update dictionary status every second
         this.time.addEvent({
             delay: 1000,
@@ -76,76 +169,922 @@ class GameScene extends Phaser.Scene {
             loop: true
         });
         
-        // Calculate grid size based on game dimensions
-        const gridSize = Math.min(this.cameras.main.width, this.cameras.main.height) * 0.8;
-        const gridX = (this.cameras.main.width - gridSize) / 2;
-        const gridY = 100;
+        // Use the level's language pack and word filters
+        this.applyLevelSettings(level);
+        
+        // A saved board keeps the letters it was dealt with, even if the setting has changed since
+        if (this.startState && this.startState.language) {
+            this.applyLanguagePack(LanguagePacks.getPack(this.startState.language));
+        }
+        
+        // Calculate grid size based on game dimensions
+        const gridSize = Math.min(this.cameras.main.width, this.cameras.main.height) * 0.8;
+        const gridX = (this.cameras.main.width - gridSize) / 2;
+        const gridY = 100;
+        
+        // Create the game grid with appropriate grid size from level manager
+        this.grid = new Grid(this, gridX, gridY, gridSize, gridSize, level.gridSize);
+        
+        // Swap the freshly dealt board for the saved or replayed one
+        const restored = this.startState ? this.restoreState(this.startState) : false;
+        if (this.savedGame && !restored) {
+            GameSave.clear();
+        }
+        
+        // Online, the server's board replaces the one dealt here, and words are sent to the server to play
+        if (this.onlineClient) {
+            this.grid.engine.restore(this.onlineClient.game.board);
+            this.grid.submitPath = cells => this.onlineClient.submitPath(cells.map(cell => OnlineProtocol.toIndex(cell.row, cell.col)));
+            this.listenToOnlineClient();
+        }
+        
+        // Record this game, carrying on with a continued game's recording, or play the replay
+        if (this.isReplay) {
+            this.grid.inputEnabled = false;
+            this.grid.updateGameParameters(this.replay.parameters);
+            this.replayPlayer = new ReplayPlayer(this, this.replay);
+        } else {
+            this.startRecording(restored && this.savedGame.replay);
+            
+            // Starting the daily uses up the day's attempt
+            if (this.dailyDate && !restored) {
+                this.recordDailyResult(false);
+            }
+        }
+        
+        // Set up event listeners
+        this.events.on('wordSelected', this.onWordSelected, this);
+        this.events.on('invalidWord', this.onInvalidWord, this);
+        this.events.on('tilesExploded', this.onTilesExploded, this);
+        this.events.on('deadBoard', this.onDeadBoard, this);
+        this.events.on('boardShuffled', this.onBoardShuffled, this);
+        
+        // Initialize local storage if needed
+        this.initLocalStorage();
+        
+        // Create game settings panel
+        this.gameSettings = new GameSettings(this);
+
+        // Create level objectives UI
+        this.levelManager.createUI();
+
+        // Create word hint UI; hints aren't saved, so they are always found from the board
+        this.createHintUI();
+        this.updateHintWords();
+
+        // Show the level's tooltips
+        this.levelManager.showTooltips();
+        
+        // Blitz puts its countdown front and centre, Zen swaps the score for the words found,
+        // versus shows a score for each player and online shows the server's clock and everyone's scores
+        if (this.levelManager.getMode() === 'blitz') {
+            this.createBlitzClock();
+        } else if (!this.showScoring) {
+            this.createZenHUD();
+        } else if (this.versus) {
+            this.createVersusHUD();
+        } else if (this.onlineClient) {
+            this.createOnlineHUD();
+        }
+        
+        if (this.isReplay) {
+            // The replay's control bar replaces the pause and undo buttons
+            this.replayPlayer.start();
+            if (!restored) {
+                this.replayPlayer.finish('This replay does not fit the level');
+            }
+        } else if (this.onlineClient) {
+            // The other players carry on, so an online match can't be paused or taken back, only left
+            this.createLeaveButton();
+        } else {
+            // Esc or the pause button opens the pause menu
+            this.createPauseButton();
+            this.input.keyboard.on('keydown-ESC', this.pauseGame, this);
+            
+            // The undo button or Ctrl+Z takes back the last word
+            this.createUndoButton();
+            this.input.keyboard.on('keydown-Z', event => {
+                if (event.ctrlKey || event.metaKey) {
+                    this.undoMove();
+                }
+            });
+            
+            // Switching to another tab or window pauses a game that is on the clock
+            this.game.events.on('blur', this.onFocusLost, this);
+            this.game.events.on('hidden', this.onFocusLost, this);
+        }
+        
+        // Remove DOM overlays and listeners when leaving for another scene or restarting
+        this.events.once('shutdown', this.shutdown, this);
+    }
+    
+    /**
+     * Create the pause button under the high score
+     */
+    createPauseButton() {
+        const pauseButton = this.add.text(750, 75, '❚❚ Pause', {
+            fontFamily: 'Arial',
+            fontSize: '16px',
+            color: '#eeffee',
+            backgroundColor: '#442200',
+            padding: { x: 8, y: 4 }
+        }).setOrigin(1, 0.5);
+        pauseButton.setInteractive({ useHandCursor: true });
+        pauseButton.on('pointerdown', this.pauseGame, this);
+    }
+    
+    /**
+     * Create the undo button under the score
+     */
+    createUndoButton() {
+        this.undoButton = this.add.text(50, 75, '', {
+            fontFamily: 'Arial',
+            fontSize: '16px',
+            color: '#eeffee',
+            backgroundColor: '#442200',
+            padding: { x: 8, y: 4 }
+        }).setOrigin(0, 0.5);
+        this.undoButton.setInteractive({ useHandCursor: true });
+        this.undoButton.on('pointerdown', this.undoMove, this);
+        this.updateUndoButton();
+    }
+    
+    /**
+     * Show how many undos are left, dimming the button when there is nothing to undo
+     */
+    updateUndoButton() {
+        if (!this.undoButton) return;
+        
+        const undosLeft = this.levelManager.getUndosLeft();
+        this.undoButton.setText(`↶ Undo (${undosLeft})`);
+        this.undoButton.setAlpha(undosLeft > 0 && this.undoStack.length > 0 ? 1 : 0.4);
+    }
+    
+    /**
+     * Check if the last word can be taken back right now
+     * @returns {boolean} True if there is a move to undo and an undo left to spend
+     */
+    canUndo() {
+        if (this.undoStack.length === 0 || this.levelManager.getUndosLeft() === 0) {
+            return false;
+        }
+        if (this.levelManager.levelComplete || this.levelManager.levelFailed) {
+            return false;
+        }
+        
+        // Wait for the move's animations to finish
+        return !this.grid.isAnimating && !this.grid.waitingForDictionary;
+    }
+    
+    /**
+     * Take back the last word: board, spores, letters, score and objective progress
+     */
+    undoMove() {
+        if (!this.canUndo()) {
+            return;
+        }
+        
+        const snapshot = this.undoStack.pop();
+        this.grid.clearSelection();
+        this.grid.engine.restore(snapshot.engine);
+        this.rng.restore(snapshot.rng);
+        this.levelManager.undoTo(snapshot.level);
+        this.score = snapshot.score;
+        this.stats = { ...snapshot.stats };
+        this.foundWords = [...snapshot.foundWords];
+        if (this.versus) {
+            this.versus.restore(snapshot.versus);
+        }
+        this.scoreText.setText(`Score: ${this.score}`);
+        this.updateFoundWords();
+        this.updateVersusHUD();
+        
+        // Undoing is a way out of a board with no words left
+        this.hideDeadBoardUI();
+        this.grid.inputLocked = false;
+        
+        // A dead board search still running was for the board being undone
+        this.grid.deadBoardRequest = null;
+        this.updateHintWords();
+        this.updateUndoButton();
+        if (this.replayRecorder) {
+            this.replayRecorder.recordUndo();
+        }
+        this.saveGame();
+        console.log(`Undid last word, ${this.levelManager.getUndosLeft()} undos left`);
+    }
+    
+    /**
+     * Pause the game and open the pause menu
+     */
+    pauseGame() {
+        // A finished level already has its results screen
+        if (this.levelManager.levelComplete || this.levelManager.levelFailed) {
+            return;
+        }
+        
+        this.grid.clearSelection();
+        
+        // Keep the clock as it stands, in case the player leaves from the pause menu
+        this.saveGame();
+        
+        this.scene.pause();
+        this.scene.launch('PauseScene', {
+            levelNumber: this.levelManager.currentLevel,
+            daily: !!this.dailyDate,
+            replay: this.replayRecorder.serialize()
+        });
+    }
+    
+    /**
+     * Pause a timed level when the page loses focus, so the clock doesn't run while nobody is watching
+     */
+    onFocusLost() {
+        if (this.levelManager.timerEvent && !this.scene.isPaused()) {
+            this.pauseGame();
+        }
+    }
+    
+    /**
+     * Freeze the game and show the results screen on top of it
+     * @param {Object} results - Outcome details; see ResultsScene.init
+     */
+    showResults(results) {
+        // The Daily Challenge isn't won or lost: it ends when the moves or the board run out
+        if (this.dailyDate) {
+            results = { ...results, outcome: 'daily', date: this.dailyDate };
+        }
+        
+        // Blitz always ends in a score, usually when the clock runs out
+        if (this.levelManager.getMode() === 'blitz') {
+            const minutes = this.levelManager.getTimePlayed() / 60;
+            results = {
+                ...results,
+                outcome: 'blitz',
+                wordsPerMinute: minutes > 0 ? Math.round(this.stats.wordsFormed / minutes * 10) / 10 : 0
+            };
+        }
+        
+        // A replay just stops where the recorded game ended
+        if (this.isReplay) {
+            const endings = {
+                complete: 'Level complete!',
+                failed: `Level failed: ${results.reason}`,
+                gameOver: 'Game over',
+                daily: 'Daily Challenge over',
+                blitz: 'Blitz over',
+                versus: 'Match over'
+            };
+            this.replayPlayer.finish(endings[results.outcome]);
+            return;
+        }
+        
+        // A finished game can't be continued (an online match is never saved, so any saved game is kept)
+        if (!this.onlineClient) {
+            GameSave.clear();
+        }
+        this.recordDailyResult(true);
+        
+        this.hideDeadBoardUI();
+        this.scene.pause();
+        this.scene.launch('ResultsScene', {
+            levelNumber: this.levelManager.currentLevel,
+            nextLevel: null,
+            score: this.score,
+            stats: { ...this.stats },
+            replay: this.replayRecorder.serialize(),
+            ...results
+        });
+    }
+    
+    /**
+     * Save the game so it can be continued after the tab is closed
+     * Called once each move has resolved; levels that have ended, replays and online matches are not saved.
+     */
+    saveGame() {
+        if (!this.grid || this.isReplay || this.onlineClient || this.levelManager.levelComplete || this.levelManager.levelFailed) {
+            return;
+        }
+        
+        GameSave.save({
+            ...this.captureState(),
+            replay: this.replayRecorder.serialize()
+        });
+        this.recordDailyResult(false);
+    }
+    
+    /**
+     * Record the Daily Challenge score as it stands, so an abandoned attempt still counts
+     * @param {boolean} finished - Whether the attempt is over
+     */
+    recordDailyResult(finished) {
+        if (!this.dailyDate || this.isReplay) {
+            return;
+        }
+        
+        new DailyChallenge().recordResult(this.dailyDate, this.score, this.stats, finished);
+    }
+    
+    /**
+     * Capture everything needed to continue the game from this point
+     * Used for the saved game, undo snapshots and the start of a replay.
+     * @returns {Object} Plain data for GameSave or the undo stack
+     */
+    captureState() {
+        return {
+            levelNumber: this.levelManager.currentLevel,
+            daily: this.dailyDate,
+            language: this.wordValidator.pack.id,
+            seed: this.seed,
+            rng: this.rng.serialize(),
+            score: this.score,
+            stats: { ...this.stats },
+            foundWords: [...this.foundWords],
+            versus: this.versus ? this.versus.serialize() : null,
+            level: this.levelManager.serialize(),
+            engine: this.grid.engine.serialize()
+        };
+    }
+    
+    /**
+     * Put the board, score and level progress back as they were captured
+     * @param {Object} saved - State from captureState, from a saved game or the start of a replay
+     * @returns {boolean} True if restored; otherwise the freshly dealt board is kept
+     */
+    restoreState(saved) {
+        try {
+            this.grid.engine.restore(saved.engine);
+        } catch (error) {
+            console.warn('Game state could not be restored, keeping the new board:', error);
+            return false;
+        }
+        
+        this.rng.restore(saved.rng);
+        this.levelManager.restore(saved.level);
+        this.score = saved.score || 0;
+        this.stats = { ...this.stats, ...saved.stats };
+        this.foundWords = [...(saved.foundWords || [])];
+        if (this.versus && saved.versus) {
+            this.versus.restore(saved.versus);
+        }
+        this.scoreText.setText(`Score: ${this.score}`);
+        
+        console.log(`Continuing level ${saved.levelNumber} with score ${this.score}`);
+        return true;
+    }
+    
+    /**
+     * Start recording the game for replays, from the board as it is now
+     * @param {Object} savedReplay - Recording to carry on with, from a continued game
+     */
+    startRecording(savedReplay = null) {
+        this.replayRecorder = new ReplayRecorder(this.grid.engine, this.captureState(), savedReplay || null);
+    }
+    
+    /**
+     * Tear down everything the scene added outside Phaser's display list
+     * Phaser clears tweens, timers and game objects itself, but not DOM
+     * overlays or listeners on the scene's own event emitter.
+     */
+    shutdown() {
+        this.events.off('wordSelected', this.onWordSelected, this);
+        this.events.off('invalidWord', this.onInvalidWord, this);
+        this.events.off('tilesExploded', this.onTilesExploded, this);
+        this.events.off('deadBoard', this.onDeadBoard, this);
+        this.events.off('boardShuffled', this.onBoardShuffled, this);
+        this.game.events.off('blur', this.onFocusLost, this);
+        this.game.events.off('hidden', this.onFocusLost, this);
+        
+        if (this.grid) {
+            this.grid.cleanup();
+            this.grid = null;
+        }
+        
+        this.levelManager.cleanup();
+        this.gameSettings.destroy();
+        this.hideDeadBoardUI();
+        if (this.replayPlayer) {
+            this.replayPlayer.destroy();
+            this.replayPlayer = null;
+        }
+        if (this.onlineClient) {
+            this.stopListeningToOnlineClient();
+        }
+        if (this.onlineScoresContainer) {
+            this.onlineScoresContainer.remove();
+            this.onlineScoresContainer = null;
+        }
+        if (this.hintContainer) {
+            this.hintContainer.remove();
+            this.hintContainer = null;
+            this.hintLists = null;
+        }
+        if (this.foundWordsContainer) {
+            this.foundWordsContainer.remove();
+            this.foundWordsContainer = null;
+        }
+        
+        // Menus drawn over this game go with it
+        this.scene.stop('PauseScene');
+        this.scene.stop('ResultsScene');
+    }
+    
+    /**
+     * Apply a level's language pack and word filters
+     * @param {Object} level - Level definition
+     */
+    applyLevelSettings(level) {
+        this.applyLanguagePack(LanguagePacks.getPackForLevel(level));
+        this.wordValidator.setCommonWordsOnly(!!(level && level.commonWordsOnly));
+    }
+    
+    /**
+     * Switch the letters, scoring and dictionary to a language pack
+     * @param {Object} pack - The language pack
+     */
+    applyLanguagePack(pack) {
+        LetterData.usePack(pack);
+        
+        if (this.wordValidator.pack !== pack) {
+            this.wordValidator.setLanguagePack(pack);
+            
+            // Show loading progress again and refresh hints once the new words arrive
+            this.hintsUseDictionary = false;
+            if (this.dictStatusText) {
+                this.dictStatusText.setVisible(true);
+            }
+        }
+        
+        if (this.grid) {
+            this.grid.engine.minWordLength = pack.minWordLength;
+        }
+    }
+    
+    /**
+     * Handle a language pack chosen in settings
+     * @param {string} packId - Id of the chosen pack
+     */
+    onLanguageSelected(packId) {
+        LanguagePacks.setSelectedId(packId);
+        
+        // Levels with their own language keep it, and so do replays and the daily's single attempt;
+        // the choice applies from the next level
+        const level = this.levelManager.getCurrentLevel();
+        if ((level && level.language) || this.isReplay || this.dailyDate) {
+            return;
+        }
+        
+        this.applyLanguagePack(LanguagePacks.getPack(packId));
+        
+        // Deal a fresh board with the new letters
+        if (this.grid) {
+            this.grid.resetGrid();
+            this.updateHintWords();
+            
+            // Snapshots of the old board can't be undone into, and the recording starts over
+            this.undoStack = [];
+            this.updateUndoButton();
+            this.startRecording();
+            this.saveGame();
+        }
+    }
+    
+    /**
+     * Update the dictionary status text
+     */
+    updateDictionaryStatus() {
+        if (this.wordValidator.loaded) {
+            // Hints found before the dictionary arrived came from an empty word list
+            if (!this.hintsUseDictionary) {
+                this.hintsUseDictionary = true;
+                this.updateHintWords();
+                
+                // The board was dealt before words could be checked
+                if (this.grid) {
+                    this.grid.checkDeadBoard();
+                }
+            }
+
+            this.dictStatusText.setText(`Dictionary loaded: ${this.wordValidator.wordCount} words`);
+            this.dictStatusText.setColor('#007700');
+            // Hide after 3 seconds
+            this.time.delayedCall(3000, () => {
+                this.dictStatusText.setVisible(false);
+            });
+        } else if (this.wordValidator.loading) {
+            this.dictStatusText.setText(`Loading dictionary... ${this.wordValidator.progress}%`);
+            this.dictStatusText.setColor('#ff8800');
+        } else {
+            this.dictStatusText.setText('Dictionary failed to load!');
+            this.dictStatusText.setColor('#cc0000');
+        }
+    }
+    
+    /**
+     * Create the seed label in the bottom-left corner
+     * Clicking it copies a link that reproduces this game
+     */
+    createSeedDisplay() {
+        this.seedText = this.add.text(10, 590, `Seed: ${this.seed}`, {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#aaddaa',
+            stroke: '#113311',
+            strokeThickness: 1
+        }).setOrigin(0, 1);
+        this.seedText.setAlpha(0.7);
+        this.seedText.setInteractive({ useHandCursor: true });
+        
+        this.seedText.on('pointerdown', () => {
+            const url = new URL(window.location.href);
+            url.searchParams.set('seed', this.seed);
+            
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(url.toString())
+                    .then(() => this.seedText.setText(`Seed: ${this.seed} (link copied)`))
+                    .catch(error => console.error('Could not copy seed link:', error));
+            }
+        });
+    }
+    
+    /**
+     * Initialize local storage for saving game state
+     */
+    initLocalStorage() {
+        if (localStorage.getItem('sporesHighScore') === null) {
+            localStorage.setItem('sporesHighScore', '0');
+        }
+        
+        // Display high score with improved styling to match score display
+        const highScore = parseInt(localStorage.getItem('sporesHighScore'));
+        this.highScoreText = this.add.text(750, 35, `High Score: ${highScore}`, {
+            fontFamily: 'Arial',
+            fontSize: '24px',
+            fontWeight: 'bold',
+            color: '#ffffff',
+            stroke: '#225522',
+            strokeThickness: 2,
+            shadow: { offsetX: 1, offsetY: 1, color: '#000000', blur: 2, fill: true }
+        }).setOrigin(1, 0.5);
+    }
+    
+    /**
+     * Create the large countdown above the board, for Blitz and online matches
+     */
+    createBlitzClock() {
+        this.blitzClock = this.add.text(400, 35, '', {
+            fontFamily: 'Arial',
+            fontSize: '32px',
+            fontWeight: 'bold',
+            color: '#ffffff',
+            stroke: '#442200',
+            strokeThickness: 3,
+            shadow: { offsetX: 1, offsetY: 1, color: '#000000', blur: 2, fill: true }
+        }).setOrigin(0.5);
+        this.updateBlitzClock();
+    }
+    
+    /**
+     * Set up Zen mode's calmer HUD: no score, a slower chain reaction and the list of words found
+     */
+    createZenHUD() {
+        this.scoreText.setVisible(false);
+        this.highScoreText.setVisible(false);
+        this.grid.animationPace = GameScene.ZEN_ANIMATION_PACE;
+        
+        this.foundWordsContainer = document.createElement('div');
+        this.foundWordsContainer.className = 'found-words-container';
+        
+        this.foundWordsTitle = document.createElement('div');
+        this.foundWordsTitle.className = 'hint-title';
+        this.foundWordsContainer.appendChild(this.foundWordsTitle);
+        
+        this.foundWordsList = document.createElement('ul');
+        this.foundWordsContainer.appendChild(this.foundWordsList);
+        
+        const gameContainer = document.getElementById('game-container');
+        if (gameContainer) {
+            gameContainer.appendChild(this.foundWordsContainer);
+        } else {
+            document.body.appendChild(this.foundWordsContainer);
+        }
+        
+        this.updateFoundWords();
+    }
+    
+    /**
+     * Refresh Zen mode's list of words found, newest first
+     */
+    updateFoundWords() {
+        if (!this.foundWordsContainer) return;
+        
+        this.foundWordsTitle.textContent = `Words Found (${this.foundWords.length})`;
+        this.foundWordsList.innerHTML = '';
+        [...this.foundWords].reverse().forEach(word => {
+            const li = document.createElement('li');
+            li.textContent = word;
+            this.foundWordsList.appendChild(li);
+        });
+    }
+    
+    /**
+     * Set up the versus HUD: a score panel for each player either side of the turn indicator
+     */
+    createVersusHUD() {
+        this.scoreText.setVisible(false);
+        this.highScoreText.setVisible(false);
+        
+        const style = {
+            fontFamily: 'Arial',
+            fontSize: '22px',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 3,
+            backgroundColor: 'rgba(0, 0, 0, 0.4)',
+            padding: { x: 10, y: 4 }
+        };
+        this.versusPanels = [
+            this.add.text(50, 35, '', { ...style, color: VersusMatch.PLAYER_COLORS[0] }).setOrigin(0, 0.5),
+            this.add.text(750, 35, '', { ...style, color: VersusMatch.PLAYER_COLORS[1] }).setOrigin(1, 0.5)
+        ];
+        
+        this.turnText = this.add.text(400, 35, '', {
+            fontFamily: 'Arial',
+            fontSize: '20px',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+        
+        this.updateVersusHUD();
+    }
+    
+    /**
+     * Show each player's score and whose turn it is, dimming the player who is waiting
+     */
+    updateVersusHUD() {
+        if (!this.versusPanels) return;
+        
+        const current = this.versus.getCurrentIndex();
+        this.versus.players.forEach((player, i) => {
+            const marker = i === current ? '▶ ' : '';
+            this.versusPanels[i].setText(`${marker}${player.name}: ${player.score}`);
+            this.versusPanels[i].setAlpha(i === current ? 1 : 0.5);
+        });
+        
+        const player = this.versus.getCurrentPlayer();
+        this.turnText.setText(`${player.name}'s turn · ${this.versus.getRound()}/${this.versus.turnsPerPlayer}`);
+        this.turnText.setColor(VersusMatch.PLAYER_COLORS[current]);
+    }
+    
+    /**
+     * Credit the move's chain reaction to the player who played it and pass the turn
+     * The match ends once every turn has been played.
+     * @param {number} bonus - Cascade bonus points the move earned
+     * @param {number} cascades - Cascades it set off
+     */
+    endVersusTurn(bonus, cascades) {
+        this.versus.endTurn(bonus, cascades);
+        this.updateVersusHUD();
+        
+        if (this.versus.isOver()) {
+            this.endVersusMatch('Every turn has been played.');
+            return;
+        }
+        
+        const player = this.versus.getCurrentPlayer();
+        this.showBonusText(170, `${player.name}'s turn`, '28px', VersusMatch.PLAYER_COLORS[this.versus.getCurrentIndex()], 30, 1500);
+    }
+    
+    /**
+     * End the versus match and show who won, once the turns or the words run out
+     * A match isn't passed or failed like a level, so it goes straight to the results.
+     * @param {string} reason - Why the match ended
+     */
+    endVersusMatch(reason) {
+        this.levelManager.stopTimer();
+        this.grid.inputLocked = true;
+        this.grid.clearSelection();
+        
+        this.showResults({
+            outcome: 'versus',
+            reason,
+            players: this.versus.serialize().players,
+            winner: this.versus.getWinnerIndex()
+        });
+    }
+    
+    /**
+     * Set up the online HUD: the server's countdown above the board and everyone's scores beside it
+     */
+    createOnlineHUD() {
+        this.highScoreText.setVisible(false);
+        this.createBlitzClock();
+        
+        this.onlineScoresContainer = document.createElement('div');
+        this.onlineScoresContainer.className = 'online-scores-container';
+        
+        this.onlineScoresTitle = document.createElement('div');
+        this.onlineScoresTitle.className = 'hint-title';
+        this.onlineScoresContainer.appendChild(this.onlineScoresTitle);
+        
+        this.onlineScoresList = document.createElement('ul');
+        this.onlineScoresContainer.appendChild(this.onlineScoresList);
+        
+        const gameContainer = document.getElementById('game-container');
+        if (gameContainer) {
+            gameContainer.appendChild(this.onlineScoresContainer);
+        } else {
+            document.body.appendChild(this.onlineScoresContainer);
+        }
+        
+        this.syncOnlineScore(this.onlineClient.game.players);
+        this.updateOnlineHUD();
+    }
+    
+    /**
+     * Show every player's score, dimming players who have lost their connection
+     */
+    updateOnlineHUD() {
+        if (!this.onlineScoresContainer) return;
+        
+        const client = this.onlineClient;
+        const room = client.room;
+        const connection = client.status === 'connected' ? '' : ' · reconnecting…';
+        this.onlineScoresTitle.textContent = `Room ${room ? room.code : ''}${connection}`;
         
-        // Create the game grid with appropriate grid size from level manager
-        const level = this.levelManager.getCurrentLevel();
-        this.grid = new Grid(this, gridX, gridY, gridSize, gridSize, level.gridSize);
+        const players = client.game ? client.game.players : [];
+        this.onlineScoresList.innerHTML = '';
+        players.forEach((player, i) => {
+            const seat = room && room.players.find(candidate => candidate.id === player.id);
+            const li = document.createElement('li');
+            li.textContent = `${player.name}: ${player.score}`;
+            li.style.color = OnlineProtocol.PLAYER_COLORS[i];
+            li.style.fontWeight = player.id === client.playerId ? 'bold' : 'normal';
+            li.style.opacity = seat && seat.connected ? '1' : '0.5';
+            this.onlineScoresList.appendChild(li);
+        });
+    }
+    
+    /**
+     * Create the button that leaves an online match, where the pause button would be
+     */
+    createLeaveButton() {
+        const leaveButton = this.add.text(750, 75, '✕ Leave', {
+            fontFamily: 'Arial',
+            fontSize: '16px',
+            color: '#eeffee',
+            backgroundColor: '#442200',
+            padding: { x: 8, y: 4 }
+        }).setOrigin(1, 0.5);
+        leaveButton.setInteractive({ useHandCursor: true });
+        leaveButton.on('pointerdown', () => {
+            this.onlineClient.leaveRoom();
+            this.scene.start('OnlineScene');
+        });
+    }
+    
+    /**
+     * Follow the online match as the server reports it
+     */
+    listenToOnlineClient() {
+        this.onlineClient.on('started', this.onOnlineStarted, this);
+        this.onlineClient.on('move', this.onOnlineMove, this);
+        this.onlineClient.on('rejected', this.onInvalidWord, this);
+        this.onlineClient.on('ended', this.onOnlineEnded, this);
+        this.onlineClient.on('room', this.updateOnlineHUD, this);
+        this.onlineClient.on('status', this.updateOnlineHUD, this);
+    }
+    
+    /**
+     * Stop following the online match; the connection stays open for the lobby
+     */
+    stopListeningToOnlineClient() {
+        this.onlineClient.off('started', this.onOnlineStarted, this);
+        this.onlineClient.off('move', this.onOnlineMove, this);
+        this.onlineClient.off('rejected', this.onInvalidWord, this);
+        this.onlineClient.off('ended', this.onOnlineEnded, this);
+        this.onlineClient.off('room', this.updateOnlineHUD, this);
+        this.onlineClient.off('status', this.updateOnlineHUD, this);
+    }
+    
+    /**
+     * Catch up with the match after rejoining it, or play the rematch once this one is over
+     * @param {Object} game - {seed, board, version, timeLeft, players}
+     */
+    onOnlineStarted(game) {
+        if (this.onlineMatchOver) {
+            this.scene.restart({ online: true });
+            return;
+        }
         
-        // Set up event listeners
-        this.events.on('wordSelected', this.onWordSelected, this);
-        this.events.on('invalidWord', this.onInvalidWord, this);
-        this.events.on('tilesExploded', this.onTilesExploded, this);
+        this.showOnlineBoard(game.board);
+        this.syncOnlineScore(game.players);
+        this.updateOnlineHUD();
+    }
+    
+    /**
+     * Show a word played by anyone in the room, on the board the server sent back
+     * @param {Object} move - {playerId, word, score, cascades, shuffled, board, version, players}
+     */
+    onOnlineMove(move) {
+        this.showOnlineBoard(move.board);
         
-        // Initialize local storage if needed
-        this.initLocalStorage();
+        const index = move.players.findIndex(player => player.id === move.playerId);
+        const player = move.players[index];
+        this.showBonusText(100, `${player.name}: ${move.word} +${move.score}`, '24px', OnlineProtocol.PLAYER_COLORS[index], 30, 1500);
+        if (move.shuffled) {
+            this.showBonusText(140, 'Out of words: board shuffled', '24px', '#ffffff', 30, 1500);
+        }
         
-        // Create game settings panel
-        this.gameSettings = new GameSettings(this);
-
-        // Create level objectives UI
-        this.levelManager.createUI();
-
-        // Create word hint UI
-        this.createHintUI();
+        if (move.playerId === this.onlineClient.playerId) {
+            if (!this.foundWords.includes(move.word)) {
+                this.foundWords.push(move.word);
+            }
+            this.checkHintWord(move.word);
+        }
+        
+        this.syncOnlineScore(move.players);
+        this.updateOnlineHUD();
+    }
+    
+    /**
+     * Show the final scores once the server's clock runs out
+     * @param {Object} results - {players, winner}
+     */
+    onOnlineEnded(results) {
+        this.onlineMatchOver = true;
+        this.grid.clearSelection();
+        this.showResults({ outcome: 'online', reason: 'Time is up!', ...results });
+    }
+    
+    /**
+     * Replace the board with the server's
+     * @param {Object} board - Engine state from the server
+     */
+    showOnlineBoard(board) {
+        // Whatever was being traced was on the old board
+        this.grid.clearSelection();
+        this.grid.isSelecting = false;
+        this.grid.engine.restore(board);
+        this.grid.inputLocked = false;
         this.updateHintWords();
-
-        // Show tooltips for the tutorial level
-        this.levelManager.showTooltips();
     }
     
     /**
-     * Update the dictionary status text
+     * Take this player's score and stats from the server's scores
+     * @param {Object[]} players - Every player's {id, score, words, cascades, bestWord, bestWordScore}
      */
-    updateDictionaryStatus() {
-        if (this.wordValidator.loaded) {
-            this.dictStatusText.setText(`Dictionary loaded: ${this.wordValidator.dictionary.size} words`);
-            this.dictStatusText.setColor('#007700');
-            // Hide after 3 seconds
-            this.time.delayedCall(3000, () => {
-                this.dictStatusText.setVisible(false);
-            });
-        } else if (this.wordValidator.loading) {
-            this.dictStatusText.setText('Loading dictionary...');
-            this.dictStatusText.setColor('#ff8800');
-        } else {
-            this.dictStatusText.setText('Dictionary failed to load!');
-            this.dictStatusText.setColor('#cc0000');
-        }
+    syncOnlineScore(players) {
+        const me = players.find(player => player.id === this.onlineClient.playerId);
+        if (!me) return;
+        
+        this.score = me.score;
+        this.stats = {
+            wordsFormed: me.words,
+            cascadesCreated: me.cascades,
+            bestWord: me.bestWord,
+            bestWordScore: me.bestWordScore
+        };
+        this.scoreText.setText(`Score: ${this.score}`);
     }
     
     /**
-     * Initialize local storage for saving game state
+     * Show the time left on the countdown, in red for the last few seconds
      */
-    initLocalStorage() {
-        if (localStorage.getItem('sporesHighScore') === null) {
-            localStorage.setItem('sporesHighScore', '0');
+    updateBlitzClock() {
+        // An online match runs on the server's clock
+        const timeLeft = this.onlineClient ? this.onlineClient.getTimeLeft() : this.levelManager.timeLeft;
+        if (!this.blitzClock || timeLeft === this.blitzClockTime) {
+            return;
         }
         
-        // Display high score with improved styling to match score display
-        const highScore = parseInt(localStorage.getItem('sporesHighScore'));
-        this.add.text(750, 35, `High Score: ${highScore}`, {
+        this.blitzClockTime = timeLeft;
+        this.blitzClock.setText(`${Math.floor(timeLeft / 60)}:${String(timeLeft % 60).padStart(2, '0')}`);
+        this.blitzClock.setColor(timeLeft <= LevelManager.LOW_TIME ? '#ff5555' : '#ffffff');
+    }
+    
+    /**
+     * Float the bonus time earned by a word up from the Blitz countdown
+     * @param {number} seconds - Seconds added
+     */
+    showTimeBonus(seconds) {
+        const bonusText = this.add.text(470, 35, `+${seconds}s`, {
             fontFamily: 'Arial',
             fontSize: '24px',
             fontWeight: 'bold',
-            color: '#ffffff',
-            stroke: '#225522',
-            strokeThickness: 2,
-            shadow: { offsetX: 1, offsetY: 1, color: '#000000', blur: 2, fill: true }
-        }).setOrigin(1, 0.5);
+            color: '#66ff66'
+        }).setOrigin(0, 0.5);
+        
+        this.tweens.add({
+            targets: bonusText,
+            y: '-= 25',
+            alpha: 0,
+            duration: 1200,
+            onComplete: () => {
+                bonusText.destroy();
+            }
+        });
     }
     
     /**
@@ -157,6 +1096,8 @@ class GameScene extends Phaser.Scene {
             return;
         }
         
+        this.updateBlitzClock();
+        
         // Update the grid (for path drawing)
         if (this.grid.update) {
             this.grid.update();
@@ -173,22 +1114,17 @@ class GameScene extends Phaser.Scene {
                 const word = this.wordValidator.getWordFromTiles(this.grid.selectedTiles);
                 this.wordText.setText(word);
                 
-                // Show validity status
-                if (this.grid.selectedTiles.length >= 3) {
-                    // Check if it's a valid word
-                    if (this.wordValidator.dictionary && this.wordValidator.dictionary.size > 0) {
-                        const isValid = this.wordValidator.isValid(word);
-                        if (isValid) {
-                            this.wordText.setColor('#007700'); // Valid (green)
-                        } else {
-                            this.wordText.setColor('#cc0000'); // Invalid (red)
-                        }
-                    } else {
-                        // Dictionary not loaded yet, show as provisional
-                        this.wordText.setColor('#ffaa00'); // Orange - dictionary loading
-                    }
+                // Show validity status, flagging paths that can no longer become a word
+                const status = this.grid.getSelectionStatus();
+                if (status === 'unknown') {
+                    // Dictionary not loaded yet, show as provisional
+                    this.wordText.setColor('#ffaa00'); // Orange - dictionary loading
+                } else if (status === 'word') {
+                    this.wordText.setColor('#007700'); // Valid (green)
+                } else if (status === 'dead') {
+                    this.wordText.setColor('#cc0000'); // No word starts with this (red)
                 } else {
-                    this.wordText.setColor('#770000'); // Too short (red)
+                    this.wordText.setColor('#336699'); // Can still become a word (blue)
                 }
             } else {
                 this.wordText.setText('');
@@ -208,16 +1144,32 @@ class GameScene extends Phaser.Scene {
      * @param {number} score - The word score
      */
     onWordSelected(word, score) {
+        // The engine reports the word before changing the board, so this snapshot is the board it was played on
+        this.pushUndoSnapshot();
+        
         // Add to player score
         this.score += score;
         this.scoreText.setText(`Score: ${this.score}`);
         
+        // In versus the word scores for the player whose turn it is
+        if (this.versus) {
+            this.versus.addWord(word, score);
+            this.updateVersusHUD();
+        }
+        
         // Update stats
         this.stats.wordsFormed++;
+        if (score > this.stats.bestWordScore) {
+            this.stats.bestWord = word;
+            this.stats.bestWordScore = score;
+        }
+        if (!this.foundWords.includes(word)) {
+            this.foundWords.push(word);
+            this.updateFoundWords();
+        }
         
-        // Update level manager progress
-        this.levelManager.updateProgress('words', 1);
-        this.levelManager.setProgress('score', this.score);
+        // The move counts towards the objectives once its chain reaction is over
+        this.levelManager.useMove();
         
         // Display word briefly
         this.wordText.setText(word);
@@ -236,129 +1188,158 @@ class GameScene extends Phaser.Scene {
         // Check if this word was one of the hints
         this.checkHintWord(word);
         
-        // Update high score if needed
+        this.updateHighScore();
+    }
+    
+    /**
+     * Save the score as the high score if it beats it
+     * Scores reached while watching a replay, playing Zen mode or against others don't count.
+     */
+    updateHighScore() {
+        if (this.isReplay || !this.showScoring || this.versus || this.onlineClient) return;
+        
         const highScore = parseInt(localStorage.getItem('sporesHighScore'));
         if (this.score > highScore) {
             localStorage.setItem('sporesHighScore', this.score.toString());
         }
-
+    }
+    
+    /**
+     * Remember the game as it is, so the next word can be undone
+     * Only as many snapshots are kept as there are undos left to spend.
+     */
+    pushUndoSnapshot() {
+        const undosLeft = this.levelManager.getUndosLeft();
+        if (undosLeft === 0) {
+            return;
+        }
+        
+        this.undoStack.push(this.captureState());
+        if (this.undoStack.length > undosLeft) {
+            this.undoStack.shift();
+        }
     }
     
     /**
      * Handle tiles exploded event
      * @param {number} count - Number of tiles exploded
      * @param {number} cascades - Number of cascade explosions
+     * @param {Object} move - Move summary from the engine (chain depth and exploded cells)
      */
-    onTilesExploded(count, cascades) {
+    onTilesExploded(count, cascades, move = {}) {
+        const scoreBeforeBonuses = this.score;
+        
+        // The engine sets the bonuses, so online matches and the puzzle checker score chains the same way
+        const bonuses = this.grid.engine.calculateCascadeBonuses(cascades);
+        
         // Add cascade bonus (only if there were actual cascades)
         if (cascades > 0) {
             // Update stats
             this.stats.cascadesCreated += cascades;
             
-            // Update level manager progress
-            this.levelManager.updateProgress('cascade', cascades);
-            
-            const cascadeBonus = cascades * 15; // Increased to 15 points per cascade
+            const cascadeBonus = bonuses.cascade;
             this.score += cascadeBonus;
             this.scoreText.setText(`Score: ${this.score}`);
-            this.levelManager.setProgress('score', this.score);
             
             // Display cascade bonus message
-            const bonusText = this.add.text(400, 70, `Cascade Bonus: +${cascadeBonus}`, {
-                fontFamily: 'Arial',
-                fontSize: '24px',
-                fontWeight: 'bold',
-                color: '#ff7700'
-            }).setOrigin(0.5, 0);
-            
-            // Animate and remove after a delay
-            this.tweens.add({
-                targets: bonusText,
-                y: '+= 30',
-                alpha: 0,
-                duration: 1500,
-                onComplete: () => {
-                    bonusText.destroy();
-                }
-            });
+            this.showBonusText(70, `Cascade Bonus: +${cascadeBonus}`, '24px', '#ff7700', 30, 1500);
         }
         
         // Spore overload bonus (3+ tiles in one cascade)
-        if (cascades >= 3) {
-            const overloadBonus = 50; // 50 points for spore overload
+        if (bonuses.overload > 0) {
+            const overloadBonus = bonuses.overload;
             this.score += overloadBonus;
             this.scoreText.setText(`Score: ${this.score}`);
-            this.levelManager.setProgress('score', this.score);
             
             // Display overload bonus message
-            const overloadText = this.add.text(400, 100, `Spore Overload: +${overloadBonus}`, {
-                fontFamily: 'Arial',
-                fontSize: '28px',
-                fontWeight: 'bold',
-                color: '#aa00ff'
-            }).setOrigin(0.5, 0);
-            
-            // Animate and remove after a delay
-            this.tweens.add({
-                targets: overloadText,
-                y: '+= 40',
-                alpha: 0,
-                duration: 2000,
-                onComplete: () => {
-                    overloadText.destroy();
-                }
-            });
+            this.showBonusText(100, `Spore Overload: +${overloadBonus}`, '28px', '#aa00ff', 40, 2000);
         }
         
         // Max cascade bonus (if we hit the limit)
-        if (cascades >= 8) {
-            const maxCascadeBonus = 100; // Bonus for reaching max cascade limit
+        if (bonuses.maxCascade > 0) {
+            const maxCascadeBonus = bonuses.maxCascade;
             this.score += maxCascadeBonus;
-            this.levelManager.setProgress('score', this.score);
             
             // Display max cascade bonus message
-            const maxCascadeText = this.add.text(400, 140, `MAX CASCADE: +${maxCascadeBonus}!`, {
-                fontFamily: 'Arial',
-                fontSize: '32px',
-                fontWeight: 'bold',
-                color: '#ff00ff'
-            }).setOrigin(0.5, 0);
-            
-            // Animate and remove after a delay
-            this.tweens.add({
-                targets: maxCascadeText,
-                y: '+= 50',
-                alpha: 0,
-                duration: 2500,
-                onComplete: () => {
-                    maxCascadeText.destroy();
-                }
-            });
+            this.showBonusText(140, `MAX CASCADE: +${maxCascadeBonus}!`, '32px', '#ff00ff', 50, 2500);
         }
         
-        // Update high score if needed
-        const highScore = parseInt(localStorage.getItem('sporesHighScore'));
-        if (this.score > highScore) {
-            localStorage.setItem('sporesHighScore', this.score.toString());
+        this.updateHighScore();
+        
+        // Count the word and its chain reaction towards the level's objectives
+        this.levelManager.recordMove(move, this.score);
+        
+        // The chain reaction's bonuses belong to whoever played the word, then the other player is up
+        if (this.versus) {
+            this.endVersusTurn(this.score - scoreBeforeBonuses, cascades);
         }
 
-        // Refresh hints after the board changes
+        // Blitz rewards long words and deep chains with time on the clock
+        const bonusSeconds = this.levelManager.awardTimeBonus(move.word || '', move.chainDepth || 0);
+        if (bonusSeconds > 0) {
+            this.showTimeBonus(bonusSeconds);
+        }
+        
+        // Refresh hints after the board changes, then save the finished move
         this.time.delayedCall(400, () => {
             this.updateHintWords();
+            this.saveGame();
+        });
+        this.updateUndoButton();
+        
+        // With the bonuses counted, the level may be out of moves
+        this.levelManager.checkMoveLimit();
+    }
+    
+    /**
+     * Float a bonus message down from above the board and fade it out
+     * Zen mode keeps the score out of sight, so it shows no bonuses.
+     * @param {number} y - Starting Y position
+     * @param {string} text - Message
+     * @param {string} fontSize - CSS font size
+     * @param {string} color - Text colour
+     * @param {number} drop - Distance the message falls as it fades (px)
+     * @param {number} duration - Fade time (ms)
+     */
+    showBonusText(y, text, fontSize, color, drop, duration) {
+        if (!this.showScoring) {
+            return;
+        }
+        
+        const bonusText = this.add.text(400, y, text, {
+            fontFamily: 'Arial',
+            fontSize,
+            fontWeight: 'bold',
+            color
+        }).setOrigin(0.5, 0);
+        
+        // Animate and remove after a delay
+        this.tweens.add({
+            targets: bonusText,
+            y: `+= ${drop}`,
+            alpha: 0,
+            duration,
+            onComplete: () => {
+                bonusText.destroy();
+            }
         });
     }
     
     /**
      * Handle invalid word selection
      * @param {string} word - The invalid word
+     * @param {string} message - Why it was turned down
      */
-    onInvalidWord(word) {
+    onInvalidWord(word, message = 'Not in dictionary!') {
+        // Count the attempt against the level's mistake limit
+        this.levelManager.recordInvalidWord();
+        
         // Display the invalid word in red
         this.wordText.setText(word);
         this.wordText.setColor('#cc0000');
         
         // Show an error message
-        const invalidText = this.add.text(400, 70, 'Not in dictionary!', {
+        const invalidText = this.add.text(400, 70, message, {
             fontFamily: 'Arial',
             fontSize: '24px',
             fontWeight: 'bold',
@@ -392,6 +1373,155 @@ class GameScene extends Phaser.Scene {
         // this.sound.play('error');
     }
     
+    /**
+     * Handle a board with no playable words left
+     * @param {number} shufflesRemaining - Shuffles the player can still use
+     */
+    onDeadBoard(shufflesRemaining) {
+        // Online, the server shuffles a dead board for everyone
+        if (this.onlineClient) return;
+        
+        // A puzzle that runs out of words can't be finished, but it can be tried again
+        if (this.levelManager.getMode() === 'puzzle') {
+            this.levelManager.failLevel('No words left to play.');
+            return;
+        }
+        
+        // Zen mode never ends: the board quietly shuffles itself (a replay has the shuffle recorded)
+        if (shufflesRemaining === null) {
+            if (!this.isReplay) {
+                this.time.delayedCall(GameScene.ZEN_SHUFFLE_DELAY, () => this.grid.shuffleBoard());
+            }
+            return;
+        }
+        
+        if (shufflesRemaining > 0) {
+            // In a replay the next recorded move is the shuffle
+            if (this.isReplay) return;
+            
+            this.showShuffleUI(shufflesRemaining);
+        } else {
+            this.showGameOverUI();
+        }
+    }
+    
+    /**
+     * Refresh hints once a shuffle has settled
+     */
+    onBoardShuffled() {
+        this.updateHintWords();
+        this.saveGame();
+    }
+    
+    /**
+     * Create a centred overlay for the dead board prompts
+     * @param {string} className - Class name of the overlay
+     * @param {string} titleText - Heading text
+     * @param {string} titleColor - Heading colour
+     * @returns {HTMLElement} The overlay, with its heading added
+     */
+    createDeadBoardOverlay(className, titleText, titleColor) {
+        this.hideDeadBoardUI();
+        
+        const container = document.createElement('div');
+        container.className = `${className} dead-board-overlay`;
+        container.style.position = 'absolute';
+        container.style.top = '50%';
+        container.style.left = '50%';
+        container.style.transform = 'translate(-50%, -50%)';
+        container.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        container.style.color = 'white';
+        container.style.padding = '20px';
+        container.style.borderRadius = '10px';
+        container.style.textAlign = 'center';
+        container.style.fontFamily = 'Arial, sans-serif';
+        container.style.boxShadow = '0 0 20px rgba(255, 255, 255, 0.5)';
+        container.style.minWidth = '300px';
+        container.style.zIndex = '1000';
+        
+        const title = document.createElement('h2');
+        title.textContent = titleText;
+        title.style.color = titleColor;
+        title.style.marginTop = '0';
+        container.appendChild(title);
+        
+        return container;
+    }
+    
+    /**
+     * Create a button for the dead board prompts
+     * @param {string} text - Button label
+     * @param {string} color - Background colour
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    createOverlayButton(text, color, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '10px 20px';
+        button.style.margin = '0 5px';
+        button.style.background = color;
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.color = 'white';
+        button.style.fontSize = '16px';
+        button.style.cursor = 'pointer';
+        button.onclick = onClick;
+        return button;
+    }
+    
+    /**
+     * Offer a shuffle when the board has no words left
+     * @param {number} shufflesRemaining - Shuffles the player can still use
+     */
+    showShuffleUI(shufflesRemaining) {
+        const container = this.createDeadBoardOverlay('shuffle-container', 'No Words Left!', '#ffaa00');
+        
+        const message = document.createElement('p');
+        message.textContent = 'Shuffle the letters to keep playing. Spores stay where they are. ' +
+            `(${shufflesRemaining} ${shufflesRemaining === 1 ? 'shuffle' : 'shuffles'} left)`;
+        container.appendChild(message);
+        
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.marginTop = '20px';
+        container.appendChild(buttonContainer);
+        
+        buttonContainer.appendChild(this.createOverlayButton('Shuffle', '#4caf50', () => {
+            container.remove();
+            this.grid.shuffleBoard();
+        }));
+        
+        buttonContainer.appendChild(this.createOverlayButton('Give Up', '#aa3333', () => {
+            container.remove();
+            this.showGameOverUI();
+        }));
+        
+        document.body.appendChild(container);
+    }
+    
+    /**
+     * Show the game over screen
+     * @param {string} reasonText - Why the game ended
+     */
+    showGameOverUI(reasonText = 'The board has run out of words.') {
+        // Running out of words ends a versus match like running out of turns
+        if (this.versus) {
+            this.endVersusMatch(reasonText);
+            return;
+        }
+        
+        // The game is over, so a level timer must not fail it again
+        this.levelManager.stopTimer();
+        this.showResults({ outcome: 'gameOver', reason: reasonText });
+    }
+    
+    /**
+     * Remove the shuffle prompt
+     */
+    hideDeadBoardUI() {
+        document.querySelectorAll('.dead-board-overlay').forEach(el => el.remove());
+    }
+    
     /**
      * Create mycelium background pattern
      */
@@ -844,86 +1974,6 @@ class GameScene extends Phaser.Scene {
         }
     }
     
-    /**
-     * Reset the game for a new level or restart
-     * @param {number} gridSize - Size of the grid (6 for tutorial, 8 for normal)
-     */
-    resetGame(gridSize = 8) {
-        console.log(`Starting game reset to gridSize ${gridSize}`);
-        
-        // Reset score
-        this.score = 0;
-        this.scoreText.setText(`Score: 0`);
-        
-        // Reset statistics
-        this.stats = {
-            wordsFormed: 0,
-            cascadesCreated: 0
-        };
-        
-        // Important: Remove all event listeners before recreating the grid
-        this.events.removeListener('wordSelected');
-        this.events.removeListener('invalidWord');
-        this.events.removeListener('tilesExploded');
-        
-        // Calculate grid dimensions
-        const gameDimension = Math.min(this.cameras.main.width, this.cameras.main.height) * 0.8;
-        const gridX = (this.cameras.main.width - gameDimension) / 2;
-        const gridY = 100;
-        
-        // Store reference to old grid
-        const oldGrid = this.grid;
-        
-        // Create new grid first before destroying the old one
-        try {
-            console.log("Creating new grid");
-            this.grid = new Grid(this, gridX, gridY, gameDimension, gameDimension, gridSize);
-
-            // Refresh hint words for the new grid
-            this.updateHintWords();
-            
-            // Reset word text
-            this.wordText.setText('');
-            
-            // Re-add event listeners for the new grid
-            this.events.on('wordSelected', this.onWordSelected, this);
-            this.events.on('invalidWord', this.onInvalidWord, this);
-            this.events.on('tilesExploded', this.onTilesExploded, this);
-            
-            // Now safely destroy the old grid if it exists
-            if (oldGrid) {
-                console.log("Destroying old grid");
-                try {
-                    // Manually destroy all tiles first
-                    for (let row = 0; row < oldGrid.gridSize; row++) {
-                        for (let col = 0; col < oldGrid.gridSize; col++) {
-                            if (oldGrid.tiles && oldGrid.tiles[row] && oldGrid.tiles[row][col]) {
-                                oldGrid.tiles[row][col].destroy();
-                                oldGrid.tiles[row][col] = null;
-                            }
-                        }
-                    }
-                    
-                    // Clear any tweens that might be associated with the old grid
-                    this.tweens.killAll();
-                } catch (e) {
-                    console.error("Error during old grid cleanup:", e);
-                }
-            }
-            
-            // Show tooltips for tutorial level after a delay
-            if (this.levelManager.currentLevel === 1) {
-                this.time.delayedCall(500, () => {
-                    this.levelManager.showTooltips();
-                });
-            }
-            
-            console.log(`Game reset complete for level ${this.levelManager.currentLevel} with grid size ${gridSize}x${gridSize}`);
-        } catch (error) {
-            console.error("Critical error during game reset:", error);
-        }
-    }
-
     /**
      * Create the hint UI container on the DOM
      */
@@ -964,13 +2014,33 @@ class GameScene extends Phaser.Scene {
 
     /**
      * Update the list of hint words based on the current grid
+     * The dictionary worker solves the board, so finding hints doesn't hold up
+     * the frame after each move.
      */
     updateHintWords() {
-        if (!this.grid || !this.grid.getValidWords) return;
+        if (!this.grid) return;
+
+        // Only the answer for the latest board is shown
+        const request = {};
+        this.hintRequest = request;
 
-        // Gather a larger pool of candidate words
-        const words = this.grid.getValidWords(100);
+        const engine = this.grid.engine;
+        this.wordValidator.solve(engine.board.getLetters(), { minLength: engine.minWordLength })
+            .then(results => {
+                if (request !== this.hintRequest || !this.grid) return;
 
+                // Candidate words, best first, leaving out blocklisted ones
+                const words = results.map(result => result.word).filter(word => this.wordValidator.isHintable(word));
+                this.showHintWords(words);
+            })
+            .catch(error => console.warn('Could not find hint words:', error.message));
+    }
+
+    /**
+     * Show up to four hints of each length
+     * @param {string[]} words - Candidate words, best first
+     */
+    showHintWords(words) {
         // Organize words by length
         const byLength = {3: [], 4: [], 5: []};
         for (const w of words) {
@@ -1028,4 +2098,7 @@ class GameScene extends Phaser.Scene {
             this.removeHintWord(word);
         }
     }
-}
\ No newline at end of file
+}
+// Zen mode: how much slower chain reactions play, and the pause before a dead board shuffles itself (ms)
+GameScene.ZEN_ANIMATION_PACE = 2.5;
+GameScene.ZEN_SHUFFLE_DELAY = 1200;
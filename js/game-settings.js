@@ -80,6 +80,32 @@ class GameSettings {
         this.createSlider('sporeDistribution', 'Distribution Range', 1, 5, this.settings.sporeDistribution, 0.5);
         this.createSlider('wordLengthFactor', 'Word Length Bonus', 1, 3, this.settings.wordLengthFactor, 0.1);
         
+        // Language pack selector (word list, letters and scoring)
+        const selectLanguage = packId => {
+            if (this.scene && typeof this.scene.onLanguageSelected === 'function') {
+                this.scene.onLanguageSelected(packId);
+            }
+        };
+        const selectedPack = LanguagePacks.getPack(LanguagePacks.getSelectedId());
+        const languageSelect = this.createSelect('language', 'Word List',
+            [{ value: selectedPack.id, label: selectedPack.name }], selectedPack.id, selectLanguage);
+        
+        // Packs whose word list isn't on the server would only know their few dozen fallback words
+        LanguagePacks.findAvailablePacks().then(packs => {
+            if (!this.container.isConnected) return;
+            
+            this.setSelectOptions(languageSelect, packs.map(pack => ({ value: pack.id, label: pack.name })), selectedPack.id);
+            if (!packs.includes(selectedPack)) {
+                languageSelect.value = LanguagePacks.defaultPackId;
+                selectLanguage(LanguagePacks.defaultPackId);
+            }
+        });
+        
+        // Family mode rejects blocklisted words instead of only hiding them from hints
+        this.createCheckbox('familyMode', 'Family Mode', this.scene.wordValidator.familyMode, enabled => {
+            this.scene.wordValidator.setFamilyMode(enabled);
+        });
+        
         // Create reset button
         const resetButton = document.createElement('button');
         resetButton.textContent = 'Reset to Defaults';
@@ -98,6 +124,23 @@ class GameSettings {
         
         this.container.appendChild(resetButton);
         
+        // The daily is the same game for everyone, so its settings are fixed
+        if (this.scene.dailyDate) {
+            this.container.querySelectorAll('input[type=range]').forEach(slider => {
+                slider.disabled = true;
+            });
+            languageSelect.disabled = true;
+            resetButton.disabled = true;
+            resetButton.style.cursor = 'default';
+            
+            const note = document.createElement('div');
+            note.textContent = 'Everyone plays the Daily Challenge with the same settings.';
+            note.style.marginTop = '10px';
+            note.style.fontSize = '12px';
+            note.style.color = '#aaccaa';
+            this.container.appendChild(note);
+        }
+        
         // Add the panel to the DOM
         const gameContainer = document.getElementById('game-container');
         if (gameContainer) {
@@ -168,6 +211,96 @@ class GameSettings {
         this.container.appendChild(sliderContainer);
     }
     
+    /**
+     * Create a drop-down for a choice between options
+     * @param {string} id - Element id for the drop-down
+     * @param {string} label - The label to display
+     * @param {Object[]} options - Choices as {value, label}
+     * @param {string} value - Currently selected value
+     * @param {Function} onChange - Called with the newly selected value
+     * @returns {HTMLSelectElement} The drop-down
+     */
+    createSelect(id, label, options, value, onChange) {
+        const selectContainer = document.createElement('div');
+        selectContainer.style.marginBottom = '15px';
+        
+        const labelElement = document.createElement('div');
+        labelElement.textContent = label;
+        labelElement.style.marginBottom = '5px';
+        
+        const select = document.createElement('select');
+        select.id = id;
+        select.style.width = '100%';
+        select.style.padding = '4px';
+        select.style.backgroundColor = 'rgba(40, 80, 40, 0.9)';
+        select.style.color = '#eeffee';
+        select.style.border = '1px solid #66aa66';
+        select.style.borderRadius = '4px';
+        
+        this.setSelectOptions(select, options, value);
+        
+        select.addEventListener('change', (e) => {
+            onChange(e.target.value);
+        });
+        
+        selectContainer.appendChild(labelElement);
+        selectContainer.appendChild(select);
+        
+        this.container.appendChild(selectContainer);
+        return select;
+    }
+    
+    /**
+     * Replace the choices of a drop-down
+     * @param {HTMLSelectElement} select - The drop-down
+     * @param {Object[]} options - Choices as {value, label}
+     * @param {string} value - Value to select
+     */
+    setSelectOptions(select, options, value) {
+        select.innerHTML = '';
+        options.forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.value;
+            optionElement.textContent = option.label;
+            select.appendChild(optionElement);
+        });
+        select.value = value;
+    }
+    
+    /**
+     * Create a checkbox for an on/off option
+     * @param {string} id - Element id for the checkbox
+     * @param {string} label - The label to display
+     * @param {boolean} checked - Whether the option starts on
+     * @param {Function} onChange - Called with the new state
+     */
+    createCheckbox(id, label, checked, onChange) {
+        const checkboxContainer = document.createElement('label');
+        checkboxContainer.style.display = 'flex';
+        checkboxContainer.style.alignItems = 'center';
+        checkboxContainer.style.gap = '8px';
+        checkboxContainer.style.marginBottom = '15px';
+        checkboxContainer.style.cursor = 'pointer';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = id;
+        checkbox.checked = checked;
+        checkbox.style.accentColor = '#66aa66';
+        
+        checkbox.addEventListener('change', (e) => {
+            onChange(e.target.checked);
+        });
+        
+        const labelText = document.createElement('span');
+        labelText.textContent = label;
+        
+        checkboxContainer.appendChild(checkbox);
+        checkboxContainer.appendChild(labelText);
+        
+        this.container.appendChild(checkboxContainer);
+    }
+    
     /**
      * Create a button to toggle the settings panel
      */
@@ -192,6 +325,7 @@ class GameSettings {
         toggleButton.addEventListener('click', () => {
             this.toggle();
         });
+        this.toggleButton = toggleButton;
         
         const gameContainer = document.getElementById('game-container');
         if (gameContainer) {
@@ -201,6 +335,14 @@ class GameSettings {
         }
     }
     
+    /**
+     * Remove the panel and its toggle button from the page
+     */
+    destroy() {
+        this.container.remove();
+        this.toggleButton.remove();
+    }
+    
     /**
      * Toggle the visibility of the settings panel
      */
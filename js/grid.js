@@ -1,5 +1,7 @@
 /**
- * Manages the grid of letter tiles
+ * Renders the letter grid and handles player input
+ * Board state and game rules live in GameEngine; the grid is a view that
+ * subscribes to the engine's events and animates them
  */
 class Grid {
     /**
@@ -20,17 +22,58 @@ class Grid {
         this.gridSize = gridSize; // Default to 8x8 grid
         this.tileSize = Math.min(width, height) / this.gridSize;
         
-        // Game parameters (can be modified by settings)
-        this.gameParameters = {
-            sporeCount: 8,           // Base number of spores released per explosion
-            sporeThreshold: 2,       // Number of spores needed to trigger an explosion
-            sporeDistribution: 1.5,  // Controls how widely spores are distributed
-            wordLengthFactor: 1.5    // Multiplier for word length bonus (6+ letters)
-        };
+        // Level being played, for its spore threshold, letter bag and starting layout
+        this.level = scene.levelManager ? scene.levelManager.getCurrentLevel() : null;
         
-        // Create array to hold tile objects
+        // Headless engine that owns the letters, spores and game rules
+        const mode = this.level ? this.level.mode : null;
+        this.engine = new GameEngine({
+            size: this.gridSize,
+            validator: scene.wordValidator,
+            minWordLength: scene.wordValidator.minWordLength,
+            rng: scene.rng,
+            letterBag: this.createLetterBag(),
+            parameters: this.getLevelParameters(),
+            
+            // Zen mode shuffles a dead board for as long as it takes; a puzzle can't be shuffled
+            shuffles: mode === 'zen' ? null : (mode === 'puzzle' ? 0 : undefined),
+            
+            // A puzzle is played out on the board it was given
+            refills: mode !== 'puzzle'
+        });
+        
+        // Tile views indexed [row][col], kept in sync with the engine as animations play
         this.tiles = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(null));
         
+        // Tile views by engine cell id
+        this.tileViews = new Map();
+        
+        // Engine events waiting to be animated, and whether an animation is running
+        this.animationQueue = [];
+        this.isAnimating = false;
+        
+        // Multiplier on the pauses between explosions; Zen mode slows the chain down
+        this.animationPace = 1;
+        
+        // Set while a submitted word waits for the dictionary to answer
+        this.waitingForDictionary = false;
+        
+        // Latest dictionary answers about the board, so late answers for an older board are ignored
+        this.deadBoardRequest = null;
+        this.selectionLookup = { word: '', status: 'unknown' };
+        
+        // Set while the board is out of words and the player has to shuffle or give up
+        this.inputLocked = false;
+        
+        // Cleared while a replay plays, when moves come from the recording instead of the player
+        this.inputEnabled = true;
+        
+        // Set in online matches, where words are sent to the room server to play instead of played here
+        this.submitPath = null;
+        
+        // Listen to the engine before filling so the initial board is rendered
+        this.subscribeToEngine();
+        
         // Fill the grid with tiles
         this.fillGrid();
         
@@ -44,218 +87,162 @@ class Grid {
         console.log(`Created grid with size ${gridSize}x${gridSize}`);
     }
     
+    /**
+     * Current game parameters (owned by the engine)
+     * @returns {Object} Game parameters
+     */
+    get gameParameters() {
+        return this.engine.parameters;
+    }
+    
+    /**
+     * Subscribe to the engine events this view renders
+     */
+    subscribeToEngine() {
+        this.engine.on('boardReset', this.onBoardReset, this);
+        this.engine.on('invalidWord', this.onInvalidWord, this);
+        this.engine.on('wordAccepted', this.onWordAccepted, this);
+        this.engine.on('explosionsComplete', this.onExplosionsComplete, this);
+        this.engine.on('parametersChanged', this.onParametersChanged, this);
+        this.engine.on('boardShuffled', this.onBoardShuffled, this);
+        
+        // Board changes during a move are queued and animated in order once the move resolves
+        this.engine.on('tileExploded', (cell) => {
+            this.animationQueue.push({ type: 'explode', cell });
+        });
+        this.engine.on('sporesChanged', (cell, sporeCount) => {
+            this.animationQueue.push({ type: 'spores', cell, sporeCount });
+        });
+        this.engine.on('tileMoved', (cell, fromRow, toRow) => {
+            this.animationQueue.push({ type: 'move', cell, fromRow, toRow });
+        });
+        this.engine.on('tileCreated', (cell, dropRows) => {
+            this.animationQueue.push({ type: 'create', cell, row: cell.row, col: cell.col, dropRows });
+        });
+    }
+    
+    /**
+     * Create the letter bag for the level, applying its distribution overrides
+     * @returns {LetterBag|undefined} The bag, or undefined to use the engine's default
+     */
+    createLetterBag() {
+        const overrides = this.level && this.level.letterBag && this.level.letterBag.distribution;
+        if (!overrides) return undefined;
+        
+        return new LetterBag(this.scene.rng, { ...LetterData.distribution, ...overrides });
+    }
+    
+    /**
+     * Get the engine parameters the level overrides
+     * Levels built in code, like the daily, can pin every parameter with level.parameters.
+     * @returns {Object} Spore threshold and vowel ratio overrides
+     */
+    getLevelParameters() {
+        if (!this.level) return {};
+        
+        const parameters = { ...this.level.parameters };
+        if (this.level.sporeThreshold !== undefined) {
+            parameters.sporeThreshold = this.level.sporeThreshold;
+        }
+        if (this.level.letterBag) {
+            ['minVowelRatio', 'maxVowelRatio'].forEach(key => {
+                if (this.level.letterBag[key] !== undefined) {
+                    parameters[key] = this.level.letterBag[key];
+                }
+            });
+        }
+        return parameters;
+    }
+    
     /**
      * Fill the grid with letter tiles
      */
     fillGrid() {
-        // First, populate the grid normally
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                const tile = this.createTile(row, col);
-                
-                // Apply a fade-in effect for initial grid display to avoid artifacts
-                tile.container.forEach(element => {
-                    if (element) {
-                        element.setAlpha(0);
-                    }
-                });
-                
-                // Stagger the fade-in for a nicer visual effect
-                this.scene.tweens.add({
-                    targets: tile.container,
-                    alpha: 1,
-                    duration: 150,
-                    ease: 'Linear',
-                    delay: (row * 8) + (col * 8) // Staggered delay
-                });
-            }
-        }
-        
         // Check if we should ensure 4-letter words (only for level 2 and above)
-        if (this.gridSize >= 8 && this.scene.levelManager && this.scene.levelManager.currentLevel >= 2) {
-            // Attempt to validate the grid has at least 4 valid 4-letter words
-            this.ensureFourLetterWords();
-        }
+        const ensureWords = this.gridSize >= 8 && this.scene.levelManager && this.scene.levelManager.currentLevel >= 2;
+        
+        // Levels can start from a designed layout
+        const layout = this.level && this.level.board;
+        const spores = this.level && this.level.spores;
+        const marked = this.level && this.level.markedTiles;
+        
+        this.engine.reset({ ensureWords, layout, spores, marked });
     }
     
     /**
-     * Ensure the grid has at least 4 valid 4-letter words
+     * Rebuild every tile view after the engine replaced the board
      */
-    ensureFourLetterWords() {
-        // Maximum attempts to regenerate the grid
-        const maxAttempts = 5;
-        let attempts = 0;
-        let foundWords = 0;
-        
-        // Keep track of possible words to avoid duplicates
-        const foundWordsList = new Set();
-        
-        while (attempts < maxAttempts && foundWords < 4) {
-            console.log(`Checking for 4-letter words, attempt ${attempts + 1}`);
-            foundWords = 0;
-            foundWordsList.clear();
-            
-            // Dictionary to use for validation
-            let dictionary = null;
-            
-            // Try to use the game's dictionary if available
-            if (this.scene.wordValidator && this.scene.wordValidator.dictionary) {
-                dictionary = this.scene.wordValidator.dictionary;
-            }
+    onBoardReset() {
+        this.destroyTileViews();
+        
+        this.engine.board.forEachCell((cell, row, col) => {
+            const tile = this.createTileView(cell, row, col);
             
-            // Check every possible sequence of 4 adjacent tiles
-            for (let row = 0; row < this.gridSize; row++) {
-                for (let col = 0; col < this.gridSize; col++) {
-                    // Skip if we already found enough words
-                    if (foundWords >= 4) break;
-                    
-                    // Starting position
-                    const startTile = this.tiles[row][col];
-                    if (!startTile) continue;
-                    
-                    // Check all 8 directions from this tile
-                    const directions = [
-                        { dr: -1, dc: 0 },  // Up
-                        { dr: -1, dc: 1 },  // Up-Right
-                        { dr: 0, dc: 1 },   // Right
-                        { dr: 1, dc: 1 },   // Down-Right
-                        { dr: 1, dc: 0 },   // Down
-                        { dr: 1, dc: -1 },  // Down-Left
-                        { dr: 0, dc: -1 },  // Left
-                        { dr: -1, dc: -1 }  // Up-Left
-                    ];
-                    
-                    // Try each direction
-                    for (const dir of directions) {
-                        // Check if we can form a 4-letter word in this direction
-                        if (row + dir.dr * 3 >= 0 && row + dir.dr * 3 < this.gridSize &&
-                            col + dir.dc * 3 >= 0 && col + dir.dc * 3 < this.gridSize) {
-                            
-                            // Collect the 4 tiles in this direction
-                            const wordTiles = [];
-                            for (let i = 0; i < 4; i++) {
-                                const r = row + dir.dr * i;
-                                const c = col + dir.dc * i;
-                                const tile = this.tiles[r][c];
-                                wordTiles.push(tile);
-                            }
-                            
-                            // Form the word
-                            const word = wordTiles.map(tile => tile.letter).join('');
-                            
-                            // Don't count the same word twice
-                            if (foundWordsList.has(word)) {
-                                continue;
-                            }
-                            
-                            // Check if this is a valid word
-                            let isValid = false;
-                            
-                            // If we have a dictionary, use it
-                            if (dictionary) {
-                                isValid = dictionary.has(word.toUpperCase());
-                            } else {
-                                // Without a dictionary, use a fallback list of common 4-letter words
-                                const commonFourLetterWords = [
-                                    'ABLE', 'ACID', 'AGED', 'ALSO', 'AREA', 'ARMY', 'AWAY',
-                                    'BABY', 'BACK', 'BALL', 'BAND', 'BANK', 'BASE', 'BATH',
-                                    'BEAR', 'BEAT', 'BEEN', 'BEER', 'BELL', 'BELT', 'BEST',
-                                    'BIRD', 'BLOW', 'BLUE', 'BOAT', 'BODY', 'BOMB', 'BOND',
-                                    'BONE', 'BOOK', 'BOOM', 'BORN', 'BOSS', 'BOTH', 'BOWL',
-                                    'BULK', 'BURN', 'BUSH', 'BUSY', 'CALL', 'CALM', 'CAME',
-                                    'CAMP', 'CARD', 'CARE', 'CASE', 'CASH', 'CAST', 'CELL',
-                                    'CHAT', 'CHIP', 'CITY', 'CLUB', 'COAL', 'COAT', 'CODE',
-                                    'COLD', 'COME', 'COOK', 'COOL', 'COPE', 'COPY', 'CORE',
-                                    'COST', 'CREW', 'CROP', 'DARK', 'DATA', 'DATE', 'DAWN',
-                                    'DAYS', 'DEAD', 'DEAL', 'DEAR', 'DEBT', 'DEEP', 'DENY',
-                                    'DESK', 'DIAL', 'DIET', 'DIRT', 'DISC', 'DISK', 'DOES',
-                                    'DONE', 'DOOR', 'DOSE', 'DOWN', 'DRAW', 'DREW', 'DROP',
-                                    'DRUG', 'DUAL', 'DUKE', 'DUST', 'DUTY', 'EACH', 'EARN',
-                                    'EASE', 'EAST', 'EASY', 'EDGE', 'ELSE', 'EVEN', 'EVER',
-                                    'EVIL', 'EXIT', 'FACE', 'FACT', 'FAIL', 'FAIR', 'FALL',
-                                    'FARM', 'FAST', 'FATE', 'FEAR', 'FEED', 'FEEL', 'FEET',
-                                    'FELL', 'FELT', 'FILE', 'FILL', 'FILM', 'FIND', 'FINE',
-                                    'FIRE', 'FIRM', 'FISH', 'FIVE', 'FLAT', 'FLOW', 'FOOD',
-                                    'FOOT', 'FORD', 'FORM', 'FORT', 'FOUR', 'FREE', 'FROM',
-                                    'FUEL', 'FULL', 'FUND', 'GAIN', 'GAME', 'GATE', 'GAVE',
-                                    'GEAR', 'GENE', 'GIFT', 'GIRL', 'GIVE', 'GLAD', 'GOAL'
-                                ];
-                                
-                                isValid = commonFourLetterWords.includes(word.toUpperCase());
-                            }
-                            
-                            if (isValid) {
-                                foundWords++;
-                                foundWordsList.add(word);
-                                console.log(`Found valid 4-letter word: ${word}`);
-                                
-                                // Break from direction loop if we found enough words
-                                if (foundWords >= 4) break;
-                            }
-                        }
-                    }
+            // Apply a fade-in effect for initial grid display to avoid artifacts
+            tile.container.forEach(element => {
+                if (element) {
+                    element.setAlpha(0);
                 }
-                
-                // Break from row loop if we found enough words
-                if (foundWords >= 4) break;
-            }
+            });
             
-            // If we didn't find enough words, regenerate certain tiles
-            if (foundWords < 4) {
-                console.log(`Only found ${foundWords} valid 4-letter words, regenerating some tiles...`);
-                
-                // Replace some tiles with more common letters (vowels and common consonants)
-                const commonLetters = ['A', 'E', 'I', 'O', 'T', 'N', 'R', 'S', 'L'];
-                
-                // Replace some random tiles (about 25% of the grid)
-                const tilesToReplace = Math.floor(this.gridSize * this.gridSize * 0.25);
-                for (let i = 0; i < tilesToReplace; i++) {
-                    const row = Math.floor(Math.random() * this.gridSize);
-                    const col = Math.floor(Math.random() * this.gridSize);
-                    
-                    // Only replace if the tile exists
-                    if (this.tiles[row][col]) {
-                        // Choose a random common letter
-                        const letter = commonLetters[Math.floor(Math.random() * commonLetters.length)];
-                        
-                        // Update the tile
-                        this.tiles[row][col].setLetter(letter);
-                    }
-                }
-                
-                attempts++;
-            }
-        }
-        
-        console.log(`Grid validation complete. Found ${foundWords} valid 4-letter words after ${attempts} attempts.`);
+            // Stagger the fade-in for a nicer visual effect
+            this.scene.tweens.add({
+                targets: tile.container,
+                alpha: 1,
+                duration: 150,
+                ease: 'Linear',
+                delay: (row * 8) + (col * 8) // Staggered delay
+            });
+        });
     }
     
     /**
-     * Create a new tile at the specified grid position
+     * Create a tile view for an engine cell
+     * @param {Object} cell - The engine cell
      * @param {number} row - Grid row
      * @param {number} col - Grid column
      * @returns {Tile} The created tile
      */
-    createTile(row, col) {
+    createTileView(cell, row, col) {
         // Calculate pixel position
         const x = this.x + (col + 0.5) * this.tileSize;
         const y = this.y + (row + 0.5) * this.tileSize;
         
-        // Generate random letter
-        const letter = LetterData.getRandomLetter();
-        
-        // Create tile with the current spore threshold from gameParameters
-        const tile = new Tile(this.scene, x, y, col, row, letter, this.tileSize * 0.9);
+        const tile = new Tile(this.scene, x, y, col, row, cell.letter, this.tileSize * 0.9);
+        tile.cell = cell;
         
         // Set the spore threshold based on current game parameters
-        tile.sporeThreshold = this.gameParameters.sporeThreshold;
+        tile.sporeThreshold = this.engine.parameters.sporeThreshold;
+        if (cell.sporeCount > 0) {
+            tile.setSporeCount(cell.sporeCount);
+        }
+        if (cell.marked) {
+            tile.setMarked(true);
+        }
         
         // Store in grid
         this.tiles[row][col] = tile;
+        this.tileViews.set(cell.id, tile);
         
         return tile;
     }
     
+    /**
+     * Destroy all tile views
+     */
+    destroyTileViews() {
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (this.tiles[row][col]) {
+                    this.tiles[row][col].destroy();
+                    this.tiles[row][col] = null;
+                }
+            }
+        }
+        this.tileViews.clear();
+    }
+    
+    
     /**
      * Set up input handling for the grid
      */
@@ -285,6 +272,9 @@ class Grid {
             // Safety check to make sure the grid still exists
             if (!this.scene || !this.tiles) return;
             
+            // Ignore input while a move is being animated, waiting on the dictionary or the board is dead
+            if (!this.inputEnabled || this.isAnimating || this.waitingForDictionary || this.inputLocked) return;
+            
             // Check if pointer is within grid bounds
             if (this.isPointInGrid(pointer.x, pointer.y)) {
                 // Reset selection
@@ -441,7 +431,8 @@ class Grid {
             this.hoverHighlight.clear();
             
             // Process the selected word
-            if (this.selectedTiles.length >= 3) {
+            const word = this.engine.getWord(this.selectedTiles.map(tile => tile.cell));
+            if (word.length >= this.engine.minWordLength) {
                 this.processWord();
             } else {
                 // Not enough letters, clear selection
@@ -469,9 +460,9 @@ class Grid {
         // Need at least 2 tiles to draw a path
         if (this.selectedTiles.length < 2) return;
         
-        // Use consistent line settings as base
+        // Use consistent line settings as base, turning red once no word can start with the path
         const lineWidth = 8;
-        const lineColor = 0x66eeff;
+        const lineColor = this.getSelectionStatus() === 'dead' ? 0xff6666 : 0x66eeff;
         const lineAlpha = 0.85;
         
         // Draw lines connecting all tiles in selection order
@@ -843,45 +834,198 @@ class Grid {
      */
     processWord() {
         // Get the word as a string
-        const word = this.selectedTiles.map(tile => tile.letter).join('');
+        const cells = this.selectedTiles.map(tile => tile.cell);
+        const word = this.engine.getWord(cells);
         console.log(`Processing word: ${word}`);
         
-        // Check if the word is valid using the scene's validator
-        const isValid = this.scene.wordValidator.isValid(word);
+        // The server checks the word and sends back the board it leaves
+        if (this.submitPath) {
+            this.submitPath(cells);
+            this.clearSelection();
+            return;
+        }
         
-        if (!isValid) {
-            // Word is invalid, show feedback and clear selection
+        // The dictionary answers without blocking, and holds the word while it is still loading
+        this.waitingForDictionary = true;
+        this.engine.validator.validate(word)
+            .then(inDictionary => {
+                this.waitingForDictionary = false;
+                
+                // The selection may have been cleared meanwhile, for example by an undo
+                const unchanged = cells.length === this.selectedTiles.length &&
+                    cells.every((cell, i) => this.selectedTiles[i].cell === cell);
+                if (this.scene && unchanged) {
+                    this.playWord(cells, inDictionary);
+                }
+            })
+            .catch(error => {
+                this.waitingForDictionary = false;
+                console.warn(`Could not check "${word}":`, error.message);
+                if (this.scene) this.clearSelection();
+            });
+    }
+    
+    /**
+     * Play a checked word through the engine, which resolves the whole move
+     * @param {Object[]} cells - Cells of the word in selection order
+     * @param {boolean} inDictionary - Whether the dictionary has the word
+     */
+    playWord(cells, inDictionary) {
+        const word = this.engine.getWord(cells);
+        const result = this.engine.submitWord(cells, { inDictionary });
+        
+        if (!result.valid) {
             console.log(`Word "${word}" is invalid`);
-            this.scene.events.emit('invalidWord', word);
-            
-            // Shake selected tiles to provide visual feedback
-            this.shakeInvalidWord();
-            
-            return 0;
+            return;
         }
         
-        // Word is valid, proceed
+        // Word is valid, clear selection
         console.log(`Word "${word}" is valid`);
+        this.clearSelection();
+    }
+    
+    /**
+     * Handle a word rejected by the engine
+     * @param {string} word - The invalid word
+     */
+    onInvalidWord(word) {
+        this.scene.events.emit('invalidWord', word);
         
-        // Calculate word score
-        const wordScore = this.calculateWordScore();
-        
-        // Emit event with word and score
-        this.scene.events.emit('wordSelected', word, wordScore);
+        // Shake selected tiles to provide visual feedback
+        this.shakeInvalidWord();
+    }
+    
+    /**
+     * Handle a word accepted by the engine
+     * @param {string} word - The valid word
+     * @param {number} score - The word score
+     */
+    onWordAccepted(word, score) {
+        this.scene.events.emit('wordSelected', word, score);
+    }
+    
+    /**
+     * Animate the resolved move, then report the explosion stats
+     * @param {Object} result - Move summary from the engine
+     */
+    onExplosionsComplete(result) {
+        this.playAnimations(() => {
+            this.scene.events.emit('tilesExploded', result.tilesExploded, result.cascadeCount, result);
+            
+            // The level may already have ended on this move
+            if (result.deadBoard && !this.inputLocked) {
+                this.reportDeadBoard();
+            } else if (!this.engine.hasDictionary()) {
+                // The engine can't search a dictionary held by the worker, so ask the worker
+                this.checkDeadBoard();
+            }
+        });
+    }
+    
+    /**
+     * Check the board for playable words and report it if there are none
+     * The search runs in the dictionary worker when it holds the dictionary.
+     * @returns {Promise<boolean>} Resolves with true if the board is dead
+     */
+    checkDeadBoard() {
+        const validator = this.engine.validator;
+        this.deadBoardRequest = null;
         
-        // Explode tiles
-        const explosionResult = this.explodeTiles(this.selectedTiles);
+        if (this.inputLocked || !validator.loaded) {
+            return Promise.resolve(false);
+        }
         
-        // Emit event with explosion stats (will be used when processExplosions completes)
-        this.scene.time.delayedCall(300, () => {
-            this.scene.events.emit('tilesExploded', explosionResult.tilesExploded, explosionResult.cascadeCount);
-        });
+        if (this.engine.hasDictionary()) {
+            const dead = this.engine.isDeadBoard();
+            if (dead) this.reportDeadBoard();
+            return Promise.resolve(dead);
+        }
         
-        // Clear selection
+        const request = {};
+        this.deadBoardRequest = request;
+        
+        return validator.solve(this.engine.board.getLetters(), { minLength: this.engine.minWordLength })
+            .then(words => {
+                // Ignore answers for a board that has changed since
+                const dead = words.length === 0 && request === this.deadBoardRequest && !!this.scene && !this.inputLocked;
+                if (dead) this.reportDeadBoard();
+                return dead;
+            })
+            .catch(error => {
+                console.warn('Could not check the board for words:', error.message);
+                return false;
+            });
+    }
+    
+    /**
+     * Lock input and tell the scene the board has no words left
+     */
+    reportDeadBoard() {
+        console.log(`No words left on the board (${this.engine.shufflesRemaining} shuffles remaining)`);
+        this.inputLocked = true;
         this.clearSelection();
+        this.scene.events.emit('deadBoard', this.engine.shufflesRemaining);
+    }
+    
+    /**
+     * Spend a shuffle to rearrange the letters of a dead board
+     * @returns {boolean} True if a shuffle was available
+     */
+    shuffleBoard() {
+        const changes = this.engine.shuffle();
+        if (!changes) {
+            return false;
+        }
         
-        // Return the score
-        return wordScore;
+        this.inputLocked = false;
+        return true;
+    }
+    
+    /**
+     * Animate shuffled letters by flipping each changed tile to its new letter
+     * @param {Object[]} changes - Changed cells as {cell, fromLetter, letter}
+     * @param {number} shufflesRemaining - Shuffles left after this one
+     */
+    onBoardShuffled(changes, shufflesRemaining) {
+        this.isAnimating = true;
+        let pending = changes.length;
+        
+        const finish = () => {
+            this.isAnimating = false;
+            this.scene.events.emit('boardShuffled', shufflesRemaining);
+            
+            // The best arrangement found may still have no words
+            this.checkDeadBoard();
+        };
+        
+        if (pending === 0) {
+            finish();
+            return;
+        }
+        
+        changes.forEach(change => {
+            const tile = this.tileViews.get(change.cell.id);
+            if (!tile) {
+                if (--pending === 0) finish();
+                return;
+            }
+            
+            // Squash the tile, swap its letter, then spring back
+            this.scene.tweens.add({
+                targets: tile.container,
+                scaleX: 0,
+                duration: 150,
+                delay: (tile.gridY + tile.gridX) * 20,
+                yoyo: true,
+                ease: 'Sine.easeInOut',
+                onYoyo: () => {
+                    tile.setLetter(change.letter);
+                },
+                onComplete: () => {
+                    if (--pending === 0) finish();
+                }
+            });
+        });
     }
     
     /**
@@ -915,498 +1059,108 @@ class Grid {
     }
     
     /**
-     * Calculate the score for the selected word
-     * @returns {number} The word score
-     */
-    calculateWordScore() {
-        // Basic score: sum of letter values
-        let score = 0;
-        this.selectedTiles.forEach(tile => {
-            score += LetterData.getPointValue(tile.letter);
-        });
-        
-        // Word length bonus (6+ letters) - use the configurable factor
-        if (this.selectedTiles.length >= 6) {
-            score *= this.gameParameters.wordLengthFactor;
-        }
-        
-        return Math.floor(score);
-    }
-    
-    /**
-     * Explode tiles and trigger spore release
-     * @param {Tile[]} tiles - Array of tiles to explode
+     * Play the queued engine events: explosions one after another, then the refill
+     * @param {Function} onComplete - Called once the tiles have settled
      */
-    explodeTiles(tiles) {
-        console.log(`Exploding ${tiles.length} tiles`);
+    playAnimations(onComplete) {
+        const steps = this.animationQueue;
+        this.animationQueue = [];
+        this.isAnimating = true;
         
-        // Save a copy of tiles for processing
-        const tilesToExplode = [...tiles];
-        
-        // Keep track of cascades and total tiles exploded
-        let cascadeCount = 0;
-        let tilesExploded = new Set();
-        
-        // Set cascade limit to prevent infinite chains
-        const maxCascades = 8;
-        
-        // Process tile explosions recursively
-        const processExplosions = () => {
-            if (tilesToExplode.length === 0 || cascadeCount >= maxCascades) {
-                // All explosions processed or cascade limit reached
-                console.log(`Explosion chain complete: ${tilesExploded.size} tiles exploded, ${cascadeCount} cascades`);
-                this.refillGrid();
-                return;
-            }
-            
-            const currentTile = tilesToExplode.shift();
+        const runNext = () => {
+            // Stop if the grid was cleaned up mid-animation
+            if (!this.scene || !this.tiles) return;
             
-            // Safety check - make sure the tile exists and isn't already exploded
-            if (!currentTile || tilesExploded.has(currentTile)) {
-                processExplosions(); // Skip and continue to next
+            if (steps.length === 0) {
+                // Allow input after tiles have settled (with a delay)
+                this.scene.time.delayedCall(300 * this.animationPace, () => {
+                    this.isAnimating = false;
+                    this.isSelecting = false;
+                    if (onComplete) {
+                        onComplete();
+                    }
+                });
                 return;
             }
             
-            tilesExploded.add(currentTile);
+            const step = steps.shift();
             
-            // Store tile position
-            const gridX = currentTile.gridX;
-            const gridY = currentTile.gridY;
-            
-            console.log(`Exploding tile at [${gridY}][${gridX}] (letter: ${currentTile.letter})`);
-            
-            // Safety check - verify the tile is where we think it is
-            if (this.tiles[gridY][gridX] !== currentTile) {
-                console.error(`Tile mismatch at [${gridY}][${gridX}]!`);
-                // Find and fix the tile's actual position
-                let found = false;
-                for (let row = 0; row < this.gridSize; row++) {
-                    for (let col = 0; col < this.gridSize; col++) {
-                        if (this.tiles[row][col] === currentTile) {
-                            console.log(`Found tile at actual position [${row}][${col}]`);
-                            // Update the tile's grid position
-                            currentTile.gridX = col;
-                            currentTile.gridY = row;
-                            found = true;
-                            break;
-                        }
-                    }
-                    if (found) break;
-                }
-                
-                if (!found) {
-                    console.error(`Could not find tile in grid!`);
-                    processExplosions(); // Skip this tile
-                    return;
-                }
-            }
-            
-            // Animate explosion
-            currentTile.animateExplosion(() => {
-                // Double-check the tile is still where we think it is before removing
-                if (this.tiles[gridY][gridX] === currentTile) {
-                    // Remove the tile from the grid
-                    this.tiles[gridY][gridX] = null;
-                    console.log(`Removed tile from grid at [${gridY}][${gridX}]`);
-                } else {
-                    // Try to find and remove it from its actual position
-                    let found = false;
-                    for (let row = 0; row < this.gridSize; row++) {
-                        for (let col = 0; col < this.gridSize; col++) {
-                            if (this.tiles[row][col] === currentTile) {
-                                console.log(`Removing tile from actual position [${row}][${col}]`);
-                                this.tiles[row][col] = null;
-                                found = true;
-                                break;
-                            }
-                        }
-                        if (found) break;
+            if (step.type === 'explode') {
+                this.animateCellExplosion(step.cell, () => {
+                    // Show the spores released by this explosion
+                    while (steps.length > 0 && steps[0].type === 'spores') {
+                        this.applyAnimationStep(steps.shift());
                     }
                     
-                    if (!found) {
-                        console.error(`Could not find tile to remove!`);
-                    }
-                }
-                
-                // Calculate number of spores to release - using the gameParameters value
-                const sporeCount = Math.min(this.gameParameters.sporeCount, Math.ceil(tiles.length / 1.5));
-                
-                // New adjacency-based spore distribution algorithm
-                const newCascades = this.spreadSporesWithAdjacency(gridX, gridY, sporeCount, tilesToExplode, tilesExploded);
-                
-                // Update cascade count
-                if (newCascades) {
-                    cascadeCount += newCascades;
-                }
-                
-                // Process next explosion with a slight delay for visual effect
-                this.scene.time.delayedCall(80, processExplosions);
-            });
+                    // Process next explosion with a slight delay for visual effect
+                    this.scene.time.delayedCall(80 * this.animationPace, runNext);
+                });
+            } else {
+                this.applyAnimationStep(step);
+                runNext();
+            }
         };
         
-        // Start with processing explosions
-        if (tilesToExplode.length > 0) {
-            processExplosions();
-        } else {
-            // No tiles to explode
-            console.log("No tiles to explode!");
-            this.refillGrid();
-        }
-        
-        return {
-            tilesExploded: tilesExploded.size,
-            cascadeCount: cascadeCount
-        };
+        runNext();
     }
     
     /**
-     * Distribute spores using adjacency-based algorithm
-     * @param {number} originX - X position of the exploded tile
-     * @param {number} originY - Y position of the exploded tile
-     * @param {number} sporeCount - Number of spores to distribute
-     * @param {Array} tilesToExplode - Array of tiles waiting to explode
-     * @param {Set} tilesExploded - Set of tiles that have already exploded
+     * Remove a cell's tile view and play its explosion
+     * @param {Object} cell - The exploded engine cell
+     * @param {Function} onComplete - Callback when the explosion has released its spores
      */
-    spreadSporesWithAdjacency(originX, originY, sporeCount, tilesToExplode, tilesExploded) {
-        // Collect potential target tiles with weights
-        const targetTiles = [];
-        let cascadeCount = 0;
-        
-        // Get the distribution range from game parameters (1-5)
-        const distributionRange = this.gameParameters.sporeDistribution;
-        
-        // Check an area around the exploded tile based on the distribution range
-        const searchRadius = Math.max(1, Math.min(Math.floor(distributionRange * 1.5), 5));
-        
-        for (let dy = -searchRadius; dy <= searchRadius; dy++) {
-            for (let dx = -searchRadius; dx <= searchRadius; dx++) {
-                // Skip the original tile position
-                if (dx === 0 && dy === 0) continue;
-                
-                const newX = originX + dx;
-                const newY = originY + dy;
-                
-                // Ensure we're within grid bounds
-                if (newX >= 0 && newX < this.gridSize && newY >= 0 && newY < this.gridSize) {
-                    const targetTile = this.tiles[newY][newX];
-                    
-                    // Skip empty spaces and tiles in explosion queue
-                    if (!targetTile || tilesToExplode.includes(targetTile) || tilesExploded.has(targetTile)) continue;
-                    
-                    // Calculate proximity weight - closer tiles get higher weight
-                    const distance = Math.sqrt(dx*dx + dy*dy);
-                    
-                    // Weight is affected by distribution range - higher distribution = more uniform spread
-                    // Lower distribution = more concentrated around explosion
-                    let weight = (6 - distance) / distributionRange;
-                    
-                    // Give bonus weight to tiles that already have spores
-                    // This creates "hot spots" and chain reactions
-                    if (targetTile.sporeCount > 0) {
-                        // Bonus increases as tile gets closer to exploding
-                        const progressToExplode = targetTile.sporeCount / targetTile.sporeThreshold;
-                        weight *= (1 + progressToExplode * 2);
-                    }
-                    
-                    // Add to candidates with calculated weight
-                    targetTiles.push({
-                        tile: targetTile,
-                        weight: weight,
-                        x: newX,
-                        y: newY
-                    });
-                }
-            }
-        }
-        
-        // If no valid targets, don't distribute any spores
-        if (targetTiles.length === 0) {
-            console.log("No valid targets for spore distribution");
+    animateCellExplosion(cell, onComplete) {
+        const tile = this.tileViews.get(cell.id);
+        if (!tile) {
+            onComplete();
             return;
         }
         
-        // Calculate total weight for normalization
-        const totalWeight = targetTiles.reduce((sum, t) => sum + t.weight, 0);
-        
-        // Distribute spores based on calculated probabilities
-        for (let i = 0; i < sporeCount; i++) {
-            // Select a tile based on weighted probability
-            let randomValue = Math.random() * totalWeight;
-            let cumulativeWeight = 0;
-            let selectedTile = null;
-            
-            for (const target of targetTiles) {
-                cumulativeWeight += target.weight;
-                if (randomValue <= cumulativeWeight) {
-                    selectedTile = target.tile;
-                    break;
-                }
-            }
-            
-            // If no tile was selected, pick one randomly
-            if (!selectedTile && targetTiles.length > 0) {
-                const randomIndex = Math.floor(Math.random() * targetTiles.length);
-                selectedTile = targetTiles[randomIndex].tile;
-            }
-            
-            // Add spore to the selected tile
-            if (selectedTile) {
-                console.log(`Adding spore to tile at [${selectedTile.gridY}][${selectedTile.gridX}] with letter ${selectedTile.letter}`);
-                const exploded = selectedTile.addSpores(1);
-                
-                // If tile reached threshold, queue it for explosion
-                if (exploded && !tilesToExplode.includes(selectedTile)) {
-                    tilesToExplode.push(selectedTile);
-                    
-                    // Count as cascade (not in the original word)
-                    if (!tilesExploded.has(selectedTile)) {
-                        cascadeCount++;
-                    }
-                }
-            }
+        this.tileViews.delete(cell.id);
+        if (this.tiles[tile.gridY][tile.gridX] === tile) {
+            this.tiles[tile.gridY][tile.gridX] = null;
         }
         
-        return cascadeCount;
+        console.log(`Exploding tile at [${tile.gridY}][${tile.gridX}] (letter: ${tile.letter})`);
+        tile.animateExplosion(onComplete);
     }
     
     /**
-     * Refill the grid after tiles explode
+     * Apply a queued spore, move or create step to the tile views
+     * @param {Object} step - Queued engine event
      */
-    refillGrid() {
-        console.log("Starting grid refill");
-        
-        // First, check if there are any null cells in the grid
-        let hasNullCells = false;
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                if (this.tiles[row][col] === null) {
-                    hasNullCells = true;
-                    console.log(`Found null cell at [${row}][${col}]`);
-                }
+    applyAnimationStep(step) {
+        if (step.type === 'spores') {
+            const tile = this.tileViews.get(step.cell.id);
+            if (tile) {
+                tile.setSporeCount(step.sporeCount);
             }
-        }
-        
-        if (!hasNullCells) {
-            console.log("No null cells found, skipping refill");
-            return;
-        }
-        
-        // Process from bottom to top, column by column
-        for (let col = 0; col < this.gridSize; col++) {
-            // Find and fill gaps
-            this.refillColumn(col);
-        }
-        
-        // Double-check that all cells are filled
-        let stillHasNullCells = false;
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                if (this.tiles[row][col] === null) {
-                    stillHasNullCells = true;
-                    console.log(`Still have null cell at [${row}][${col}] after refill! Creating new tile.`);
-                    
-                    // Force create a new tile at this position
-                    const x = this.x + (col + 0.5) * this.tileSize;
-                    const finalY = this.y + (row + 0.5) * this.tileSize;
-                    const startY = this.y - this.tileSize; // Start above the grid
-                    const letter = LetterData.getRandomLetter();
-                    
-                    // Create the tile directly at its final position but with alpha 0
-                    const tile = new Tile(this.scene, x, finalY, col, row, letter, this.tileSize * 0.9);
-                    
-                    // Apply the current spore threshold
-                    tile.sporeThreshold = this.gameParameters.sporeThreshold;
-                    
-                    this.tiles[row][col] = tile;
-                    
-                    // Set initial position and make it invisible to prevent artifacts
-                    tile.container.forEach(element => {
-                        if (element) {
-                            element.y = startY; // Position above the grid
-                            element.setAlpha(0); // Start invisible
-                        }
-                    });
-                    
-                    // Animate falling into place with fade-in
-                    this.scene.tweens.add({
-                        targets: tile.container,
-                        y: finalY,
-                        alpha: 1,
-                        duration: 200,
-                        ease: 'Bounce.easeOut'
-                    });
-                }
-            }
-        }
-        
-        // Allow input after tiles have settled (with a delay)
-        this.scene.time.delayedCall(300, () => {
-            this.isSelecting = false;
+        } else if (step.type === 'move') {
+            const tile = this.tileViews.get(step.cell.id);
+            if (!tile) return;
             
-            // Final verification
-            let anyNulls = false;
-            for (let row = 0; row < this.gridSize; row++) {
-                for (let col = 0; col < this.gridSize; col++) {
-                    if (this.tiles[row][col] === null) {
-                        anyNulls = true;
-                        console.error(`CRITICAL: Still have null at [${row}][${col}] after all refill operations!`);
-                    }
-                }
+            const col = tile.gridX;
+            if (this.tiles[step.fromRow][col] === tile) {
+                this.tiles[step.fromRow][col] = null;
             }
+            this.tiles[step.toRow][col] = tile;
+            tile.gridY = step.toRow;
             
-            if (anyNulls) {
-                // Emergency reset if there are still nulls
-                console.log("Emergency grid reset triggered");
-                this.resetGrid();
-            }
-        });
-    }
-    
-    /**
-     * Emergency reset of the entire grid if refill fails
-     */
-    resetGrid() {
-        // Clear all existing tiles
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                if (this.tiles[row][col] !== null) {
-                    this.tiles[row][col].destroy();
-                }
-                this.tiles[row][col] = null;
-            }
-        }
-        
-        // Refill the entire grid with new tiles
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                // Create a new tile
-                const x = this.x + (col + 0.5) * this.tileSize;
-                const y = this.y + (row + 0.5) * this.tileSize;
-                const letter = LetterData.getRandomLetter();
-                
-                // Create new tile with proper initial opacity to prevent artifacts
-                const tile = new Tile(this.scene, x, y, col, row, letter, this.tileSize * 0.9);
-                
-                // Apply the current spore threshold
-                tile.sporeThreshold = this.gameParameters.sporeThreshold;
-                
-                this.tiles[row][col] = tile;
-                
-                // Add a subtle fade-in effect to make the appearance smoother
-                tile.container.forEach(element => {
-                    if (element) {
-                        element.setAlpha(0);
-                    }
-                });
-                
-                // Fade in the tile
-                this.scene.tweens.add({
-                    targets: tile.container,
-                    alpha: 1,
-                    duration: 150,
-                    ease: 'Linear'
-                });
-            }
-        }
-    }
-    
-    /**
-     * Refill a single column
-     * @param {number} col - The column to refill
-     */
-    refillColumn(col) {
-        // Find empty spots (null tiles)
-        let emptyRows = [];
-        
-        for (let row = 0; row < this.gridSize; row++) {
-            if (this.tiles[row][col] === null) {
-                emptyRows.push(row);
-            }
-        }
-        
-        // If no empty spots, nothing to do
-        if (emptyRows.length === 0) {
-            return;
-        }
-        
-        console.log(`Refilling column ${col} with ${emptyRows.length} empty spots at rows: ${emptyRows.join(', ')}`);
-        
-        // First, compact all non-null tiles downward
-        for (let destRow = this.gridSize - 1; destRow >= 0; destRow--) {
-            // If this cell is empty, find a non-empty cell above it to move down
-            if (this.tiles[destRow][col] === null) {
-                let sourceRow = -1;
-                
-                // Find the nearest non-null tile above this position
-                for (let srcRow = destRow - 1; srcRow >= 0; srcRow--) {
-                    if (this.tiles[srcRow][col] !== null) {
-                        sourceRow = srcRow;
-                        break;
-                    }
-                }
-                
-                if (sourceRow >= 0) {
-                    console.log(`Moving tile from [${sourceRow}][${col}] to [${destRow}][${col}]`);
-                    
-                    // Move the tile down
-                    this.tiles[destRow][col] = this.tiles[sourceRow][col];
-                    this.tiles[sourceRow][col] = null;
-                    
-                    // Update grid position
-                    this.tiles[destRow][col].gridY = destRow;
-                    
-                    // Animate movement
-                    const newY = this.y + (destRow + 0.5) * this.tileSize;
-                    this.scene.tweens.add({
-                        targets: this.tiles[destRow][col].container,
-                        y: newY,
-                        duration: 150,
-                        ease: 'Cubic.easeIn'
-                    });
-                }
-            }
-        }
-        
-        // Now, count how many empty spots remain at the top of the column
-        let emptyCount = 0;
-        for (let row = 0; row < this.gridSize; row++) {
-            if (this.tiles[row][col] === null) {
-                emptyCount++;
-            } else {
-                break; // Stop counting when we hit a non-null tile
-            }
-        }
-        
-        console.log(`Column ${col} has ${emptyCount} empty spots at the top after compacting`);
-        
-        // Fill in empty spots at the top with new tiles
-        for (let row = 0; row < emptyCount; row++) {
-            if (this.tiles[row][col] !== null) {
-                console.error(`Unexpected non-null tile at [${row}][${col}] when creating new tiles!`);
-                continue;
-            }
-            
-            console.log(`Creating new tile at [${row}][${col}]`);
-            
-            // Create a new tile just above the grid
-            const x = this.x + (col + 0.5) * this.tileSize;
-            const y = this.y - this.tileSize * (emptyCount - row);
-            const letter = LetterData.getRandomLetter();
-            
-            // Create the tile at the final position but make it invisible initially
-            const newY = this.y + (row + 0.5) * this.tileSize;
-            const tile = new Tile(this.scene, x, newY, col, row, letter, this.tileSize * 0.9);
-            
-            // Apply the current spore threshold
-            tile.sporeThreshold = this.gameParameters.sporeThreshold;
-            
-            this.tiles[row][col] = tile;
+            // Animate movement
+            this.scene.tweens.add({
+                targets: tile.container,
+                y: this.y + (step.toRow + 0.5) * this.tileSize,
+                duration: 150,
+                ease: 'Cubic.easeIn'
+            });
+        } else if (step.type === 'create') {
+            const tile = this.createTileView(step.cell, step.row, step.col);
+            const finalY = this.y + (step.row + 0.5) * this.tileSize;
             
-            // Initially set the position off-screen
+            // Start just above the grid and hidden to prevent artifacts
             tile.container.forEach(element => {
                 if (element) {
-                    element.y = y;
-                    // Initially hide the tile to prevent artifacts
+                    element.y = this.y - this.tileSize * (step.dropRows - step.row);
                     element.setAlpha(0);
                 }
             });
@@ -1414,20 +1168,25 @@ class Grid {
             // Animate falling into place with fade-in
             this.scene.tweens.add({
                 targets: tile.container,
-                y: newY,
+                y: finalY,
                 alpha: 1, // Fade in as it falls
                 duration: 200,
                 ease: 'Bounce.easeOut',
-                delay: row * 30 // Stagger the fall for a cascading effect
+                delay: step.row * 30 // Stagger the fall for a cascading effect
             });
         }
-        
-        // Verify that all spots in this column are now filled
-        for (let row = 0; row < this.gridSize; row++) {
-            if (this.tiles[row][col] === null) {
-                console.error(`Critical error: Column ${col}, row ${row} is still null after refill!`);
-            }
+    }
+    
+    /**
+     * Replace the entire board with new letters
+     * A level's own letter bag is built again, so it deals the current language pack's letters.
+     */
+    resetGrid() {
+        const letterBag = this.createLetterBag();
+        if (letterBag) {
+            this.engine.letterBag = letterBag;
         }
+        this.engine.reset();
     }
     
     /**
@@ -1435,26 +1194,21 @@ class Grid {
      * @param {Object} settings - New settings object
      */
     updateGameParameters(settings) {
-        // Update our parameters
-        if (settings) {
-            this.gameParameters = {
-                ...this.gameParameters,
-                ...settings
-            };
-            
-            console.log("Game parameters updated:", this.gameParameters);
-            
-            // Update tile spore thresholds
-            for (let row = 0; row < this.gridSize; row++) {
-                for (let col = 0; col < this.gridSize; col++) {
-                    const tile = this.tiles[row][col];
-                    if (tile) {
-                        tile.sporeThreshold = this.gameParameters.sporeThreshold;
-                        tile.updateAppearance(); // Refresh appearance based on new threshold
-                    }
-                }
-            }
-        }
+        this.engine.updateParameters(settings);
+    }
+    
+    /**
+     * Refresh tiles after the engine's parameters change
+     * @param {Object} parameters - Updated game parameters
+     */
+    onParametersChanged(parameters) {
+        console.log("Game parameters updated:", parameters);
+        
+        // Update tile spore thresholds
+        this.tileViews.forEach(tile => {
+            tile.sporeThreshold = parameters.sporeThreshold;
+            tile.updateAppearance(); // Refresh appearance based on new threshold
+        });
     }
     
     /**
@@ -1582,52 +1336,46 @@ class Grid {
 
     /**
      * Find valid words currently present in the grid
-     * Scans in all 8 directions for sequences of 3 or more letters
      * @param {number} maxWords - Maximum number of words to return
-     * @returns {string[]} Array of words
+     * @returns {string[]} Array of words, best score first
      */
     getValidWords(maxWords = 20) {
-        const results = new Set();
-        const dictionary = this.scene.wordValidator && this.scene.wordValidator.dictionary;
-        if (!dictionary || dictionary.size === 0) return [];
+        return this.engine.getValidWords(maxWords);
+    }
 
-        const directions = [
-            { dr: -1, dc: 0 },  // Up
-            { dr: -1, dc: 1 },  // Up-Right
-            { dr: 0, dc: 1 },   // Right
-            { dr: 1, dc: 1 },   // Down-Right
-            { dr: 1, dc: 0 },   // Down
-            { dr: 1, dc: -1 },  // Down-Left
-            { dr: 0, dc: -1 },  // Left
-            { dr: -1, dc: -1 }  // Up-Left
-        ];
+    /**
+     * Classify the current selection against the dictionary
+     * The dictionary answers asynchronously, so a new selection reads 'unknown' until
+     * it does and the path is redrawn once the answer arrives.
+     * @returns {string} 'word' if it spells a playable word, 'prefix' if it can still become one,
+     *   'dead' if no word starts with it, or 'unknown' while the dictionary is loading or answering
+     */
+    getSelectionStatus() {
+        const validator = this.engine.validator;
+        if (!validator.loaded) return 'unknown';
 
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                for (const dir of directions) {
-                    let word = '';
-                    for (let i = 0; i < this.gridSize; i++) {
-                        const r = row + dir.dr * i;
-                        const c = col + dir.dc * i;
-                        if (r < 0 || r >= this.gridSize || c < 0 || c >= this.gridSize) break;
-                        const tile = this.tiles[r][c];
-                        if (!tile) break;
-                        word += tile.letter;
-                        if (word.length >= 3) {
-                            const upper = word.toUpperCase();
-                            if (dictionary.has(upper)) {
-                                results.add(upper);
-                                if (results.size >= maxWords) {
-                                    return Array.from(results);
-                                }
-                            }
-                        }
-                    }
-                }
-            }
+        const word = this.engine.getWord(this.selectedTiles.map(tile => tile.cell)).toUpperCase();
+        if (this.selectionLookup.word !== word) {
+            const lookup = { word, status: 'unknown' };
+            this.selectionLookup = lookup;
+
+            validator.lookup(word)
+                .then(status => {
+                    if (this.selectionLookup !== lookup) return;
+                    lookup.status = status;
+                    this.pathNeedsRedraw = this.isSelecting;
+                })
+                .catch(() => {});
         }
+        return this.selectionLookup.status;
+    }
 
-        return Array.from(results);
+    /**
+     * Find every playable word in the grid with the path that spells it
+     * @returns {Object[]} Words as {word, path, score, length}, best score first
+     */
+    findWords() {
+        return this.engine.findWords();
     }
     
     /**
@@ -1637,6 +1385,12 @@ class Grid {
         try {
             console.log("Starting grid cleanup");
             
+            // Stop listening to the engine
+            if (this.engine) {
+                this.engine.removeAllListeners();
+            }
+            this.animationQueue = [];
+            
             // Remove input event listeners first to prevent any interaction during cleanup
             if (this.scene && this.scene.input) {
                 console.log("Removing input event listeners");
@@ -1710,6 +1464,9 @@ class Grid {
             }
             
             // Clear references
+            if (this.tileViews) {
+                this.tileViews.clear();
+            }
             this.isSelecting = false;
             this.lastHoverTile = null;
             
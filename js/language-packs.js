@@ -0,0 +1,238 @@
+/**
+ * Language packs
+ * Each pack bundles a word list, letter distribution, point values and minimum
+ * word length. Distributions may include multi-letter tiles such as 'QU'. The
+ * selected pack is stored in localStorage; levels can also name a pack of their
+ * own with a `language` field.
+ *
+ * Word lists live in dictionaries/ as one word per line. `npm run build`
+ * compiles each list that is present into a binary dictionary next to it.
+ * Settings only offer packs whose list is on the server; if a list fails to
+ * load anyway, the pack falls back to its short list of common words.
+ * Optional filter lists (see filters/) load alongside the word list: `blocklist`
+ * words are never hinted, and `commonWords` limits levels with commonWordsOnly.
+ */
+const LanguagePacks = {
+    defaultPackId: 'en-twl',
+    storageKey: 'sporesLanguage',
+
+    // Promise of the packs whose word list is on the server, once it has been checked
+    availablePacks: null,
+
+    packs: {
+        // dict.txt is the TWL06 tournament word list (178,691 words)
+        'en-twl': {
+            id: 'en-twl',
+            name: 'English (TWL)',
+            dictionary: 'dict.txt',
+            binaryDictionary: 'dict.bin',
+            blocklist: 'filters/en-blocklist.txt',
+            commonWords: 'filters/en-common.txt',
+            minWordLength: 3,
+            distribution: { ...LetterData.distribution },
+            points: { ...LetterData.points },
+            fallbackWords: [
+                'THE', 'AND', 'THAT', 'HAVE', 'FOR', 'NOT', 'WITH', 'YOU', 'THIS', 'BUT',
+                'HIS', 'FROM', 'THEY', 'SAY', 'SHE', 'WILL', 'ONE', 'ALL', 'WOULD', 'THERE',
+                'THEIR', 'WHAT', 'OUT', 'ABOUT', 'WHO', 'GET', 'WHICH', 'WHEN', 'MAKE', 'CAN',
+                'LIKE', 'TIME', 'JUST', 'HIM', 'KNOW', 'TAKE', 'PEOPLE', 'INTO', 'YEAR', 'YOUR',
+                'GOOD', 'SOME', 'COULD', 'THEM', 'SEE', 'OTHER', 'THAN', 'THEN', 'NOW', 'LOOK',
+                'ONLY', 'COME', 'ITS', 'OVER', 'THINK', 'ALSO', 'BACK', 'AFTER', 'USE', 'TWO',
+                'HOW', 'OUR', 'WORK', 'FIRST', 'WELL', 'WAY', 'EVEN', 'NEW', 'WANT', 'BECAUSE',
+                'ANY', 'THESE', 'GIVE', 'DAY', 'MOST', 'CAT', 'DOG', 'MAN', 'CAR', 'TREE',
+                'BIRD', 'GAME', 'FOOD', 'LOVE', 'AIR', 'SUN', 'MOON', 'WATER', 'BOOK', 'STAR'
+            ]
+        },
+
+        'en-collins': {
+            id: 'en-collins',
+            name: 'English (Collins)',
+            dictionary: 'dictionaries/en-collins.txt',
+            binaryDictionary: 'dictionaries/en-collins.bin',
+            blocklist: 'filters/en-blocklist.txt',
+            commonWords: 'filters/en-common.txt',
+            minWordLength: 3,
+            distribution: { ...LetterData.distribution },
+            points: { ...LetterData.points },
+            fallbackWords: [
+                'THE', 'AND', 'FOR', 'NOT', 'WITH', 'YOU', 'THIS', 'FROM', 'THEY', 'ONE',
+                'ALL', 'THERE', 'WHAT', 'OUT', 'ABOUT', 'WHO', 'MAKE', 'TIME', 'KNOW', 'TAKE',
+                'GOOD', 'SOME', 'LOOK', 'COME', 'OVER', 'BACK', 'WORK', 'FIRST', 'WELL', 'CAT',
+                'DOG', 'TREE', 'BIRD', 'GAME', 'FOOD', 'LOVE', 'SUN', 'MOON', 'WATER', 'BOOK',
+                'COLOUR', 'FAVOUR', 'THEATRE', 'CENTRE', 'HONOUR', 'LABOUR'
+            ]
+        },
+
+        'fr': {
+            id: 'fr',
+            name: 'Français',
+            dictionary: 'dictionaries/fr.txt',
+            binaryDictionary: 'dictionaries/fr.bin',
+            minWordLength: 3,
+            distribution: {
+                'A': 9, 'B': 2, 'C': 2, 'D': 3, 'E': 11, 'F': 2, 'G': 2, 'H': 2, 'I': 8,
+                'J': 1, 'K': 1, 'L': 5, 'M': 3, 'N': 6, 'O': 6, 'P': 2, 'QU': 1, 'R': 6,
+                'S': 6, 'T': 6, 'U': 6, 'V': 2, 'W': 1, 'X': 1, 'Y': 1, 'Z': 1,
+                'É': 2, 'È': 1, 'Ê': 1, 'À': 1, 'Ç': 1
+            },
+            points: {
+                'A': 1, 'B': 3, 'C': 3, 'D': 2, 'E': 1, 'F': 4, 'G': 2, 'H': 4, 'I': 1,
+                'J': 8, 'K': 10, 'L': 1, 'M': 2, 'N': 1, 'O': 1, 'P': 3, 'Q': 8, 'R': 1,
+                'S': 1, 'T': 1, 'U': 1, 'V': 4, 'W': 10, 'X': 10, 'Y': 10, 'Z': 10,
+                'É': 2, 'È': 3, 'Ê': 4, 'À': 3, 'Ç': 4, 'QU': 8
+            },
+            fallbackWords: [
+                'LES', 'DES', 'UNE', 'EST', 'QUE', 'QUI', 'DANS', 'POUR', 'PAS', 'SUR',
+                'PLUS', 'AVEC', 'TOUT', 'MAIS', 'BIEN', 'ÉTÉ', 'CHAT', 'CHIEN', 'MAISON', 'TEMPS',
+                'JOUR', 'AMI', 'EAU', 'FEU', 'MER', 'ROI', 'NUIT', 'PÈRE', 'MÈRE', 'FÊTE',
+                'TÊTE', 'ÉCOLE', 'LIVRE', 'ARBRE', 'FLEUR', 'CIEL', 'LUNE', 'SOLEIL', 'JEU', 'GARÇON',
+                'DÉJÀ', 'VOILÀ', 'FORÊT', 'RÊVE', 'ÉLÈVE', 'LEÇON', 'TRÈS', 'APRÈS', 'MÊME', 'ÉTOILE'
+            ]
+        },
+
+        'de': {
+            id: 'de',
+            name: 'Deutsch',
+            dictionary: 'dictionaries/de.txt',
+            binaryDictionary: 'dictionaries/de.bin',
+            minWordLength: 3,
+            distribution: {
+                'A': 5, 'B': 2, 'C': 2, 'D': 4, 'E': 15, 'F': 2, 'G': 3, 'H': 4, 'I': 6,
+                'J': 1, 'K': 2, 'L': 3, 'M': 4, 'N': 9, 'O': 3, 'P': 1, 'QU': 1, 'R': 6,
+                'S': 7, 'T': 6, 'U': 6, 'V': 1, 'W': 1, 'X': 1, 'Y': 1, 'Z': 1,
+                'Ä': 1, 'Ö': 1, 'Ü': 1
+            },
+            points: {
+                'A': 1, 'B': 3, 'C': 4, 'D': 1, 'E': 1, 'F': 4, 'G': 2, 'H': 2, 'I': 1,
+                'J': 6, 'K': 4, 'L': 2, 'M': 3, 'N': 1, 'O': 2, 'P': 4, 'Q': 10, 'R': 1,
+                'S': 1, 'T': 1, 'U': 1, 'V': 6, 'W': 3, 'X': 8, 'Y': 10, 'Z': 3,
+                'Ä': 6, 'Ö': 8, 'Ü': 6, 'QU': 10
+            },
+            fallbackWords: [
+                'DER', 'DIE', 'DAS', 'UND', 'IST', 'EIN', 'EINE', 'NICHT', 'MIT', 'AUF',
+                'FÜR', 'VON', 'HAUS', 'BAUM', 'HUND', 'KATZE', 'TAG', 'NACHT', 'WASSER', 'FEUER',
+                'BROT', 'MILCH', 'BUCH', 'SPIEL', 'ZEIT', 'JAHR', 'KIND', 'MANN', 'FRAU', 'SONNE',
+                'MOND', 'STERN', 'BÄR', 'TÜR', 'GRÜN', 'BLÜTE', 'MÄDCHEN', 'KÄSE', 'ÄRGER', 'SCHÖN',
+                'HÖREN', 'FÜNF', 'ÜBER', 'MÜDE', 'RÄTSEL', 'WÖRTER', 'BÜCHER', 'VÖGEL', 'ÄPFEL', 'TÖNE'
+            ]
+        },
+
+        'es': {
+            id: 'es',
+            name: 'Español',
+            dictionary: 'dictionaries/es.txt',
+            binaryDictionary: 'dictionaries/es.bin',
+            minWordLength: 3,
+            distribution: {
+                'A': 11, 'B': 2, 'C': 4, 'D': 5, 'E': 11, 'F': 1, 'G': 2, 'H': 2, 'I': 6,
+                'J': 1, 'L': 4, 'M': 2, 'N': 5, 'Ñ': 1, 'O': 8, 'P': 2, 'QU': 1, 'R': 5,
+                'S': 6, 'T': 4, 'U': 5, 'V': 1, 'X': 1, 'Y': 1, 'Z': 1,
+                'Á': 1, 'É': 1, 'Í': 1, 'Ó': 1, 'Ú': 1,
+                'CH': 1, 'LL': 1, 'RR': 1
+            },
+            points: {
+                'A': 1, 'B': 3, 'C': 3, 'D': 2, 'E': 1, 'F': 4, 'G': 2, 'H': 4, 'I': 1,
+                'J': 8, 'L': 1, 'M': 3, 'N': 1, 'Ñ': 8, 'O': 1, 'P': 3, 'Q': 5, 'R': 1,
+                'S': 1, 'T': 1, 'U': 1, 'V': 4, 'X': 8, 'Y': 4, 'Z': 10,
+                'Á': 3, 'É': 3, 'Í': 3, 'Ó': 3, 'Ú': 4,
+                'QU': 5, 'CH': 5, 'LL': 8, 'RR': 8
+            },
+            fallbackWords: [
+                'LOS', 'LAS', 'UNA', 'QUE', 'CON', 'POR', 'PARA', 'SOL', 'MAR', 'PAN',
+                'DÍA', 'MES', 'AÑO', 'NIÑO', 'NIÑA', 'CASA', 'PERRO', 'GATO', 'AGUA', 'FUEGO',
+                'LUNA', 'CIELO', 'ÁRBOL', 'FLOR', 'LIBRO', 'MESA', 'SILLA', 'MAMÁ', 'PAPÁ', 'CAFÉ',
+                'SEÑOR', 'ESPAÑA', 'CAMIÓN', 'ADIÓS', 'JUEGO', 'TIEMPO', 'NOCHE', 'AMIGO', 'ROJO', 'AZUL',
+                'MÁS', 'ASÍ', 'AQUÍ', 'ALLÍ', 'MAÑANA', 'CANCIÓN', 'LÁPIZ', 'MÚSICA', 'PÁJARO', 'ÚLTIMO'
+            ]
+        }
+    },
+
+    /**
+     * Get a pack by id
+     * @param {string} id - Pack id
+     * @returns {Object} The pack, or the default pack if the id is unknown
+     */
+    getPack: function(id) {
+        return this.packs[id] || this.packs[this.defaultPackId];
+    },
+
+    /**
+     * Get every pack, in display order
+     * @returns {Object[]} The packs
+     */
+    getPacks: function() {
+        return Object.values(this.packs);
+    },
+
+    /**
+     * Find the packs whose word list is on the server, checking each list once
+     * The default pack's list ships with the game, so it is always included.
+     * @returns {Promise<Object[]>} The packs, in display order
+     */
+    findAvailablePacks: function() {
+        if (!this.availablePacks) {
+            const checks = this.getPacks().map(pack => {
+                if (pack.id === this.defaultPackId) {
+                    return Promise.resolve(pack);
+                }
+                return fetch(pack.dictionary, { method: 'HEAD' })
+                    .then(response => this.isDictionaryResponse(response) ? pack : null)
+                    .catch(() => null);
+            });
+            this.availablePacks = Promise.all(checks).then(packs => packs.filter(pack => pack !== null));
+        }
+        return this.availablePacks;
+    },
+
+    /**
+     * Check if a fetched dictionary file was really found
+     * Hosts that answer every path with index.html (see netlify.toml) send a page
+     * with status 200 for a missing file, so an HTML page counts as missing.
+     * @param {Response} response - Fetch response
+     * @returns {boolean} True if the response holds the requested file
+     */
+    isDictionaryResponse: function(response) {
+        const contentType = response.headers.get('Content-Type') || '';
+        return response.ok && !contentType.includes('text/html');
+    },
+
+    /**
+     * Check if text reads as a word list: one word per line, without markup or spaces
+     * @param {string} text - File contents
+     * @returns {boolean} True if every line holds at most one word
+     */
+    isWordList: function(text) {
+        return text.trim().length > 0 && text.split(/\r?\n/).every(line => !/[<>\s]/.test(line.trim()));
+    },
+
+    /**
+     * Get the id of the pack chosen in settings
+     * @returns {string} Pack id
+     */
+    getSelectedId: function() {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(this.storageKey) : null;
+        return stored && this.packs[stored] ? stored : this.defaultPackId;
+    },
+
+    /**
+     * Remember the pack chosen in settings
+     * @param {string} id - Pack id
+     */
+    setSelectedId: function(id) {
+        if (this.packs[id] && typeof localStorage !== 'undefined') {
+            localStorage.setItem(this.storageKey, id);
+        }
+    },
+
+    /**
+     * Get the pack a level plays with
+     * @param {Object} level - Level definition (may name a pack with `language`)
+     * @returns {Object} The level's pack, or the pack chosen in settings
+     */
+    getPackForLevel: function(level) {
+        if (level && level.language && this.packs[level.language]) {
+            return this.packs[level.language];
+        }
+        return this.getPack(this.getSelectedId());
+    }
+};
@@ -0,0 +1,144 @@
+/**
+ * Finite bag of letter tiles
+ * Holds one full set of tiles from the letter distribution and deals them out
+ * without replacement, so rare letters like Z and X can't repeat until the bag
+ * runs out. An empty bag is refilled with a fresh shuffled set.
+ */
+class LetterBag {
+    /**
+     * Create a bag
+     * @param {SeededRandom} rng - Random number generator used to shuffle
+     * @param {Object} distribution - Tile counts to fill from (defaults to LetterData's current distribution)
+     */
+    constructor(rng, distribution = null) {
+        this.rng = rng;
+        this.distribution = distribution;
+
+        // Distribution the tiles were dealt from, so a language pack switch starts a new bag
+        this.filledFrom = null;
+        this.tiles = [];
+    }
+
+    /**
+     * Get the distribution the bag currently deals from
+     * @returns {Object} Tile counts keyed by letter
+     */
+    getDistribution() {
+        return this.distribution || LetterData.distribution;
+    }
+
+    /**
+     * Number of tiles left before the bag is refilled
+     * @returns {number} Remaining tiles
+     */
+    get remaining() {
+        return this.tiles.length;
+    }
+
+    /**
+     * Empty the bag and fill it with a fresh shuffled set of tiles
+     */
+    refill() {
+        const distribution = this.getDistribution();
+        this.tiles = [];
+        for (const [letter, count] of Object.entries(distribution)) {
+            for (let i = 0; i < count; i++) {
+                this.tiles.push(letter);
+            }
+        }
+
+        this.rng.shuffle(this.tiles);
+        this.filledFrom = distribution;
+    }
+
+    /**
+     * Make sure there is a tile to draw, refilling an empty or outdated bag
+     */
+    ensureTiles() {
+        if (this.tiles.length === 0 || this.filledFrom !== this.getDistribution()) {
+            this.refill();
+        }
+    }
+
+    /**
+     * Draw the next tile
+     * @returns {string} The tile's uppercase letter (or letters, e.g. 'QU')
+     */
+    draw() {
+        this.ensureTiles();
+        return this.tiles.pop();
+    }
+
+    /**
+     * Draw the next tile that passes a test, leaving the others in the bag
+     * Falls back to the next tile when no tile in the bag or a fresh set passes.
+     * @param {Function} predicate - Called with a letter, returns true for acceptable tiles
+     * @returns {string} The drawn tile
+     */
+    drawMatching(predicate) {
+        this.ensureTiles();
+
+        let index = this.findLast(predicate);
+        if (index === -1) {
+            // Top the bag up with a fresh set rather than break the balance
+            const leftover = this.tiles;
+            this.refill();
+            this.tiles = leftover.concat(this.tiles);
+            index = this.findLast(predicate);
+        }
+
+        if (index === -1) {
+            return this.tiles.pop();
+        }
+
+        return this.tiles.splice(index, 1)[0];
+    }
+
+    /**
+     * Get the tiles left in the bag, in dealing order, for a saved game
+     * @returns {string[]} Remaining tiles (the last one is drawn next)
+     */
+    serialize() {
+        return [...this.tiles];
+    }
+
+    /**
+     * Put back tiles captured with serialize()
+     * They count as dealt from the current distribution, so the bag isn't refilled straight away.
+     * @param {string[]} tiles - Remaining tiles
+     */
+    restore(tiles) {
+        this.tiles = [...tiles];
+        this.filledFrom = this.getDistribution();
+    }
+
+    /**
+     * Find the tile nearest the top of the bag that passes a test
+     * @param {Function} predicate - Called with a letter
+     * @returns {number} Index into tiles, or -1
+     */
+    findLast(predicate) {
+        for (let i = this.tiles.length - 1; i >= 0; i--) {
+            if (predicate(this.tiles[i])) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Check if a tile counts as a vowel for balancing
+     * Accented vowels count; multi-letter tiles go by their first letter, so 'QU' is a consonant.
+     * @param {string} letter - The tile's uppercase letter or letters
+     * @returns {boolean} True for vowels
+     */
+    static isVowel(letter) {
+        if (!letter) return false;
+
+        const base = letter.charAt(0).normalize('NFD').charAt(0);
+        return LetterBag.VOWELS.includes(base);
+    }
+}
+
+// Letters treated as vowels (Y stays a consonant)
+LetterBag.VOWELS = 'AEIOU';
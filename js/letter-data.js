@@ -1,12 +1,13 @@
 /**
- * Scrabble letter data for UK English version
- * Contains letter distributions and point values
+ * Scrabble letter data, starting with the English tile set
+ * Contains letter distributions and point values; language packs swap them with usePack
  */
 const LetterData = {
     // Letter distribution (how many of each letter should be in the pool)
+    // A tile can hold several letters: Q only comes as a 'QU' tile so it is always playable
     distribution: {
         'A': 9, 'B': 2, 'C': 2, 'D': 4, 'E': 12, 'F': 2, 'G': 3, 'H': 2, 'I': 9,
-        'J': 1, 'K': 1, 'L': 4, 'M': 2, 'N': 6, 'O': 8, 'P': 2, 'Q': 1, 'R': 6,
+        'J': 1, 'K': 1, 'L': 4, 'M': 2, 'N': 6, 'O': 8, 'P': 2, 'QU': 1, 'R': 6,
         'S': 4, 'T': 6, 'U': 4, 'V': 2, 'W': 2, 'X': 1, 'Y': 2, 'Z': 1
     },
     
@@ -14,33 +15,56 @@ const LetterData = {
     points: {
         'A': 1, 'B': 3, 'C': 3, 'D': 2, 'E': 1, 'F': 4, 'G': 2, 'H': 4, 'I': 1,
         'J': 8, 'K': 5, 'L': 1, 'M': 3, 'N': 1, 'O': 1, 'P': 3, 'Q': 10, 'R': 1,
-        'S': 1, 'T': 1, 'U': 1, 'V': 4, 'W': 4, 'X': 8, 'Y': 4, 'Z': 10
+        'S': 1, 'T': 1, 'U': 1, 'V': 4, 'W': 4, 'X': 8, 'Y': 4, 'Z': 10,
+        'QU': 10
     },
     
     /**
      * Generate a random letter based on Scrabble distribution
-     * @returns {string} A single uppercase letter
+     * Samples with replacement; the game engine deals from a LetterBag instead.
+     * @param {SeededRandom} rng - Random number generator to draw from
+     * @returns {string} The uppercase letter (or letters, e.g. 'QU') for one tile
      */
-    getRandomLetter: function() {
-        // Create an array with letters repeated according to their distribution
-        const letterPool = [];
-        for (const [letter, count] of Object.entries(this.distribution)) {
-            for (let i = 0; i < count; i++) {
-                letterPool.push(letter);
+    getRandomLetter: function(rng) {
+        const entries = Object.entries(this.distribution);
+        const total = entries.reduce((sum, [, count]) => sum + count, 0);
+        
+        // Walk the distribution until the random position falls inside a letter's share
+        let position = rng.integer(total);
+        for (const [letter, count] of entries) {
+            position -= count;
+            if (position < 0) {
+                return letter;
             }
         }
         
-        // Pick a random letter from the pool
-        const randomIndex = Math.floor(Math.random() * letterPool.length);
-        return letterPool[randomIndex];
+        return entries[entries.length - 1][0];
     },
     
     /**
-     * Get the point value for a letter
-     * @param {string} letter - A single uppercase letter
+     * Get the point value for a tile
+     * Multi-letter tiles without a value of their own score the sum of their letters
+     * @param {string} letter - The tile's uppercase letter or letters
      * @returns {number} The point value
      */
     getPointValue: function(letter) {
-        return this.points[letter] || 0;
+        if (this.points[letter] !== undefined) {
+            return this.points[letter];
+        }
+        
+        if (letter.length > 1) {
+            return Array.from(letter).reduce((sum, char) => sum + (this.points[char] || 0), 0);
+        }
+        
+        return 0;
+    },
+    
+    /**
+     * Use the letter distribution and point values of a language pack
+     * @param {Object} pack - Language pack with distribution and points
+     */
+    usePack: function(pack) {
+        this.distribution = pack.distribution;
+        this.points = pack.points;
     }
 };
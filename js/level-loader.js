@@ -0,0 +1,674 @@
+/**
+ * Loads level definitions from the JSON files in levels/
+ * levels/index.json lists the level files in play order. Every file is checked
+ * against the level schema; files with problems are skipped and each problem is
+ * reported with the file name and field so designers can fix it without digging
+ * through the code. `npm run validate-levels` runs the same checks from Node.
+ */
+class LevelLoader {
+    /**
+     * Load, validate and cache every level listed in the index
+     * Falls back to a single infinite level when no valid level can be loaded.
+     * @param {string} baseUrl - Directory holding index.json and the level files
+     * @param {Function} readJson - Reads and parses a JSON file from a URL (fetch by default)
+     * @returns {Promise<Object[]>} Valid levels sorted by level number
+     */
+    static async load(baseUrl = LevelLoader.BASE_URL, readJson = LevelLoader.fetchJson) {
+        const result = await LevelLoader.loadFiles(baseUrl, readJson);
+
+        result.errors.forEach(error => console.error(`Level error: ${error}`));
+
+        if (result.levels.length === 0) {
+            console.warn('No valid levels found, falling back to infinite mode');
+            LevelLoader.levels = LevelLoader.FALLBACK_LEVELS;
+        } else {
+            console.log(`Loaded ${result.levels.length} levels from ${baseUrl}`);
+            LevelLoader.levels = result.levels;
+        }
+
+        LevelLoader.errors = result.errors;
+        return LevelLoader.levels;
+    }
+
+    /**
+     * Read and validate the index and every level file it lists
+     * @param {string} baseUrl - Directory holding index.json and the level files
+     * @param {Function} readJson - Reads and parses a JSON file from a URL
+     * @returns {Promise<Object>} {levels, errors} with levels sorted by level number
+     */
+    static async loadFiles(baseUrl, readJson) {
+        const errors = [];
+
+        let index;
+        try {
+            index = await readJson(`${baseUrl}${LevelLoader.INDEX_FILE}`);
+        } catch (error) {
+            return { levels: [], errors: [`${LevelLoader.INDEX_FILE}: ${error.message}`] };
+        }
+
+        if (!index || !Array.isArray(index.levels) || !index.levels.every(file => typeof file === 'string')) {
+            return { levels: [], errors: [`${LevelLoader.INDEX_FILE}: "levels" must be a list of level file names`] };
+        }
+
+        const levels = [];
+        for (const file of index.levels) {
+            let data;
+            try {
+                data = await readJson(`${baseUrl}${file}`);
+            } catch (error) {
+                errors.push(`${file}: ${error.message}`);
+                continue;
+            }
+
+            const levelErrors = LevelLoader.validate(data);
+            if (levelErrors.length > 0) {
+                levelErrors.forEach(error => errors.push(`${file}: ${error}`));
+                continue;
+            }
+
+            levels.push(LevelLoader.normalize(data, file));
+        }
+
+        LevelLoader.validateSet(levels).forEach(error => errors.push(error));
+
+        // Levels with clashing numbers can't be told apart, so keep only the first
+        const seen = new Set();
+        const uniqueLevels = levels.filter(level => {
+            if (seen.has(level.levelNumber)) return false;
+            seen.add(level.levelNumber);
+            return true;
+        });
+
+        uniqueLevels.sort((a, b) => a.levelNumber - b.levelNumber);
+        return { levels: uniqueLevels, errors };
+    }
+
+    /**
+     * Fetch and parse a JSON file
+     * @param {string} url - File URL
+     * @returns {Promise<Object>} Parsed contents
+     */
+    static async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`could not be loaded (${response.status} ${response.statusText})`);
+        }
+
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`is not valid JSON (${error.message})`);
+        }
+    }
+
+    /**
+     * Check a level definition against the schema
+     * @param {Object} level - Parsed level file
+     * @returns {string[]} Problems found, empty if the level is valid
+     */
+    static validate(level) {
+        const errors = [];
+
+        if (!LevelLoader.isObject(level)) {
+            return ['a level file must contain a JSON object'];
+        }
+
+        Object.keys(level).forEach(key => {
+            if (!LevelLoader.FIELDS.includes(key)) {
+                errors.push(`unknown field "${key}" (expected one of: ${LevelLoader.FIELDS.join(', ')})`);
+            }
+        });
+
+        if (!LevelLoader.isInteger(level.levelNumber, 1)) {
+            errors.push('"levelNumber" is required and must be a whole number of at least 1');
+        }
+        if (typeof level.name !== 'string' || level.name.trim() === '') {
+            errors.push('"name" is required and must be a non-empty string');
+        }
+        if (!LevelLoader.isInteger(level.gridSize, LevelLoader.MIN_GRID_SIZE, LevelLoader.MAX_GRID_SIZE)) {
+            errors.push(`"gridSize" is required and must be a whole number from ${LevelLoader.MIN_GRID_SIZE} to ${LevelLoader.MAX_GRID_SIZE}`);
+        }
+        if (level.nextLevel !== undefined && level.nextLevel !== null && !LevelLoader.isInteger(level.nextLevel, 1)) {
+            errors.push('"nextLevel" must be a level number or null');
+        }
+        if (level.sporeThreshold !== undefined &&
+            !LevelLoader.isInteger(level.sporeThreshold, LevelLoader.MIN_SPORE_THRESHOLD, LevelLoader.MAX_SPORE_THRESHOLD)) {
+            errors.push(`"sporeThreshold" must be a whole number from ${LevelLoader.MIN_SPORE_THRESHOLD} to ${LevelLoader.MAX_SPORE_THRESHOLD}`);
+        }
+        if (level.unlockAfter !== undefined && !LevelLoader.isInteger(level.unlockAfter, 1)) {
+            errors.push('"unlockAfter" must be a level number');
+        }
+        if (level.starScores !== undefined && !(Array.isArray(level.starScores) &&
+            level.starScores.length === 2 &&
+            level.starScores.every(score => LevelLoader.isInteger(score, 1)) &&
+            level.starScores[0] < level.starScores[1])) {
+            errors.push('"starScores" must be two increasing scores: [two-star score, three-star score]');
+        }
+        if (level.undos !== undefined && !LevelLoader.isInteger(level.undos, 0)) {
+            errors.push('"undos" must be a whole number of at least 0');
+        }
+        if (level.commonWordsOnly !== undefined && typeof level.commonWordsOnly !== 'boolean') {
+            errors.push('"commonWordsOnly" must be true or false');
+        }
+        if (level.mode !== undefined && !LevelLoader.MODES.includes(level.mode)) {
+            errors.push(`"mode" must be one of: ${LevelLoader.MODES.join(', ')}`);
+        }
+        if (level.mode === 'blitz' && !(LevelLoader.isObject(level.constraints) && level.constraints.timeLimit !== undefined)) {
+            errors.push('a "blitz" level needs constraints.timeLimit for its countdown');
+        }
+        if (level.mode === 'puzzle' && !(Array.isArray(level.objectives) && level.objectives.length > 0)) {
+            errors.push('a "puzzle" level needs an objective to finish, such as clearBoard or markedTiles');
+        }
+        if (level.seed !== undefined && (typeof level.seed !== 'string' || level.seed.trim() === '')) {
+            errors.push('"seed" must be a non-empty string');
+        }
+        if (level.language !== undefined && (typeof LanguagePacks === 'undefined' || !LanguagePacks.packs[level.language])) {
+            const known = typeof LanguagePacks !== 'undefined' ? Object.keys(LanguagePacks.packs).join(', ') : 'none';
+            errors.push(`"language" must be a language pack id (one of: ${known})`);
+        }
+
+        LevelLoader.validateObjectives(level.objectives, level, errors);
+        LevelLoader.validateTooltips(level.tooltips, errors);
+        LevelLoader.validateConstraints(level.constraints, errors);
+        LevelLoader.validateLetterBag(level.letterBag, errors);
+
+        // The layout can only be checked against a valid grid size
+        if (LevelLoader.isInteger(level.gridSize, LevelLoader.MIN_GRID_SIZE, LevelLoader.MAX_GRID_SIZE)) {
+            const threshold = LevelLoader.isInteger(level.sporeThreshold) ? level.sporeThreshold : LevelLoader.DEFAULT_SPORE_THRESHOLD;
+            LevelLoader.validateBoard(level.board, level.gridSize, errors);
+            if (level.mode === 'puzzle') {
+                LevelLoader.validatePuzzleBoard(level.board, errors);
+            }
+            LevelLoader.validateSpores(level.spores, level.gridSize, threshold, errors);
+            LevelLoader.validateMarkedTiles(level.markedTiles, level.gridSize, errors);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the objectives list
+     * Some objective types need extra fields (the letter to use, the word to
+     * spell) or parts of the layout (marked tiles, starting spores).
+     * @param {*} objectives - Value of the objectives field
+     * @param {Object} level - The whole level, for objectives that refer to its layout
+     * @param {string[]} errors - Problems found so far
+     */
+    static validateObjectives(objectives, level, errors) {
+        if (!Array.isArray(objectives)) {
+            errors.push('"objectives" is required and must be a list (use [] for endless play)');
+            return;
+        }
+
+        objectives.forEach((objective, i) => {
+            const field = `objectives[${i}]`;
+            if (!LevelLoader.isObject(objective)) {
+                errors.push(`${field} must be an object with type, target and description`);
+                return;
+            }
+            if (!LevelLoader.OBJECTIVE_TYPES.includes(objective.type)) {
+                errors.push(`${field}.type must be one of: ${LevelLoader.OBJECTIVE_TYPES.join(', ')}`);
+            }
+            if (typeof objective.description !== 'string' || objective.description.trim() === '') {
+                errors.push(`${field}.description must be a non-empty string`);
+            }
+
+            // Marked tile, spore and target word objectives have a natural target
+            const hasDefaultTarget = LevelLoader.DEFAULT_TARGET_TYPES.includes(objective.type);
+            if (!(hasDefaultTarget && objective.target === undefined) && !LevelLoader.isInteger(objective.target, 1)) {
+                errors.push(`${field}.target must be a whole number of at least 1`);
+            }
+
+            switch (objective.type) {
+                case 'letter':
+                    if (typeof objective.letter !== 'string' || !LevelLoader.isTile(objective.letter)) {
+                        errors.push(`${field}.letter must be a tile in uppercase, such as "E" or "QU"`);
+                    }
+                    break;
+                case 'longWords':
+                    if (!LevelLoader.isInteger(objective.minLength, LevelLoader.MIN_LONG_WORD_LENGTH)) {
+                        errors.push(`${field}.minLength must be a whole number of at least ${LevelLoader.MIN_LONG_WORD_LENGTH}`);
+                    }
+                    break;
+                case 'targetWord':
+                    if (typeof objective.word !== 'string' || !/^\p{L}{3,}$/u.test(objective.word)) {
+                        errors.push(`${field}.word must be a word of at least 3 letters`);
+                    }
+                    break;
+                case 'markedTiles': {
+                    const marked = LevelLoader.countMarkedTiles(level.markedTiles);
+                    if (marked === 0) {
+                        errors.push(`${field} needs a "markedTiles" layout with at least one marked tile`);
+                    } else if (LevelLoader.isInteger(objective.target) && objective.target > marked) {
+                        errors.push(`${field}.target is ${objective.target} but only ${marked} tiles are marked`);
+                    }
+                    break;
+                }
+                case 'clearBoard':
+                    if (level.mode !== 'puzzle') {
+                        errors.push(`${field} only works in "puzzle" levels, where cleared tiles aren't replaced`);
+                    } else if (LevelLoader.isInteger(objective.target) && LevelLoader.isInteger(level.gridSize) &&
+                        objective.target > level.gridSize * level.gridSize) {
+                        errors.push(`${field}.target is ${objective.target} but the board only has ${level.gridSize * level.gridSize} tiles`);
+                    }
+                    break;
+                case 'clearSpores': {
+                    const infected = LevelLoader.countSporeTiles(level.spores);
+                    if (infected === 0) {
+                        errors.push(`${field} needs a "spores" layout with at least one tile that has spores`);
+                    } else if (LevelLoader.isInteger(objective.target) && objective.target > infected) {
+                        errors.push(`${field}.target is ${objective.target} but only ${infected} tiles start with spores`);
+                    }
+                    break;
+                }
+            }
+        });
+    }
+
+    /**
+     * Check the tooltips list
+     * @param {*} tooltips - Value of the tooltips field
+     * @param {string[]} errors - Problems found so far
+     */
+    static validateTooltips(tooltips, errors) {
+        if (tooltips === undefined) return;
+
+        if (!Array.isArray(tooltips)) {
+            errors.push('"tooltips" must be a list');
+            return;
+        }
+
+        tooltips.forEach((tooltip, i) => {
+            const field = `tooltips[${i}]`;
+            if (!LevelLoader.isObject(tooltip) || typeof tooltip.text !== 'string' || tooltip.text.trim() === '') {
+                errors.push(`${field}.text must be a non-empty string`);
+                return;
+            }
+            if (tooltip.position !== undefined && !LevelLoader.TOOLTIP_POSITIONS.includes(tooltip.position)) {
+                errors.push(`${field}.position must be one of: ${LevelLoader.TOOLTIP_POSITIONS.join(', ')}`);
+            }
+        });
+    }
+
+    /**
+     * Check the constraints that can fail a level
+     * @param {*} constraints - Value of the constraints field
+     * @param {string[]} errors - Problems found so far
+     */
+    static validateConstraints(constraints, errors) {
+        if (constraints === undefined) return;
+
+        if (!LevelLoader.isObject(constraints)) {
+            errors.push('"constraints" must be an object with maxMoves, timeLimit and/or maxInvalidWords');
+            return;
+        }
+
+        Object.keys(constraints).forEach(key => {
+            if (!['maxMoves', 'timeLimit', 'maxInvalidWords'].includes(key)) {
+                errors.push(`constraints has unknown field "${key}"`);
+            }
+        });
+
+        if (constraints.maxMoves !== undefined && !LevelLoader.isInteger(constraints.maxMoves, 1)) {
+            errors.push('constraints.maxMoves must be a whole number of at least 1');
+        }
+        if (constraints.timeLimit !== undefined && !LevelLoader.isInteger(constraints.timeLimit, 1)) {
+            errors.push('constraints.timeLimit must be a whole number of seconds, at least 1');
+        }
+        if (constraints.maxInvalidWords !== undefined && !LevelLoader.isInteger(constraints.maxInvalidWords, 0)) {
+            errors.push('constraints.maxInvalidWords must be a whole number of at least 0');
+        }
+    }
+
+    /**
+     * Check the letter bag overrides
+     * @param {*} letterBag - Value of the letterBag field
+     * @param {string[]} errors - Problems found so far
+     */
+    static validateLetterBag(letterBag, errors) {
+        if (letterBag === undefined) return;
+
+        if (!LevelLoader.isObject(letterBag)) {
+            errors.push('"letterBag" must be an object with distribution, minVowelRatio and/or maxVowelRatio');
+            return;
+        }
+
+        Object.keys(letterBag).forEach(key => {
+            if (!['distribution', 'minVowelRatio', 'maxVowelRatio'].includes(key)) {
+                errors.push(`letterBag has unknown field "${key}"`);
+            }
+        });
+
+        if (letterBag.distribution !== undefined) {
+            if (!LevelLoader.isObject(letterBag.distribution)) {
+                errors.push('letterBag.distribution must map tiles to counts, e.g. {"E": 15, "Z": 0}');
+            } else {
+                Object.entries(letterBag.distribution).forEach(([tile, count]) => {
+                    if (!LevelLoader.isTile(tile)) {
+                        errors.push(`letterBag.distribution has an invalid tile "${tile}" (use uppercase letters)`);
+                    }
+                    if (!LevelLoader.isInteger(count, 0)) {
+                        errors.push(`letterBag.distribution.${tile} must be a whole number of at least 0`);
+                    }
+                });
+            }
+        }
+
+        ['minVowelRatio', 'maxVowelRatio'].forEach(key => {
+            const value = letterBag[key];
+            if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+                errors.push(`letterBag.${key} must be a number from 0 to 1`);
+            }
+        });
+
+        if (typeof letterBag.minVowelRatio === 'number' && typeof letterBag.maxVowelRatio === 'number' &&
+            letterBag.minVowelRatio > letterBag.maxVowelRatio) {
+            errors.push('letterBag.minVowelRatio must not be greater than letterBag.maxVowelRatio');
+        }
+    }
+
+    /**
+     * Check the starting board layout
+     * Each row is a string with one letter per tile, or a list of tiles for
+     * multi-letter tiles like "QU". "." leaves a tile to be drawn from the bag.
+     * @param {*} board - Value of the board field
+     * @param {number} gridSize - The level's grid size
+     * @param {string[]} errors - Problems found so far
+     */
+    static validateBoard(board, gridSize, errors) {
+        if (board === undefined) return;
+
+        if (!Array.isArray(board) || board.length !== gridSize) {
+            errors.push(`"board" must be a list of ${gridSize} rows`);
+            return;
+        }
+
+        board.forEach((row, i) => {
+            const tiles = LevelLoader.getRowTiles(row);
+            if (!tiles || tiles.length !== gridSize) {
+                errors.push(`board[${i}] must have ${gridSize} tiles (a string of letters or a list of tiles)`);
+                return;
+            }
+            tiles.forEach((tile, col) => {
+                if (tile !== LevelLoader.RANDOM_TILE && !LevelLoader.isTile(tile.toUpperCase())) {
+                    errors.push(`board[${i}] has an invalid tile "${tile}" in column ${col + 1}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check that a puzzle gives every tile of its board
+     * Puzzles are solved against a known board, so none of it may be left to the bag.
+     * @param {*} board - Value of the board field
+     * @param {string[]} errors - Problems found so far
+     */
+    static validatePuzzleBoard(board, errors) {
+        if (board === undefined) {
+            errors.push('a "puzzle" level needs a "board" with every tile given');
+            return;
+        }
+        if (!Array.isArray(board)) return;
+
+        board.forEach((row, i) => {
+            const tiles = LevelLoader.getRowTiles(row);
+            if (tiles && tiles.includes(LevelLoader.RANDOM_TILE)) {
+                errors.push(`board[${i}] has "${LevelLoader.RANDOM_TILE}" tiles, but every tile of a "puzzle" board must be given`);
+            }
+        });
+    }
+
+    /**
+     * Check the starting spore counts
+     * @param {*} spores - Value of the spores field
+     * @param {number} gridSize - The level's grid size
+     * @param {number} threshold - The level's spore threshold
+     * @param {string[]} errors - Problems found so far
+     */
+    static validateSpores(spores, gridSize, threshold, errors) {
+        if (spores === undefined) return;
+
+        if (!Array.isArray(spores) || spores.length !== gridSize) {
+            errors.push(`"spores" must be a list of ${gridSize} rows`);
+            return;
+        }
+
+        spores.forEach((row, i) => {
+            if (typeof row !== 'string' || row.length !== gridSize || !/^[0-9]+$/.test(row)) {
+                errors.push(`spores[${i}] must be a string of ${gridSize} digits`);
+                return;
+            }
+            if (Array.from(row).some(digit => Number(digit) >= threshold)) {
+                errors.push(`spores[${i}] has a count of ${threshold} or more, which would explode immediately`);
+            }
+        });
+    }
+
+    /**
+     * Check the marked tiles layout: one string per row, "*" for a marked tile and "." otherwise
+     * @param {*} markedTiles - Value of the markedTiles field
+     * @param {number} gridSize - The level's grid size
+     * @param {string[]} errors - Problems found so far
+     */
+    static validateMarkedTiles(markedTiles, gridSize, errors) {
+        if (markedTiles === undefined) return;
+
+        if (!Array.isArray(markedTiles) || markedTiles.length !== gridSize) {
+            errors.push(`"markedTiles" must be a list of ${gridSize} rows`);
+            return;
+        }
+
+        markedTiles.forEach((row, i) => {
+            if (typeof row !== 'string' || row.length !== gridSize || !/^[.*]+$/.test(row)) {
+                errors.push(`markedTiles[${i}] must be a string of ${gridSize} characters, "*" for a marked tile and "." otherwise`);
+            }
+        });
+    }
+
+    /**
+     * Count the marked tiles in a markedTiles layout
+     * @param {*} markedTiles - Value of the markedTiles field
+     * @returns {number} Number of "*" tiles, 0 if the layout is missing or malformed
+     */
+    static countMarkedTiles(markedTiles) {
+        if (!Array.isArray(markedTiles)) return 0;
+        return markedTiles
+            .filter(row => typeof row === 'string')
+            .reduce((sum, row) => sum + Array.from(row).filter(char => char === '*').length, 0);
+    }
+
+    /**
+     * Count the tiles that start with spores in a spores layout
+     * @param {*} spores - Value of the spores field
+     * @returns {number} Number of non-zero counts, 0 if the layout is missing or malformed
+     */
+    static countSporeTiles(spores) {
+        if (!Array.isArray(spores)) return 0;
+        return spores
+            .filter(row => typeof row === 'string')
+            .reduce((sum, row) => sum + Array.from(row).filter(digit => /[1-9]/.test(digit)).length, 0);
+    }
+
+    /**
+     * Check rules that span several levels
+     * @param {Object[]} levels - Individually valid levels
+     * @returns {string[]} Problems found
+     */
+    static validateSet(levels) {
+        const errors = [];
+        const byNumber = new Map();
+
+        levels.forEach(level => {
+            if (byNumber.has(level.levelNumber)) {
+                errors.push(`${level.file}: levelNumber ${level.levelNumber} is already used by ${byNumber.get(level.levelNumber).file}`);
+            } else {
+                byNumber.set(level.levelNumber, level);
+            }
+        });
+
+        levels.forEach(level => {
+            if (level.nextLevel !== null && !byNumber.has(level.nextLevel)) {
+                errors.push(`${level.file}: nextLevel ${level.nextLevel} does not match any level`);
+            }
+            if (level.unlockAfter !== undefined && !byNumber.has(level.unlockAfter)) {
+                errors.push(`${level.file}: unlockAfter ${level.unlockAfter} does not match any level`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Fill in optional fields and convert the layout to tiles
+     * @param {Object} level - A valid level definition
+     * @param {string} file - File the level came from
+     * @returns {Object} The level ready for LevelManager
+     */
+    static normalize(level, file) {
+        // Puzzles are checked against one dictionary and one spread of spores,
+        // so they always play with the same language and seed
+        const isPuzzle = level.mode === 'puzzle';
+
+        return {
+            ...level,
+            file,
+            seed: level.seed || (isPuzzle ? `puzzle-${level.levelNumber}` : null),
+            language: level.language || (isPuzzle ? LevelLoader.PUZZLE_LANGUAGE : undefined),
+            nextLevel: level.nextLevel === undefined ? null : level.nextLevel,
+            tooltips: level.tooltips || [],
+            objectives: level.objectives.map(objective => LevelLoader.normalizeObjective(objective, level)),
+            board: level.board
+                ? level.board.map(row => LevelLoader.getRowTiles(row).map(tile => tile.toUpperCase()))
+                : null,
+            spores: level.spores ? level.spores.map(row => Array.from(row).map(Number)) : null,
+            markedTiles: level.markedTiles ? level.markedTiles.map(row => Array.from(row).map(char => char === '*')) : null
+        };
+    }
+
+    /**
+     * Fill in an objective's default target and put its word in uppercase
+     * @param {Object} objective - A valid objective
+     * @param {Object} level - The level it belongs to, before normalizing
+     * @returns {Object} The objective ready for LevelManager
+     */
+    static normalizeObjective(objective, level) {
+        const normalized = { ...objective };
+
+        if (normalized.target === undefined) {
+            switch (objective.type) {
+                case 'markedTiles':
+                    normalized.target = LevelLoader.countMarkedTiles(level.markedTiles);
+                    break;
+                case 'clearSpores':
+                    normalized.target = LevelLoader.countSporeTiles(level.spores);
+                    break;
+                case 'clearBoard':
+                    normalized.target = level.gridSize * level.gridSize;
+                    break;
+                default:
+                    normalized.target = 1;
+            }
+        }
+        if (objective.type === 'targetWord') {
+            normalized.word = objective.word.toUpperCase();
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Split a board row into tiles
+     * @param {string|string[]} row - A string with one letter per tile, or a list of tiles
+     * @returns {string[]|null} The tiles, or null if the row has the wrong type
+     */
+    static getRowTiles(row) {
+        if (typeof row === 'string') {
+            return Array.from(row);
+        }
+        if (Array.isArray(row) && row.every(tile => typeof tile === 'string')) {
+            return row;
+        }
+        return null;
+    }
+
+    /**
+     * Check if a value is a plain object
+     * @param {*} value - Value to check
+     * @returns {boolean} True for non-null, non-array objects
+     */
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * Check if a value is a whole number within bounds
+     * @param {*} value - Value to check
+     * @param {number} min - Smallest allowed value
+     * @param {number} max - Largest allowed value
+     * @returns {boolean} True if the value is an integer in range
+     */
+    static isInteger(value, min = -Infinity, max = Infinity) {
+        return Number.isInteger(value) && value >= min && value <= max;
+    }
+
+    /**
+     * Check if a string is a valid tile: one or more uppercase letters
+     * @param {string} tile - Tile text
+     * @returns {boolean} True if valid
+     */
+    static isTile(tile) {
+        return /^\p{Lu}+$/u.test(tile);
+    }
+}
+
+// Where the level files live, relative to the page
+LevelLoader.BASE_URL = 'levels/';
+LevelLoader.INDEX_FILE = 'index.json';
+
+// Fields a level file may contain
+LevelLoader.FIELDS = [
+    'levelNumber', 'name', 'mode', 'gridSize', 'objectives', 'nextLevel', 'tooltips', 'sporeThreshold',
+    'constraints', 'undos', 'seed', 'board', 'spores', 'markedTiles', 'letterBag', 'language', 'commonWordsOnly', 'starScores', 'unlockAfter'
+];
+
+LevelLoader.OBJECTIVE_TYPES = [
+    'words', 'cascade', 'score', 'letter', 'longWords', 'markedTiles', 'clearSpores', 'clearBoard', 'chainDepth', 'targetWord'
+];
+
+// Level types that play differently from a normal level (see LevelManager.getMode)
+LevelLoader.MODES = ['blitz', 'zen', 'puzzle', 'versus'];
+
+// Language pack a puzzle plays with when it doesn't name one
+LevelLoader.PUZZLE_LANGUAGE = 'en-twl';
+
+// Objective types whose target can be left out: all marked tiles, all spore tiles, the whole board, or spelling the word once
+LevelLoader.DEFAULT_TARGET_TYPES = ['markedTiles', 'clearSpores', 'clearBoard', 'targetWord'];
+LevelLoader.MIN_LONG_WORD_LENGTH = 4;
+LevelLoader.TOOLTIP_POSITIONS = ['top', 'bottom', 'left', 'right'];
+LevelLoader.MIN_GRID_SIZE = 4;
+LevelLoader.MAX_GRID_SIZE = 10;
+LevelLoader.MIN_SPORE_THRESHOLD = 2;
+LevelLoader.MAX_SPORE_THRESHOLD = 10;
+LevelLoader.DEFAULT_SPORE_THRESHOLD = 2;
+
+// Board layout character for a tile drawn from the letter bag
+LevelLoader.RANDOM_TILE = '.';
+
+// Used when levels/ can't be read, so the game is still playable
+LevelLoader.FALLBACK_LEVELS = [
+    {
+        levelNumber: 1,
+        name: 'Infinite Mode',
+        gridSize: 7,
+        objectives: [],
+        nextLevel: null,
+        tooltips: [],
+        board: null,
+        spores: null
+    }
+];
+
+// Levels from the last load, and the problems found in the files
+LevelLoader.levels = null;
+LevelLoader.errors = [];
@@ -9,45 +9,34 @@ class LevelManager {
     constructor(scene) {
         this.scene = scene;
         this.currentLevel = 1;
+        this.customLevel = null; // Definition played instead of a level file, if any
         this.objectives = [];
-        this.objectiveProgress = {};
+        this.objectiveProgress = []; // Progress of each objective, by position in the list
         this.levelComplete = false;
+        this.levelFailed = false;
         
-        // Define all levels
-        this.levels = [
-            // Level 1: Tutorial
-            {
-                levelNumber: 1,
-                name: "Tutorial",
-                gridSize: 6,
-                objectives: [
-                    { type: "words", target: 3, description: "Form 3 words" }
-                ],
-                nextLevel: 2,
-                tooltips: [
-                    { text: "Connect letters to form words!", position: "top" },
-                    { text: "Form 3 words to complete the level!", position: "bottom" }
-                ]
-            },
-            // Level 2: Infinite Mode
-            {
-                levelNumber: 2,
-                name: "Infinite Mode",
-                gridSize: 7, // Changed from 8 to 7 for better diagonal selection
-                objectives: [], // No objectives, play indefinitely
-                nextLevel: null, // No next level
-                tooltips: []
-            }
-        ];
+        // Usage counted against the level's constraints, and the countdown timer
+        this.constraintProgress = { moves: 0, invalidWords: 0, undos: 0, timeBonus: 0 };
+        this.timeLeft = null;
+        this.timerEvent = null;
+        
+        // Level definitions come from the JSON files in levels/ (see LevelLoader)
+        this.levels = LevelLoader.levels || LevelLoader.FALLBACK_LEVELS;
+        
+        // Saved stars and best scores
+        this.progress = new CampaignProgress();
     }
     
     /**
      * Initialize the current level
+     * @param {number} levelNumber - Level to play
+     * @param {Object} definition - Level to play instead of a level file, e.g. the Daily Challenge
      */
-    initLevel(levelNumber = 1) {
+    initLevel(levelNumber = 1, definition = null) {
         // Set the current level
         this.currentLevel = levelNumber;
-        const level = this.getLevel(levelNumber);
+        this.customLevel = definition;
+        const level = this.getCurrentLevel();
         
         if (!level) {
             console.error(`Level ${levelNumber} not found!`);
@@ -56,13 +45,16 @@ class LevelManager {
         
         // Reset progress
         this.levelComplete = false;
+        this.levelFailed = false;
         this.objectives = [...level.objectives];
         
+        // Reset constraint usage; the timer starts with the level UI
+        this.stopTimer();
+        this.constraintProgress = { moves: 0, invalidWords: 0, undos: 0, timeBonus: 0 };
+        this.timeLeft = level.constraints && level.constraints.timeLimit ? level.constraints.timeLimit : null;
+        
         // Initialize progress tracking for each objective
-        this.objectiveProgress = {};
-        this.objectives.forEach(objective => {
-            this.objectiveProgress[objective.type] = 0;
-        });
+        this.objectiveProgress = this.objectives.map(() => 0);
         
         console.log(`Initialized Level ${levelNumber}: ${level.name}`);
         return true;
@@ -82,25 +74,58 @@ class LevelManager {
      * @returns {Object} Current level definition
      */
     getCurrentLevel() {
-        return this.getLevel(this.currentLevel);
+        return this.customLevel || this.getLevel(this.currentLevel);
     }
     
     /**
-     * Update progress for an objective type
-     * @param {string} type - Objective type (e.g., "words", "cascade", "score")
-     * @param {number} value - Value to add to progress
+     * Get the current level's type
+     * @returns {string|null} One of LevelLoader.MODES, or null for a normal level
      */
-    updateProgress(type, value = 1) {
-        // If this level doesn't track this objective type, ignore
-        if (!this.objectives.some(obj => obj.type === type)) {
-            return;
+    getMode() {
+        const level = this.getCurrentLevel();
+        return (level && level.mode) || null;
+    }
+    
+    /**
+     * Capture objective progress, constraint usage and the clock for a saved game
+     * @returns {Object} Plain data that restore() accepts
+     */
+    serialize() {
+        return {
+            objectiveProgress: [...this.objectiveProgress],
+            constraintProgress: { ...this.constraintProgress },
+            timeLeft: this.timeLeft
+        };
+    }
+    
+    /**
+     * Carry on from progress captured with serialize(), after initLevel()
+     * Progress is only kept if the level still has the same number of objectives.
+     * @param {Object} saved - Saved level progress
+     */
+    restore(saved) {
+        if (Array.isArray(saved.objectiveProgress) && saved.objectiveProgress.length === this.objectives.length) {
+            this.objectiveProgress = [...saved.objectiveProgress];
         }
-        
-        // Update the progress
-        if (this.objectiveProgress[type] !== undefined) {
-            this.objectiveProgress[type] += value;
-            console.log(`Progress updated for ${type}: ${this.objectiveProgress[type]}`);
+        this.constraintProgress = { ...this.constraintProgress, ...saved.constraintProgress };
+        if (this.timeLeft !== null && typeof saved.timeLeft === 'number') {
+            this.timeLeft = saved.timeLeft;
         }
+    }
+    
+    /**
+     * Count a finished move towards the objectives
+     * @param {Object} move - Move summary from the engine (word, cascade count, chain depth and exploded cells)
+     * @param {number} score - Total score after the move, with the chain reaction's bonuses
+     */
+    recordMove(move, score) {
+        const progress = LevelManager.countMove(this.objectives, this.objectiveProgress, move, score);
+        this.objectives.forEach((objective, i) => {
+            if (progress[i] !== this.objectiveProgress[i]) {
+                console.log(`Progress updated for ${objective.type}: ${progress[i]}`);
+            }
+        });
+        this.objectiveProgress = progress;
         
         // Check if we've completed the level
         this.checkLevelComplete();
@@ -110,27 +135,208 @@ class LevelManager {
     }
     
     /**
-     * Set absolute progress for an objective type (mainly for score)
-     * @param {string} type - Objective type (generally "score")
-     * @param {number} value - Absolute value to set
+     * Describe how far the player is with an objective, for the objectives panel
+     * @param {Object} objective - Objective definition
+     * @param {number} progress - Current progress
+     * @returns {string} Progress text, such as "3/5" or "2 left"
+     */
+    getProgressText(objective, progress) {
+        switch (objective.type) {
+            case 'clearSpores':
+            case 'clearBoard': {
+                const left = Math.max(0, objective.target - progress);
+                return left > 0 ? `${left} left` : 'all clear';
+            }
+            case 'targetWord':
+                return objective.target === 1
+                    ? (progress >= 1 ? 'spelled' : 'not yet')
+                    : `${progress}/${objective.target}`;
+            case 'chainDepth':
+                return `best ${progress}/${objective.target}`;
+            default:
+                return `${progress}/${objective.target}`;
+        }
+    }
+    
+    /**
+     * Get the current level's constraints
+     * @returns {Object} {maxMoves, timeLimit, maxInvalidWords}, each optional
+     */
+    getConstraints() {
+        const level = this.getCurrentLevel();
+        return (level && level.constraints) || {};
+    }
+    
+    /**
+     * Count a played word against the level's move limit
+     */
+    useMove() {
+        this.constraintProgress.moves++;
+        this.updateConstraintUI();
+    }
+    
+    /**
+     * Number of moves the player can still undo on this level
+     * @returns {number} Undos left
+     */
+    getUndosLeft() {
+        const level = this.getCurrentLevel();
+        let allowance = this.getConstraints().timeLimit ? LevelManager.DEFAULT_TIMED_UNDOS : LevelManager.DEFAULT_UNDOS;
+        if (level && level.undos !== undefined) {
+            allowance = level.undos;
+        }
+        return Math.max(0, allowance - this.constraintProgress.undos);
+    }
+    
+    /**
+     * Roll objective progress and the move count back to a snapshot, using up an undo
+     * Mistakes and the time already played are not rolled back, but bonus time the
+     * undone word earned is taken off the clock again.
+     * @param {Object} saved - Level progress captured with serialize() before the move
+     */
+    undoTo(saved) {
+        this.objectiveProgress = [...saved.objectiveProgress];
+        this.constraintProgress.moves = saved.constraintProgress.moves;
+        this.constraintProgress.undos++;
+        
+        const bonus = this.constraintProgress.timeBonus - (saved.constraintProgress.timeBonus || 0);
+        if (bonus > 0 && this.timeLeft !== null) {
+            this.timeLeft = Math.max(0, this.timeLeft - bonus);
+            this.constraintProgress.timeBonus -= bonus;
+        }
+        this.updateUI();
+    }
+    
+    /**
+     * Count a rejected word, failing the level once too many have been tried
      */
-    setProgress(type, value) {
-        // If this level doesn't track this objective type, ignore
-        if (!this.objectives.some(obj => obj.type === type)) {
+    recordInvalidWord() {
+        this.constraintProgress.invalidWords++;
+        this.updateConstraintUI();
+        
+        const maxInvalidWords = this.getConstraints().maxInvalidWords;
+        if (maxInvalidWords !== undefined && this.constraintProgress.invalidWords > maxInvalidWords) {
+            this.failLevel('Too many invalid words.');
+        }
+    }
+    
+    /**
+     * Fail the level once the move limit is used up without completing it
+     * Called after a move's explosions resolve so cascade bonuses still count.
+     * @returns {boolean} True if the player is out of moves
+     */
+    checkMoveLimit() {
+        const maxMoves = this.getConstraints().maxMoves;
+        if (!maxMoves || this.levelComplete || this.constraintProgress.moves < maxMoves) {
+            return false;
+        }
+        
+        this.failLevel('You ran out of moves.');
+        return true;
+    }
+    
+    /**
+     * Start the countdown for levels with a time limit
+     */
+    startTimer() {
+        // A replay has no clock: the recording decides when the game ends
+        if (this.timeLeft === null || this.timerEvent || this.levelComplete || this.levelFailed || this.scene.isReplay) {
             return;
         }
         
-        // Set the progress
-        if (this.objectiveProgress[type] !== undefined) {
-            this.objectiveProgress[type] = value;
-            console.log(`Progress set for ${type}: ${value}`);
+        this.timerEvent = this.scene.time.addEvent({
+            delay: 1000,
+            callback: this.onTimerTick,
+            callbackScope: this,
+            loop: true
+        });
+    }
+    
+    /**
+     * Stop the countdown
+     */
+    stopTimer() {
+        if (this.timerEvent) {
+            this.timerEvent.remove();
+            this.timerEvent = null;
+        }
+    }
+    
+    /**
+     * Count down one second, failing the level when time runs out
+     */
+    onTimerTick() {
+        // The clock waits while the dictionary loads, since no word can be checked yet
+        if (this.scene.wordValidator && this.scene.wordValidator.loading) {
+            return;
         }
         
-        // Check if we've completed the level
-        this.checkLevelComplete();
+        this.timeLeft = Math.max(0, this.timeLeft - 1);
+        this.updateConstraintUI();
         
-        // Update UI
-        this.updateUI();
+        if (this.timeLeft === 0) {
+            this.failLevel('Time is up!');
+        }
+    }
+    
+    /**
+     * Give a Blitz player extra seconds for a long word or a deep chain reaction
+     * @param {string} word - The word played
+     * @param {number} chainDepth - How many links deep its explosions went
+     * @returns {number} Seconds added to the clock
+     */
+    awardTimeBonus(word, chainDepth) {
+        if (this.getMode() !== 'blitz' || this.timeLeft === null || this.levelComplete || this.levelFailed) {
+            return 0;
+        }
+        
+        const seconds = LevelManager.getTimeBonus(word, chainDepth);
+        if (seconds > 0) {
+            this.timeLeft += seconds;
+            this.constraintProgress.timeBonus += seconds;
+            this.updateConstraintUI();
+        }
+        return seconds;
+    }
+    
+    /**
+     * Seconds a played time limit has run for, counting bonus time
+     * @returns {number} Seconds played, or 0 on levels without a clock
+     */
+    getTimePlayed() {
+        const timeLimit = this.getConstraints().timeLimit;
+        if (!timeLimit || this.timeLeft === null) {
+            return 0;
+        }
+        return timeLimit + this.constraintProgress.timeBonus - this.timeLeft;
+    }
+    
+    /**
+     * End the level as failed
+     * @param {string} reason - Why the level was failed
+     */
+    failLevel(reason) {
+        if (this.levelComplete || this.levelFailed) {
+            return;
+        }
+        
+        console.log(`Level ${this.currentLevel} failed: ${reason}`);
+        this.levelFailed = true;
+        this.stopTimer();
+        
+        // Stop play right away; the screen waits for any running animation
+        if (this.scene.grid) {
+            this.scene.grid.inputLocked = true;
+            this.scene.grid.clearSelection();
+        }
+        
+        this.scene.time.delayedCall(500, () => {
+            this.scene.showResults({
+                outcome: 'failed',
+                reason,
+                objectives: this.getObjectiveSummary()
+            });
+        });
     }
     
     /**
@@ -138,20 +344,21 @@ class LevelManager {
      * @returns {boolean} True if level is complete
      */
     checkLevelComplete() {
-        // Infinite levels are never "complete"
-        if (this.objectives.length === 0) {
+        // Infinite levels are never "complete", and failed levels can't be won
+        if (this.objectives.length === 0 || this.levelFailed) {
             return false;
         }
         
         // Check each objective
-        const allComplete = this.objectives.every(objective => {
-            const progress = this.objectiveProgress[objective.type] || 0;
+        const allComplete = this.objectives.every((objective, i) => {
+            const progress = this.objectiveProgress[i] || 0;
             return progress >= objective.target;
         });
         
         // If we just completed the level, trigger the completion
         if (allComplete && !this.levelComplete) {
             this.levelComplete = true;
+            this.stopTimer();
             this.onLevelComplete();
         }
         
@@ -165,17 +372,26 @@ class LevelManager {
         console.log(`Level ${this.currentLevel} complete!`);
         
         // Get the current level to find the next level
-        const currentLevel = this.getLevel(this.currentLevel);
-        
-        // If this is level 1 (tutorial), mark it as completed in localStorage
-        if (this.currentLevel === 1) {
-            localStorage.setItem('sporesCompletedLevel1', 'true');
-            console.log('Tutorial completed, saved to localStorage');
-        }
+        const currentLevel = this.getCurrentLevel();
         
-        // Show completion UI with delay to let final animations complete
+        // Rate and save the level once the final animations (and their bonuses) complete
         this.scene.time.delayedCall(1000, () => {
-            this.showLevelCompleteUI(currentLevel.nextLevel);
+            // Watching a replay doesn't complete the level for the viewer
+            if (this.scene.isReplay) {
+                this.scene.showResults({ outcome: 'complete' });
+                return;
+            }
+            
+            const stars = CampaignProgress.getStarRating(currentLevel, this.scene.score);
+            const isNewBest = this.progress.recordCompletion(this.currentLevel, this.scene.score, stars);
+            console.log(`Level ${this.currentLevel} saved with ${stars} stars`);
+            
+            this.scene.showResults({
+                outcome: 'complete',
+                nextLevel: currentLevel.nextLevel,
+                stars,
+                isNewBest
+            });
         });
     }
     
@@ -196,6 +412,20 @@ class LevelManager {
         this.objectivesContainer.style.fontFamily = 'Arial, sans-serif';
         document.body.appendChild(this.objectivesContainer);
         
+        // Button to open the level select screen
+        const levelsButton = document.createElement('button');
+        levelsButton.textContent = 'Levels';
+        levelsButton.style.float = 'right';
+        levelsButton.style.marginLeft = '10px';
+        levelsButton.style.padding = '2px 8px';
+        levelsButton.style.background = '#2196f3';
+        levelsButton.style.border = 'none';
+        levelsButton.style.borderRadius = '3px';
+        levelsButton.style.color = 'white';
+        levelsButton.style.cursor = 'pointer';
+        levelsButton.onclick = () => this.showLevelSelect();
+        this.objectivesContainer.appendChild(levelsButton);
+        
         // Create level title
         this.levelTitle = document.createElement('div');
         this.levelTitle.className = 'level-title';
@@ -210,39 +440,51 @@ class LevelManager {
         this.objectiveList.style.margin = '0';
         this.objectivesContainer.appendChild(this.objectiveList);
         
+        // Create the constraint display (moves, time and mistakes left)
+        this.constraintList = document.createElement('ul');
+        this.constraintList.style.listStyleType = 'none';
+        this.constraintList.style.padding = '0';
+        this.constraintList.style.margin = '5px 0 0 0';
+        this.constraintList.style.color = '#ffcc66';
+        this.objectivesContainer.appendChild(this.constraintList);
+        
         // Update with current level info
         this.updateUI();
+        
+        // Timed levels start counting once the level is on screen
+        this.startTimer();
     }
     
     /**
      * Update the objectives UI
      */
     updateUI() {
-        const level = this.getLevel(this.currentLevel);
+        const level = this.getCurrentLevel();
         if (!level) return;
         
-        // Update level title
+        // Update level title; levels not from the level files go by name alone
         if (this.levelTitle) {
-            this.levelTitle.textContent = `Level ${level.levelNumber}: ${level.name}`;
+            this.levelTitle.textContent = this.customLevel ? level.name : `Level ${level.levelNumber}: ${level.name}`;
         }
         
         // Clear and rebuild objective list
         if (this.objectiveList) {
             this.objectiveList.innerHTML = '';
             
-            level.objectives.forEach(objective => {
-                const progress = this.objectiveProgress[objective.type] || 0;
+            level.objectives.forEach((objective, i) => {
+                const progress = this.objectiveProgress[i] || 0;
                 const isComplete = progress >= objective.target;
+                const progressText = this.getProgressText(objective, progress);
                 
                 const li = document.createElement('li');
                 li.style.marginBottom = '3px';
                 
                 // Checkmark for completed objectives
                 if (isComplete) {
-                    li.innerHTML = `✅ ${objective.description} (${progress}/${objective.target})`;
+                    li.innerHTML = `✅ ${objective.description} (${progressText})`;
                     li.style.color = '#8eff8e';
                 } else {
-                    li.innerHTML = `⬜ ${objective.description} (${progress}/${objective.target})`;
+                    li.innerHTML = `⬜ ${objective.description} (${progressText})`;
                 }
                 
                 this.objectiveList.appendChild(li);
@@ -251,147 +493,80 @@ class LevelManager {
             // Handle infinite mode differently
             if (level.objectives.length === 0) {
                 const li = document.createElement('li');
-                li.innerHTML = `Keep playing to achieve the highest score!`;
+                if (level.mode === 'zen') {
+                    li.innerHTML = 'No score, no clock. Find words at your own pace.';
+                } else if (level.mode === 'versus') {
+                    li.innerHTML = 'One word per turn. Outscore your opponent!';
+                } else {
+                    li.innerHTML = `Keep playing to achieve the highest score!`;
+                }
                 this.objectiveList.appendChild(li);
             }
         }
-    }
-    
-    /**
-     * Show the level complete UI
-     * @param {number|null} nextLevel - Next level number, or null if no next level
-     */
-    showLevelCompleteUI(nextLevel) {
-        // Make sure any existing UI is removed first
-        document.querySelectorAll('.level-complete-container').forEach(el => el.remove());
-        
-        // Create level complete container
-        const container = document.createElement('div');
-        container.className = 'level-complete-container';
-        container.style.position = 'absolute';
-        container.style.top = '50%';
-        container.style.left = '50%';
-        container.style.transform = 'translate(-50%, -50%)';
-        container.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
-        container.style.color = 'white';
-        container.style.padding = '20px';
-        container.style.borderRadius = '10px';
-        container.style.textAlign = 'center';
-        container.style.fontFamily = 'Arial, sans-serif';
-        container.style.boxShadow = '0 0 20px rgba(255, 255, 255, 0.5)';
-        container.style.minWidth = '300px';
-        container.style.zIndex = '1000';
-        
-        // Create level complete title
-        const title = document.createElement('h2');
-        title.textContent = 'Level Complete!';
-        title.style.color = '#ffff00';
-        title.style.marginTop = '0';
-        container.appendChild(title);
-        
-        // Show score
-        const score = document.createElement('p');
-        score.textContent = `Score: ${this.scene.score}`;
-        score.style.fontSize = '20px';
-        container.appendChild(score);
-        
-        // Create buttons
-        const buttonContainer = document.createElement('div');
-        buttonContainer.style.marginTop = '20px';
-        container.appendChild(buttonContainer);
-        
-        // Only show "Next Level" if there is a next level
-        if (nextLevel !== null) {
-            const nextButton = document.createElement('button');
-            nextButton.textContent = 'Next Level';
-            nextButton.style.padding = '10px 20px';
-            nextButton.style.marginRight = '10px';
-            nextButton.style.background = '#4caf50';
-            nextButton.style.border = 'none';
-            nextButton.style.borderRadius = '5px';
-            nextButton.style.color = 'white';
-            nextButton.style.fontSize = '16px';
-            nextButton.style.cursor = 'pointer';
-            
-            nextButton.onclick = () => {
-                container.remove();
-                this.startNextLevel();
-            };
-            
-            buttonContainer.appendChild(nextButton);
-        }
-        
-        // Always show "Restart" button
-        const restartButton = document.createElement('button');
-        restartButton.textContent = 'Restart Level';
-        restartButton.style.padding = '10px 20px';
-        restartButton.style.background = '#2196f3';
-        restartButton.style.border = 'none';
-        restartButton.style.borderRadius = '5px';
-        restartButton.style.color = 'white';
-        restartButton.style.fontSize = '16px';
-        restartButton.style.cursor = 'pointer';
-        
-        restartButton.onclick = () => {
-            container.remove();
-            this.restartLevel();
-        };
-        
-        buttonContainer.appendChild(restartButton);
         
-        // Add to document
-        document.body.appendChild(container);
+        this.updateConstraintUI();
     }
     
     /**
-     * Start the next level with a full game restart
+     * Update the constraint display with what the player has left
      */
-    startNextLevel() {
-        const currentLevel = this.getLevel(this.currentLevel);
-        if (currentLevel && currentLevel.nextLevel) {
-            console.log(`Transitioning from level ${this.currentLevel} to level ${currentLevel.nextLevel}`);
-            
-            // First cleanup all UI elements
-            this.cleanup();
-            
-            // Set the next level
-            const nextLevelNumber = currentLevel.nextLevel;
-            
-            // Completely restart the game scene to ensure a clean state
-            this.resetGame(nextLevelNumber);
+    updateConstraintUI() {
+        if (!this.constraintList) return;
+        
+        const constraints = this.getConstraints();
+        this.constraintList.innerHTML = '';
+        
+        const addLine = (text, isLow) => {
+            const li = document.createElement('li');
+            li.textContent = text;
+            if (isLow) {
+                li.style.color = '#ff6666';
+                li.style.fontWeight = 'bold';
+            }
+            this.constraintList.appendChild(li);
+        };
+        
+        if (constraints.maxMoves) {
+            const movesLeft = Math.max(0, constraints.maxMoves - this.constraintProgress.moves);
+            addLine(`Moves left: ${movesLeft}`, movesLeft <= LevelManager.LOW_MOVES);
+        }
+        if (this.timeLeft !== null) {
+            const minutes = Math.floor(this.timeLeft / 60);
+            const seconds = String(this.timeLeft % 60).padStart(2, '0');
+            addLine(`Time left: ${minutes}:${seconds}`, this.timeLeft <= LevelManager.LOW_TIME);
+        }
+        if (constraints.maxInvalidWords !== undefined) {
+            const mistakesLeft = Math.max(0, constraints.maxInvalidWords - this.constraintProgress.invalidWords);
+            addLine(`Mistakes left: ${mistakesLeft}`, mistakesLeft === 0);
         }
     }
     
     /**
-     * Reset the entire game to a specific level
-     * @param {number} levelNumber - The level to reset to
+     * Summarise each objective for the level failed screen
+     * @returns {Object[]} Objective lines as {text, complete}
      */
-    resetGame(levelNumber) {
-        // Initialize the level data
-        this.initLevel(levelNumber);
-        
-        // Completely reload the page for a clean state
-        setTimeout(() => {
-            // Store the desired level in session storage
-            sessionStorage.setItem('sporesLevel', levelNumber.toString());
-            
-            // Reload the page
-            window.location.reload();
-        }, 100);
+    getObjectiveSummary() {
+        return this.objectives.map((objective, i) => {
+            const progress = Math.min(this.objectiveProgress[i] || 0, objective.target);
+            return {
+                text: `${objective.description}: ${this.getProgressText(objective, progress)}`,
+                complete: progress >= objective.target
+            };
+        });
     }
     
     /**
-     * Restart the current level
+     * Leave the game for the level select screen
      */
-    restartLevel() {
-        this.resetGame(this.currentLevel);
+    showLevelSelect() {
+        this.scene.scene.start('LevelSelectScene', { currentLevel: this.currentLevel });
     }
     
     /**
      * Display tooltips for the current level
      */
     showTooltips() {
-        const level = this.getLevel(this.currentLevel);
+        const level = this.getCurrentLevel();
         if (!level || !level.tooltips || level.tooltips.length === 0) {
             return;
         }
@@ -482,5 +657,74 @@ class LevelManager {
         }
         
         document.querySelectorAll('.game-tooltip').forEach(el => el.remove());
+        this.stopTimer();
+    }
+    
+    /**
+     * Add one move to each objective's progress
+     * The puzzle checker counts its moves with this too, so a solution it finds finishes the level in the game.
+     * @param {Object[]} objectives - The level's objectives
+     * @param {number[]} progress - Progress of each objective before the move
+     * @param {Object} move - Move summary from the engine (word, cascade count, chain depth and exploded cells)
+     * @param {number} score - Total score after the move, with the chain reaction's bonuses
+     * @returns {number[]} Progress of each objective after the move
+     */
+    static countMove(objectives, progress, move, score) {
+        const word = move.word;
+        const exploded = move.explodedCells || [];
+        
+        return objectives.map((objective, i) => {
+            const value = progress[i];
+            switch (objective.type) {
+                case 'words':
+                    return value + 1;
+                case 'letter':
+                    return value + word.split(objective.letter).length - 1;
+                case 'longWords':
+                    return value + (word.length >= objective.minLength ? 1 : 0);
+                case 'targetWord':
+                    return value + (word === objective.word ? 1 : 0);
+                case 'score':
+                    return score;
+                case 'cascade':
+                    return value + move.cascadeCount;
+                case 'chainDepth':
+                    return Math.max(value, move.chainDepth || 0);
+                case 'markedTiles':
+                    return value + exploded.filter(cell => cell.marked).length;
+                case 'clearSpores':
+                    return value + exploded.filter(cell => cell.infected).length;
+                case 'clearBoard':
+                    return value + exploded.length;
+                default:
+                    return value;
+            }
+        });
+    }
+    
+    /**
+     * Work out the Blitz bonus time for a word
+     * @param {string} word - The word played
+     * @param {number} chainDepth - How many links deep its explosions went
+     * @returns {number} Bonus seconds
+     */
+    static getTimeBonus(word, chainDepth) {
+        const letterBonus = Math.max(0, word.length - LevelManager.BLITZ_BONUS_MIN_LENGTH) * LevelManager.BLITZ_SECONDS_PER_LETTER;
+        const chainBonus = chainDepth * LevelManager.BLITZ_SECONDS_PER_CHAIN_LINK;
+        return Math.min(LevelManager.BLITZ_MAX_BONUS, letterBonus + chainBonus);
     }
 }
+
+// Undos allowed on levels that don't set their own; undo doesn't give back time, so timed levels get none
+LevelManager.DEFAULT_UNDOS = 3;
+LevelManager.DEFAULT_TIMED_UNDOS = 0;
+
+// Blitz bonus time: a second per letter past the third and per chain link, up to a cap per word
+LevelManager.BLITZ_BONUS_MIN_LENGTH = 3;
+LevelManager.BLITZ_SECONDS_PER_LETTER = 1;
+LevelManager.BLITZ_SECONDS_PER_CHAIN_LINK = 1;
+LevelManager.BLITZ_MAX_BONUS = 10;
+
+// Remaining moves and seconds at which the constraint display turns red
+LevelManager.LOW_MOVES = 3;
+LevelManager.LOW_TIME = 10;
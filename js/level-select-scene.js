@@ -0,0 +1,24 @@
+/**
+ * Scene that shows the level select overlay
+ */
+class LevelSelectScene extends Phaser.Scene {
+    constructor() {
+        super('LevelSelectScene');
+    }
+
+    /**
+     * @param {Object} data - Scene data
+     * @param {number} data.currentLevel - Level to highlight, if coming from a game
+     */
+    init(data) {
+        this.currentLevel = data.currentLevel || null;
+    }
+
+    create() {
+        this.levelSelect = new LevelSelect(this);
+        this.levelSelect.show(this.currentLevel);
+
+        // The overlay lives in the DOM, so it has to be removed by hand
+        this.events.once('shutdown', () => this.levelSelect.hide());
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * Level select screen
+ * A DOM overlay listing every level with its star rating. Locked levels are
+ * greyed out; choosing an unlocked level starts it.
+ */
+class LevelSelect {
+    /**
+     * Create the level select screen
+     * @param {Phaser.Scene} scene - The level select scene that owns the overlay
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.container = null;
+        this.currentLevel = null;
+    }
+
+    /**
+     * Show the screen, replacing any open copy
+     * @param {number|null} currentLevel - Level to highlight, usually the one just played
+     */
+    show(currentLevel = null) {
+        this.hide();
+        this.currentLevel = currentLevel;
+
+        const progress = new CampaignProgress();
+        const levels = LevelLoader.levels || LevelLoader.FALLBACK_LEVELS;
+
+        const container = document.createElement('div');
+        container.className = 'level-select-container';
+        container.style.position = 'absolute';
+        container.style.top = '50%';
+        container.style.left = '50%';
+        container.style.transform = 'translate(-50%, -50%)';
+        container.style.backgroundColor = 'rgba(10, 26, 10, 0.95)';
+        container.style.color = 'white';
+        container.style.padding = '20px';
+        container.style.borderRadius = '10px';
+        container.style.textAlign = 'center';
+        container.style.fontFamily = 'Arial, sans-serif';
+        container.style.boxShadow = '0 0 20px rgba(255, 255, 255, 0.5)';
+        container.style.maxHeight = '90vh';
+        container.style.overflowY = 'auto';
+        container.style.zIndex = '1001';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Select Level';
+        title.style.color = '#ffff00';
+        title.style.margin = '0 0 5px 0';
+        container.appendChild(title);
+
+        // Campaign levels have objectives; puzzles and endless modes are listed separately
+        // (versus is set up from the main menu instead)
+        const campaign = levels.filter(level => level.objectives.length > 0 && level.mode !== 'puzzle');
+        const puzzles = levels.filter(level => level.mode === 'puzzle');
+        const modes = levels.filter(level => level.objectives.length === 0 && level.mode !== 'versus');
+
+        const totalStars = document.createElement('div');
+        totalStars.textContent = `★ ${progress.getTotalStars()} / ${campaign.length * CampaignProgress.MAX_STARS}`;
+        totalStars.style.color = '#ffd700';
+        totalStars.style.marginBottom = '15px';
+        container.appendChild(totalStars);
+
+        container.appendChild(this.createLevelGrid(campaign, levels, progress));
+
+        if (puzzles.length > 0) {
+            const heading = document.createElement('h3');
+            heading.textContent = 'Puzzles';
+            heading.style.color = '#ffff00';
+            heading.style.margin = '15px 0 8px 0';
+            container.appendChild(heading);
+            container.appendChild(this.createLevelGrid(puzzles, levels, progress));
+        }
+
+        modes.forEach(level => {
+            const unlocked = progress.isUnlocked(level, levels);
+            const button = this.createButton(unlocked ? level.name : `🔒 ${level.name}`, '#2196f3');
+            button.style.marginTop = '15px';
+            button.disabled = !unlocked;
+            button.style.opacity = unlocked ? '1' : '0.5';
+            button.style.cursor = unlocked ? 'pointer' : 'default';
+            button.onclick = () => this.selectLevel(level.levelNumber);
+            container.appendChild(button);
+        });
+
+        const closeButton = this.createButton('Back', '#555555');
+        closeButton.style.display = 'block';
+        closeButton.style.margin = '15px auto 0';
+        closeButton.onclick = () => this.scene.scene.start('MenuScene');
+        container.appendChild(closeButton);
+
+        document.body.appendChild(container);
+        this.container = container;
+    }
+
+    /**
+     * Create a grid of level tiles
+     * @param {Object[]} shown - Levels to show
+     * @param {Object[]} levels - Every level, for working out which are unlocked
+     * @param {CampaignProgress} progress - Saved stars and best scores
+     * @returns {HTMLElement} The grid
+     */
+    createLevelGrid(shown, levels, progress) {
+        const grid = document.createElement('div');
+        grid.style.display = 'grid';
+        grid.style.gridTemplateColumns = `repeat(${LevelSelect.COLUMNS}, 60px)`;
+        grid.style.gap = '8px';
+        grid.style.justifyContent = 'center';
+
+        shown.forEach(level => {
+            grid.appendChild(this.createLevelButton(level, progress.isUnlocked(level, levels), progress.getRecord(level.levelNumber)));
+        });
+
+        return grid;
+    }
+
+    /**
+     * Create the tile for one campaign level or puzzle
+     * @param {Object} level - Level definition
+     * @param {boolean} unlocked - Whether the level can be played
+     * @param {Object|null} record - Saved result {stars, bestScore}
+     * @returns {HTMLButtonElement} The level tile
+     */
+    createLevelButton(level, unlocked, record) {
+        const button = document.createElement('button');
+        button.className = 'level-select-button';
+        button.title = unlocked ? level.name : `${level.name} (locked)`;
+        button.style.width = '60px';
+        button.style.height = '60px';
+        button.style.border = level.levelNumber === this.currentLevel ? '2px solid #ffff00' : 'none';
+        button.style.borderRadius = '8px';
+        button.style.color = 'white';
+        button.style.fontSize = '18px';
+        button.style.fontWeight = 'bold';
+        button.style.lineHeight = '1.1';
+
+        if (!unlocked) {
+            button.textContent = '🔒';
+            button.disabled = true;
+            button.style.background = '#333333';
+            button.style.opacity = '0.6';
+            return button;
+        }
+
+        button.style.background = record ? '#4caf50' : '#2e7d32';
+        button.style.cursor = 'pointer';
+
+        const number = document.createElement('div');
+        number.textContent = level.levelNumber;
+        button.appendChild(number);
+
+        const stars = document.createElement('div');
+        stars.textContent = LevelSelect.formatStars(record ? record.stars : 0);
+        stars.style.fontSize = '12px';
+        stars.style.color = '#ffd700';
+        button.appendChild(stars);
+
+        button.onclick = () => this.selectLevel(level.levelNumber);
+        return button;
+    }
+
+    /**
+     * Create a plain button in the overlay style
+     * @param {string} text - Button label
+     * @param {string} color - Background colour
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(text, color) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '10px 20px';
+        button.style.background = color;
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.color = 'white';
+        button.style.fontSize = '16px';
+        button.style.cursor = 'pointer';
+        return button;
+    }
+
+    /**
+     * Start a level
+     * @param {number} levelNumber - The chosen level
+     */
+    selectLevel(levelNumber) {
+        this.scene.scene.start('GameScene', { levelNumber });
+    }
+
+    /**
+     * Remove the screen
+     */
+    hide() {
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+
+    /**
+     * Format a star rating as filled and empty stars
+     * @param {number} stars - Stars earned (0-3)
+     * @returns {string} e.g. '★★☆'
+     */
+    static formatStars(stars) {
+        return '★'.repeat(stars) + '☆'.repeat(CampaignProgress.MAX_STARS - stars);
+    }
+}
+
+// Level tiles per row
+LevelSelect.COLUMNS = 10;
@@ -0,0 +1,86 @@
+/**
+ * Main menu: continue a saved game, start the campaign where the player left off,
+ * pick a level, open the Daily Challenge, set up a versus match or play online
+ */
+class MenuScene extends Phaser.Scene {
+    constructor() {
+        super('MenuScene');
+    }
+
+    create() {
+        const progress = new CampaignProgress();
+        const levels = LevelLoader.levels || LevelLoader.FALLBACK_LEVELS;
+        const resumeLevel = levels.find(level => level.levelNumber === progress.getResumeLevel(levels));
+
+        this.add.text(400, 150, 'Spores', {
+            fontFamily: 'Arial',
+            fontSize: '72px',
+            fontWeight: 'bold',
+            color: '#eeffee',
+            stroke: '#225522',
+            strokeThickness: 6,
+            shadow: { offsetX: 3, offsetY: 3, color: '#000000', blur: 6, fill: true }
+        }).setOrigin(0.5);
+
+        this.add.text(400, 215, 'Form words, spread spores, set off chain reactions', {
+            fontFamily: 'Arial',
+            fontSize: '18px',
+            color: '#aaddaa'
+        }).setOrigin(0.5);
+
+        // A game left in progress comes first, pushing the other buttons down
+        const savedGame = GameSave.load(levels);
+        let y = savedGame ? 260 : 290;
+
+        if (savedGame) {
+            const savedLevel = savedGame.daily
+                ? DailyChallenge.createLevel(savedGame.daily)
+                : levels.find(level => level.levelNumber === savedGame.levelNumber);
+            TextButton.create(this, 400, y, 'Continue', '#4caf50', () => {
+                this.scene.start('GameScene', { resume: true });
+            });
+            this.addCaption(y + 38, `${savedLevel.name} · Score ${savedGame.score}`);
+            y += 90;
+        }
+
+        TextButton.create(this, 400, y, 'Play', savedGame ? '#2196f3' : '#4caf50', () => {
+            this.scene.start('GameScene', { levelNumber: resumeLevel.levelNumber });
+        });
+        this.addCaption(y + 38, `Level ${resumeLevel.levelNumber}: ${resumeLevel.name}`);
+
+        // The other ways to play sit in pairs under the campaign
+        TextButton.create(this, 270, y + 85, 'Levels', savedGame ? '#555555' : '#2196f3', () => {
+            this.scene.start('LevelSelectScene');
+        });
+        TextButton.create(this, 530, y + 85, 'Daily Challenge', savedGame ? '#555555' : '#aa6600', () => {
+            this.scene.start('DailyScene');
+        });
+        TextButton.create(this, 270, y + 145, 'Versus', savedGame ? '#555555' : '#7b1fa2', () => {
+            this.scene.start('VersusScene');
+        });
+        TextButton.create(this, 530, y + 145, 'Online', savedGame ? '#555555' : '#00897b', () => {
+            this.scene.start('OnlineScene');
+        });
+
+        const highScore = parseInt(localStorage.getItem('sporesHighScore')) || 0;
+        const streak = new DailyChallenge().getCurrentStreak();
+        this.add.text(400, y + 210, `★ ${progress.getTotalStars()}   ·   Daily Streak: ${streak}   ·   High Score: ${highScore}`, {
+            fontFamily: 'Arial',
+            fontSize: '18px',
+            color: '#ffd700'
+        }).setOrigin(0.5);
+    }
+
+    /**
+     * Add the small line of text under a button
+     * @param {number} y - Centre Y position
+     * @param {string} text - Caption text
+     */
+    addCaption(y, text) {
+        this.add.text(400, y, text, {
+            fontFamily: 'Arial',
+            fontSize: '16px',
+            color: '#cccccc'
+        }).setOrigin(0.5);
+    }
+}
@@ -0,0 +1,339 @@
+/**
+ * The game's connection to the online room server
+ * Sends the lobby's requests and the paths the player traces, and reports what
+ * the server sends back as events. A dropped connection is retried on its
+ * own, and the seat is taken back with the token the server handed out; the
+ * token is kept for the browser tab, so reloading the page rejoins too.
+ *
+ * Events: 'status' (status), 'joined' (playerId), 'room' (room), 'started' (game),
+ * 'move' (move), 'rejected' (word, reason), 'ended' (results) and 'error' (message, request).
+ * See OnlineProtocol for what each carries.
+ */
+class OnlineClient extends EventEmitter {
+    /**
+     * Create a client; nothing is sent until connect()
+     * @param {Object} options - Client options
+     * @param {string} options.url - WebSocket URL (the page's own server by default)
+     * @param {Function} options.WebSocket - WebSocket class (the browser's by default; Node tools pass the ws package's)
+     */
+    constructor(options = {}) {
+        super();
+
+        this.url = options.url || OnlineClient.getDefaultUrl();
+        this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.socket = null;
+
+        // 'offline', 'connecting', 'connected' or 'reconnecting'
+        this.status = 'offline';
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+
+        // Requests made while the connection is down, sent once it is up
+        this.queue = [];
+
+        // {code, token} of the seat taken, for rejoining it
+        this.session = OnlineClient.loadSession();
+
+        // The seat, its room and the match as the server last described them
+        this.playerId = null;
+        this.room = null;
+        this.game = null;
+    }
+
+    /**
+     * Open the connection, rejoining the tab's seat if it has one
+     */
+    connect() {
+        if (this.socket || !this.WebSocket) {
+            if (!this.WebSocket) {
+                this.setStatus('offline');
+                this.emit('error', 'This browser cannot play online', null);
+            }
+            return;
+        }
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.setStatus(this.reconnectAttempt > 0 ? 'reconnecting' : 'connecting');
+
+        const socket = new this.WebSocket(this.url);
+        socket.onopen = () => this.onOpen();
+        socket.onmessage = event => this.onMessage(event.data);
+        socket.onclose = () => this.onClose(socket);
+        socket.onerror = () => console.warn(`Online connection to ${this.url} failed`);
+        this.socket = socket;
+    }
+
+    /**
+     * Close the connection for good, keeping the seat's token
+     */
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.close();
+        }
+        this.setStatus('offline');
+    }
+
+    /**
+     * Open a new room and take its first seat
+     * @param {string} name - Player's name
+     */
+    createRoom(name) {
+        this.send({ type: 'create', name });
+    }
+
+    /**
+     * Take a seat in a room
+     * @param {string} code - Room code, as typed
+     * @param {string} name - Player's name
+     */
+    joinRoom(code, name) {
+        this.send({ type: 'join', code: OnlineProtocol.normalizeRoomCode(code), name });
+    }
+
+    /**
+     * Start the match, if this player is the host
+     */
+    startMatch() {
+        this.send({ type: 'start' });
+    }
+
+    /**
+     * Ask the server to play a word
+     * @param {number[]} path - Cell indexes in selection order
+     */
+    submitPath(path) {
+        if (!this.game) return;
+
+        this.send({ type: 'submit', path, version: this.game.version });
+    }
+
+    /**
+     * Give up the seat and forget it
+     */
+    leaveRoom() {
+        this.send({ type: 'leave' });
+        this.forgetSeat();
+    }
+
+    /**
+     * Check if this player starts the room's matches
+     * @returns {boolean} True for the host
+     */
+    isHost() {
+        return !!this.room && this.room.hostId === this.playerId;
+    }
+
+    /**
+     * Get the time left in the match
+     * @returns {number} Whole seconds, 0 when there is no match
+     */
+    getTimeLeft() {
+        if (!this.game) return 0;
+
+        return Math.max(0, Math.ceil((this.game.endsAt - Date.now()) / 1000));
+    }
+
+    /**
+     * Send a message now, or once the connection is up
+     * @param {Object} message - The message; see OnlineProtocol
+     */
+    send(message) {
+        if (this.socket && this.socket.readyState === this.WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+            return;
+        }
+
+        this.queue.push(message);
+        this.connect();
+    }
+
+    /**
+     * Rejoin the seat, if there is one, and send what was waiting
+     */
+    onOpen() {
+        this.reconnectAttempt = 0;
+        this.setStatus('connected');
+
+        if (this.session) {
+            this.socket.send(JSON.stringify({ type: 'rejoin', code: this.session.code, token: this.session.token }));
+        }
+
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(message => this.send(message));
+    }
+
+    /**
+     * Keep track of the seat, room and match, then pass the message on as an event
+     * @param {string} data - JSON message from the server
+     */
+    onMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('Unreadable message from the online server:', error);
+            return;
+        }
+
+        switch (message.type) {
+            case 'joined':
+                this.playerId = message.playerId;
+                this.session = { code: message.code, token: message.token };
+                OnlineClient.saveSession(this.session);
+                this.emit('joined', message.playerId);
+                break;
+            case 'room':
+                this.room = message.room;
+                this.emit('room', message.room);
+                break;
+            case 'started':
+                this.game = { ...message.game, endsAt: Date.now() + message.game.timeLeft };
+                this.emit('started', this.game);
+                break;
+            case 'move':
+                if (this.game) {
+                    this.game.board = message.move.board;
+                    this.game.version = message.move.version;
+                    this.game.players = message.move.players;
+                }
+                this.emit('move', message.move);
+                break;
+            case 'rejected':
+                this.emit('rejected', message.word, message.reason);
+                break;
+            case 'ended':
+                this.game = null;
+                this.emit('ended', { players: message.players, winner: message.winner });
+                break;
+            case 'error':
+                // The seat to rejoin is gone: the room closed while this player was away
+                if (message.request === 'rejoin') {
+                    this.forgetSeat();
+                }
+                this.emit('error', message.message, message.request);
+                break;
+            default:
+                console.warn(`Unknown message from the online server: ${message.type}`);
+        }
+    }
+
+    /**
+     * Try the connection again after a pause that grows with each failed attempt
+     * @param {WebSocket} socket - The connection that closed
+     */
+    onClose(socket) {
+        // disconnect() already let it go
+        if (socket !== this.socket) return;
+
+        this.socket = null;
+        if (this.reconnectAttempt >= OnlineClient.RECONNECT_DELAYS.length) {
+            this.reconnectAttempt = 0;
+            this.setStatus('offline');
+            return;
+        }
+
+        this.setStatus('reconnecting');
+        const delay = OnlineClient.RECONNECT_DELAYS[this.reconnectAttempt++];
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * Forget the seat, room and match
+     */
+    forgetSeat() {
+        this.session = null;
+        this.playerId = null;
+        this.room = null;
+        this.game = null;
+        OnlineClient.saveSession(null);
+    }
+
+    /**
+     * Change the connection status, telling listeners
+     * @param {string} status - New status
+     */
+    setStatus(status) {
+        if (status === this.status) return;
+
+        this.status = status;
+        this.emit('status', status);
+    }
+
+    /**
+     * Get the room server's address on the page's own host
+     * @returns {string} WebSocket URL
+     */
+    static getDefaultUrl() {
+        if (typeof window === 'undefined' || !window.location) {
+            return `ws://localhost:3001${OnlineProtocol.PATH}`;
+        }
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}${OnlineProtocol.PATH}`;
+    }
+
+    /**
+     * Load the seat taken in this tab
+     * @returns {Object|null} {code, token}, or null
+     */
+    static loadSession() {
+        if (typeof sessionStorage === 'undefined') return null;
+
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(OnlineClient.SESSION_KEY));
+            return saved && saved.code && saved.token ? saved : null;
+        } catch (error) {
+            console.warn('Saved online seat is unreadable, forgetting it:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remember the seat taken in this tab
+     * @param {Object|null} session - {code, token}, or null to forget it
+     */
+    static saveSession(session) {
+        if (typeof sessionStorage === 'undefined') return;
+
+        if (session) {
+            sessionStorage.setItem(OnlineClient.SESSION_KEY, JSON.stringify(session));
+        } else {
+            sessionStorage.removeItem(OnlineClient.SESSION_KEY);
+        }
+    }
+
+    /**
+     * Build the level online matches are played on
+     * Like the Daily Challenge, it is defined here rather than in a level file.
+     * @returns {Object} Level definition
+     */
+    static createLevel() {
+        return LevelLoader.normalize({
+            levelNumber: OnlineClient.LEVEL_NUMBER,
+            name: 'Online Match',
+            gridSize: OnlineProtocol.GRID_SIZE,
+            language: OnlineProtocol.LANGUAGE,
+            objectives: [],
+            undos: 0,
+            tooltips: [
+                { text: 'Everyone plays on this board at once. Be quick: a word only counts if the board hasn\'t changed under it!', position: 'bottom' }
+            ]
+        }, null);
+    }
+}
+
+OnlineClient.SESSION_KEY = 'sporesOnline';
+
+// The online level's number keeps it apart from the level files
+OnlineClient.LEVEL_NUMBER = 1001;
+
+// Pauses before each attempt to get a dropped connection back (ms)
+OnlineClient.RECONNECT_DELAYS = [500, 1000, 2000, 4000, 8000];
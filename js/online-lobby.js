@@ -0,0 +1,307 @@
+/**
+ * Online lobby
+ * A DOM overlay for creating or joining a room by its code, then waiting in
+ * the room until the host starts the match. It redraws whenever the client
+ * reports a change to the room or the connection.
+ */
+class OnlineLobby {
+    /**
+     * Create the lobby
+     * @param {Phaser.Scene} scene - The online scene that owns the overlay
+     * @param {OnlineClient} client - Connection to the room server
+     */
+    constructor(scene, client) {
+        this.scene = scene;
+        this.client = client;
+        this.container = null;
+
+        // Last problem reported by the server, shown until the next request
+        this.error = null;
+
+        // What has been typed, kept while the lobby redraws
+        this.name = OnlineLobby.loadName();
+        this.code = '';
+    }
+
+    /**
+     * Show the lobby, replacing any open copy
+     */
+    show() {
+        this.hide();
+
+        const container = document.createElement('div');
+        container.className = 'online-lobby-container';
+        container.style.position = 'absolute';
+        container.style.top = '50%';
+        container.style.left = '50%';
+        container.style.transform = 'translate(-50%, -50%)';
+        container.style.backgroundColor = 'rgba(10, 26, 10, 0.95)';
+        container.style.color = 'white';
+        container.style.padding = '20px';
+        container.style.borderRadius = '10px';
+        container.style.textAlign = 'center';
+        container.style.fontFamily = 'Arial, sans-serif';
+        container.style.boxShadow = '0 0 20px rgba(142, 255, 142, 0.5)';
+        container.style.minWidth = '320px';
+        container.style.zIndex = '1001';
+
+        document.body.appendChild(container);
+        this.container = container;
+        this.render();
+    }
+
+    /**
+     * Redraw the lobby for the room the player is in, or the way into one
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+
+        const title = document.createElement('h2');
+        title.textContent = this.client.room ? `Room ${this.client.room.code}` : 'Play Online';
+        title.style.color = '#8eff8e';
+        title.style.margin = '0 0 5px 0';
+        this.container.appendChild(title);
+
+        if (this.client.room) {
+            this.renderRoom(this.client.room);
+        } else {
+            this.renderEntry();
+        }
+
+        const status = this.createNote(this.error || OnlineLobby.STATUS_TEXT[this.client.status] || '');
+        status.style.color = this.error ? '#ff5555' : '#cccccc';
+        status.style.marginTop = '15px';
+        this.container.appendChild(status);
+    }
+
+    /**
+     * Draw the name and room code fields with the create and join buttons
+     */
+    renderEntry() {
+        this.container.appendChild(this.createNote(`Race up to ${OnlineProtocol.MAX_PLAYERS - 1} friends for words on one board.`));
+
+        this.nameInput = this.createInput(this.name, OnlineProtocol.MAX_NAME_LENGTH, 'Your name');
+        this.nameInput.oninput = () => {
+            this.name = this.nameInput.value;
+        };
+        this.container.appendChild(this.nameInput);
+
+        const createButton = this.createButton('Create Room', '#4caf50');
+        createButton.style.marginTop = '12px';
+        createButton.onclick = () => this.request(() => this.client.createRoom(this.getName()));
+        this.container.appendChild(createButton);
+
+        this.codeInput = this.createInput(this.code, OnlineProtocol.ROOM_CODE_LENGTH, 'Room code');
+        this.codeInput.oninput = () => {
+            this.code = this.codeInput.value;
+        };
+        this.codeInput.style.width = '120px';
+        this.codeInput.style.textTransform = 'uppercase';
+        this.codeInput.style.letterSpacing = '4px';
+        this.container.appendChild(this.codeInput);
+
+        const joinButton = this.createButton('Join Room', '#2196f3');
+        joinButton.style.marginTop = '12px';
+        joinButton.onclick = () => this.joinRoom();
+        this.container.appendChild(joinButton);
+
+        const backButton = this.createButton('Back', '#555555');
+        backButton.style.display = 'block';
+        backButton.style.margin = '20px auto 0';
+        backButton.onclick = () => this.scene.scene.start('MenuScene');
+        this.container.appendChild(backButton);
+    }
+
+    /**
+     * Draw the room's players, and the start button for the host
+     * @param {Object} room - {code, hostId, state, players}
+     */
+    renderRoom(room) {
+        this.container.appendChild(this.createNote('Share the room code with the other players.'));
+
+        room.players.forEach((player, i) => {
+            const line = document.createElement('div');
+            const notes = [];
+            if (player.id === room.hostId) notes.push('host');
+            if (player.id === this.client.playerId) notes.push('you');
+            if (!player.connected) notes.push('reconnecting…');
+            line.textContent = notes.length > 0 ? `${player.name} (${notes.join(', ')})` : player.name;
+            line.style.fontSize = '20px';
+            line.style.fontWeight = 'bold';
+            line.style.marginTop = '10px';
+            line.style.color = OnlineProtocol.PLAYER_COLORS[i];
+            line.style.opacity = player.connected ? '1' : '0.5';
+            this.container.appendChild(line);
+        });
+
+        const connected = room.players.filter(player => player.connected).length;
+        const buttonRow = document.createElement('div');
+        buttonRow.style.marginTop = '20px';
+
+        if (this.client.isHost()) {
+            const startButton = this.createButton('Start Match', connected >= OnlineProtocol.MIN_PLAYERS ? '#4caf50' : '#555555');
+            startButton.style.margin = '0 5px';
+            startButton.disabled = connected < OnlineProtocol.MIN_PLAYERS;
+            startButton.onclick = () => this.request(() => this.client.startMatch());
+            buttonRow.appendChild(startButton);
+        }
+
+        const leaveButton = this.createButton('Leave', '#555555');
+        leaveButton.style.margin = '0 5px';
+        leaveButton.onclick = () => {
+            this.client.leaveRoom();
+            this.error = null;
+            this.render();
+        };
+        buttonRow.appendChild(leaveButton);
+        this.container.appendChild(buttonRow);
+
+        if (!this.client.isHost()) {
+            this.container.appendChild(this.createNote('Waiting for the host to start the match…'));
+        } else if (connected < OnlineProtocol.MIN_PLAYERS) {
+            this.container.appendChild(this.createNote(`Waiting for at least ${OnlineProtocol.MIN_PLAYERS} players…`));
+        }
+    }
+
+    /**
+     * Join the room whose code was typed in
+     */
+    joinRoom() {
+        const code = OnlineProtocol.normalizeRoomCode(this.code);
+        if (!OnlineProtocol.isRoomCode(code)) {
+            this.showError(`Room codes are ${OnlineProtocol.ROOM_CODE_LENGTH} letters`);
+            return;
+        }
+
+        this.request(() => this.client.joinRoom(code, this.getName()));
+    }
+
+    /**
+     * Make a request of the server, clearing the last error
+     * @param {Function} send - Sends the request
+     */
+    request(send) {
+        this.error = null;
+        send();
+        this.render();
+    }
+
+    /**
+     * Show a problem under the lobby
+     * @param {string} message - What went wrong
+     */
+    showError(message) {
+        this.error = message;
+        this.render();
+    }
+
+    /**
+     * Get the name typed in, remembering it for next time
+     * @returns {string} The name, or "Player" if it was left blank
+     */
+    getName() {
+        const name = this.name.trim() || OnlineLobby.DEFAULT_NAME;
+        OnlineLobby.saveName(name);
+        return name;
+    }
+
+    /**
+     * Create a text field in the overlay style
+     * @param {string} value - Starting text
+     * @param {number} maxLength - Most characters allowed
+     * @param {string} placeholder - Hint shown while it is empty
+     * @returns {HTMLInputElement} The field
+     */
+    createInput(value, maxLength, placeholder) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value;
+        input.maxLength = maxLength;
+        input.placeholder = placeholder;
+        input.style.display = 'block';
+        input.style.margin = '15px auto 0';
+        input.style.padding = '8px';
+        input.style.width = '200px';
+        input.style.fontSize = '16px';
+        input.style.textAlign = 'center';
+        input.style.border = '2px solid #8eff8e';
+        input.style.borderRadius = '5px';
+        return input;
+    }
+
+    /**
+     * Create a line of small print
+     * @param {string} text - The note
+     * @returns {HTMLElement} The note
+     */
+    createNote(text) {
+        const note = document.createElement('div');
+        note.textContent = text;
+        note.style.fontSize = '14px';
+        note.style.color = '#cccccc';
+        note.style.marginTop = '6px';
+        return note;
+    }
+
+    /**
+     * Create a plain button in the overlay style
+     * @param {string} text - Button label
+     * @param {string} color - Background colour
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(text, color) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '10px 20px';
+        button.style.background = color;
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.color = 'white';
+        button.style.fontSize = '16px';
+        button.style.cursor = 'pointer';
+        return button;
+    }
+
+    /**
+     * Remove the lobby
+     */
+    hide() {
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+
+    /**
+     * Load the name used online last time
+     * @returns {string} The name, or "" if none was saved
+     */
+    static loadName() {
+        if (typeof localStorage === 'undefined') return '';
+
+        return localStorage.getItem(OnlineLobby.NAME_KEY) || '';
+    }
+
+    /**
+     * Remember the name for next time
+     * @param {string} name - The name
+     */
+    static saveName(name) {
+        if (typeof localStorage === 'undefined') return;
+
+        localStorage.setItem(OnlineLobby.NAME_KEY, name);
+    }
+}
+
+OnlineLobby.NAME_KEY = 'sporesOnlineName';
+OnlineLobby.DEFAULT_NAME = 'Player';
+
+// What the lobby says about the connection
+OnlineLobby.STATUS_TEXT = {
+    offline: 'Not connected',
+    connecting: 'Connecting…',
+    connected: 'Connected',
+    reconnecting: 'Connection lost, reconnecting…'
+};
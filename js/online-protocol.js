@@ -0,0 +1,77 @@
+/**
+ * Rules shared by the online room server (server/) and the game's online client
+ * Online matches are played over a WebSocket: 2 to 4 players join a room by
+ * its code and race to play words on one board. Clients only send the paths
+ * they trace; the server checks each word, plays it and sends everyone the
+ * resulting board and scores, so its board is the one that counts.
+ *
+ * Every message is a JSON object with a `type`. Paths are cell indexes
+ * (row * size + col), as in replays. Boards are {size, cells, shufflesRemaining}
+ * as GameEngine.restore reads them, without the letter bag.
+ *
+ * Client to server:
+ *   create {name}            open a room and join it as its host
+ *   join {code, name}        join a room in its lobby
+ *   rejoin {code, token}     take back a seat after losing the connection
+ *   start {}                 start the match (host only)
+ *   submit {path, version}   play a word on board `version`
+ *   leave {}                 give up the seat
+ *
+ * Server to client:
+ *   joined {code, playerId, token}   the seat is yours; keep the token to rejoin
+ *   room {room}                      {code, hostId, state, players} whenever it changes
+ *   started {game}                   the match as it stands: {seed, board, version, timeLeft, players}
+ *   move {move}                      a word was played: {playerId, word, score, cascades, shuffled, board, version, players}
+ *   rejected {word, reason}          your word was not played
+ *   ended {players, winner}          final scores; winner is an index or null for a draw
+ *   error {message, request}         the request of that type could not be carried out
+ */
+class OnlineProtocol {
+    /**
+     * Tidy a room code as typed by a player
+     * @param {string} code - Code as entered
+     * @returns {string} Upper case code without spaces
+     */
+    static normalizeRoomCode(code) {
+        return String(code || '').replace(/\s+/g, '').toUpperCase();
+    }
+
+    /**
+     * Check if a code is shaped like a room code
+     * @param {string} code - Normalized code
+     * @returns {boolean} True if it could name a room
+     */
+    static isRoomCode(code) {
+        return code.length === OnlineProtocol.ROOM_CODE_LENGTH &&
+            [...code].every(letter => OnlineProtocol.ROOM_CODE_LETTERS.includes(letter));
+    }
+
+    /**
+     * Get the cell index a path uses for a board position
+     * @param {number} row - Row
+     * @param {number} col - Column
+     * @returns {number} row * GRID_SIZE + col
+     */
+    static toIndex(row, col) {
+        return row * OnlineProtocol.GRID_SIZE + col;
+    }
+}
+
+// WebSocket path on the game server
+OnlineProtocol.PATH = '/online';
+
+OnlineProtocol.MIN_PLAYERS = 2;
+OnlineProtocol.MAX_PLAYERS = 4;
+OnlineProtocol.MAX_NAME_LENGTH = 12;
+
+// Room codes leave out letters that are easily mistaken for each other (I, O)
+OnlineProtocol.ROOM_CODE_LENGTH = 4;
+OnlineProtocol.ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+// Every match is played on the same size of board, in the server's language, against the clock (seconds)
+OnlineProtocol.GRID_SIZE = 8;
+OnlineProtocol.LANGUAGE = 'en-twl';
+OnlineProtocol.TIME_LIMIT = 180;
+
+// Colours of each seat's scores, in joining order
+OnlineProtocol.PLAYER_COLORS = ['#66ccff', '#ff8866', '#8eff8e', '#ffdd55'];
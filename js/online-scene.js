@@ -0,0 +1,50 @@
+/**
+ * Scene that shows the online lobby
+ * The connection to the room server outlives the scene: it is kept in the
+ * game registry so the match, the results screen and the next visit to the
+ * lobby all use the same seat.
+ */
+class OnlineScene extends Phaser.Scene {
+    constructor() {
+        super('OnlineScene');
+    }
+
+    create() {
+        this.client = OnlineScene.getClient(this.registry);
+        this.lobby = new OnlineLobby(this, this.client);
+        this.lobby.show();
+
+        // The lobby follows the room and the connection; the match is played in GameScene
+        const render = () => this.lobby.render();
+        const showError = message => this.lobby.showError(message);
+        const startMatch = () => this.scene.start('GameScene', { online: true });
+        this.client.on('room', render);
+        this.client.on('status', render);
+        this.client.on('error', showError);
+        this.client.on('started', startMatch);
+
+        // Connecting rejoins the seat this tab had, if any, which may be in a match already
+        this.client.connect();
+
+        // The overlay lives in the DOM, so it has to be removed by hand
+        this.events.once('shutdown', () => {
+            this.client.off('room', render);
+            this.client.off('status', render);
+            this.client.off('error', showError);
+            this.client.off('started', startMatch);
+            this.lobby.hide();
+        });
+    }
+
+    /**
+     * Get the game's connection to the room server, creating it the first time
+     * @param {Phaser.Data.DataManager} registry - The game registry
+     * @returns {OnlineClient} The client
+     */
+    static getClient(registry) {
+        if (!registry.get('onlineClient')) {
+            registry.set('onlineClient', new OnlineClient());
+        }
+        return registry.get('onlineClient');
+    }
+}
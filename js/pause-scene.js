@@ -0,0 +1,73 @@
+/**
+ * Pause menu, run on top of the paused game scene
+ * Pausing GameScene freezes its tweens, timers and input, so a timed level's
+ * clock stops while this menu is open.
+ */
+class PauseScene extends Phaser.Scene {
+    constructor() {
+        super('PauseScene');
+    }
+
+    /**
+     * @param {Object} data - Scene data
+     * @param {number} data.levelNumber - The level being played
+     * @param {boolean} data.daily - Whether it is the Daily Challenge
+     * @param {Object} data.replay - The game recorded so far
+     */
+    init(data) {
+        this.levelNumber = data.levelNumber;
+        this.daily = !!data.daily;
+        this.replay = data.replay;
+    }
+
+    create() {
+        this.add.rectangle(400, 300, 800, 600, 0x000000, 0.7);
+
+        this.add.text(400, 150, 'Paused', {
+            fontFamily: 'Arial',
+            fontSize: '48px',
+            fontWeight: 'bold',
+            color: '#eeffee',
+            stroke: '#225522',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+
+        const buttons = [
+            ['Resume', '#4caf50', () => this.resumeGame()],
+            ['Restart Level', '#2196f3', () => {
+                this.scene.start('GameScene', { levelNumber: this.levelNumber });
+            }],
+            ['Levels', '#555555', () => {
+                this.scene.stop('GameScene');
+                this.scene.start('LevelSelectScene', { currentLevel: this.levelNumber });
+            }],
+            ['Watch Replay', '#555555', () => {
+                // The game was saved when it was paused, so Continue picks it up again afterwards
+                this.scene.start('GameScene', { replay: this.replay });
+            }],
+            ['Main Menu', '#555555', () => {
+                this.scene.stop('GameScene');
+                this.scene.start('MenuScene');
+            }]
+        ];
+
+        // The Daily Challenge has one attempt a day, so it can't be restarted
+        if (this.daily) {
+            buttons.splice(1, 1);
+        }
+
+        buttons.forEach(([label, color, onClick], i) => {
+            TextButton.create(this, 400, 250 + i * 60, label, color, onClick);
+        });
+
+        this.input.keyboard.on('keydown-ESC', this.resumeGame, this);
+    }
+
+    /**
+     * Close the menu and carry on playing
+     */
+    resumeGame() {
+        this.scene.resume('GameScene');
+        this.scene.stop();
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * Plays a replay back in GameScene
+ * Each recorded word is selected on the grid and submitted through
+ * Grid.processWord, so it explodes, cascades and scores exactly as it did when
+ * it was played. A bar of DOM controls plays, pauses, steps and changes speed.
+ */
+class ReplayPlayer {
+    /**
+     * Create a player
+     * @param {GameScene} scene - Game scene set up from the replay's starting state
+     * @param {Object} replay - The replay to play (see Replay)
+     */
+    constructor(scene, replay) {
+        this.scene = scene;
+        this.replay = replay;
+        this.moves = replay.moves;
+
+        // Next move to play, and whether the player is playing, waiting on a move or done
+        this.index = 0;
+        this.playing = false;
+        this.busy = false;
+        this.finished = false;
+        this.speed = 1;
+    }
+
+    /**
+     * Show the controls and start playing
+     */
+    start() {
+        this.createControls();
+
+        // Scaled with the scene's clock, so faster speeds also shorten the pause between moves
+        this.stepEvent = this.scene.time.addEvent({
+            delay: ReplayPlayer.STEP_DELAY,
+            callback: () => {
+                if (this.playing) this.step();
+            },
+            loop: true
+        });
+
+        this.play();
+    }
+
+    /**
+     * Check if the last move has settled
+     * @returns {boolean} True if the next move can be played
+     */
+    isIdle() {
+        const grid = this.scene.grid;
+        return !this.busy && !!grid && !grid.isAnimating && !grid.waitingForDictionary && grid.animationQueue.length === 0;
+    }
+
+    /**
+     * Play the next move, once the previous one has finished animating
+     */
+    step() {
+        if (this.finished || !this.isIdle()) {
+            return;
+        }
+        if (this.index >= this.moves.length) {
+            this.finish('End of replay');
+            return;
+        }
+
+        this.applyMove(this.moves[this.index++]);
+        this.updateControls();
+    }
+
+    /**
+     * Play one recorded move
+     * @param {Array|string|Object} move - Word path, 'shuffle', 'undo' or {parameters}
+     */
+    applyMove(move) {
+        const grid = this.scene.grid;
+
+        if (Array.isArray(move)) {
+            this.playPath(move);
+        } else if (move === Replay.SHUFFLE) {
+            this.scene.hideDeadBoardUI();
+            grid.shuffleBoard();
+        } else if (move === Replay.UNDO) {
+            this.scene.undoMove();
+        } else if (move && move.parameters) {
+            grid.updateGameParameters(move.parameters);
+        } else {
+            console.warn('Skipping unknown replay move:', move);
+        }
+    }
+
+    /**
+     * Select a recorded path on the grid, then submit it
+     * @param {number[]} indexes - Cell indexes (row * size + col) in selection order
+     */
+    playPath(indexes) {
+        const grid = this.scene.grid;
+        grid.clearSelection();
+        indexes.forEach(index => {
+            const row = Math.floor(index / grid.gridSize);
+            grid.selectTile(grid.tiles[row] ? grid.tiles[row][index % grid.gridSize] : null);
+        });
+        grid.pathNeedsRedraw = true;
+
+        // Show the path for a moment before it is played
+        this.busy = true;
+        this.scene.time.delayedCall(ReplayPlayer.SELECT_DELAY, () => {
+            this.busy = false;
+            grid.processWord();
+        });
+    }
+
+    /**
+     * Start or resume playing
+     */
+    play() {
+        if (this.finished) return;
+
+        this.playing = true;
+        this.updateControls();
+    }
+
+    /**
+     * Stop after the current move
+     */
+    pause() {
+        this.playing = false;
+        this.updateControls();
+    }
+
+    /**
+     * Switch to the next playback speed
+     */
+    cycleSpeed() {
+        const speeds = ReplayPlayer.SPEEDS;
+        this.speed = speeds[(speeds.indexOf(this.speed) + 1) % speeds.length];
+        this.scene.time.timeScale = this.speed;
+        this.scene.tweens.timeScale = this.speed;
+        this.updateControls();
+    }
+
+    /**
+     * Stop playing for good
+     * @param {string} message - Shown in place of the move counter, e.g. how the game ended
+     */
+    finish(message) {
+        this.finished = true;
+        this.playing = false;
+        this.message = message;
+        this.updateControls();
+    }
+
+    /**
+     * Create the control bar under the game
+     */
+    createControls() {
+        this.container = document.createElement('div');
+        this.container.className = 'replay-controls';
+        this.container.style.position = 'absolute';
+        this.container.style.bottom = '10px';
+        this.container.style.left = '50%';
+        this.container.style.transform = 'translateX(-50%)';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        this.container.style.color = 'white';
+        this.container.style.padding = '8px 12px';
+        this.container.style.borderRadius = '10px';
+        this.container.style.fontFamily = 'Arial, sans-serif';
+        this.container.style.display = 'flex';
+        this.container.style.alignItems = 'center';
+        this.container.style.gap = '8px';
+        this.container.style.zIndex = '1000';
+
+        this.statusText = document.createElement('span');
+        this.statusText.style.minWidth = '160px';
+        this.container.appendChild(this.statusText);
+
+        this.playButton = this.createButton('', '#4caf50', () => {
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+        this.stepButton = this.createButton('Step', '#2196f3', () => {
+            this.pause();
+            this.step();
+        });
+        this.speedButton = this.createButton('', '#2196f3', () => this.cycleSpeed());
+        this.createButton('Copy Link', '#555555', () => this.copyLink());
+        this.createButton('Exit', '#aa3333', () => this.scene.scene.start('MenuScene'));
+
+        document.body.appendChild(this.container);
+        this.updateControls();
+    }
+
+    /**
+     * Add a button to the control bar
+     * @param {string} text - Button label
+     * @param {string} color - Background colour
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(text, color, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '6px 12px';
+        button.style.background = color;
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.color = 'white';
+        button.style.fontSize = '14px';
+        button.style.cursor = 'pointer';
+        button.onclick = onClick;
+        this.container.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Refresh the move counter and button labels
+     */
+    updateControls() {
+        if (!this.container) return;
+
+        this.statusText.textContent = this.finished
+            ? this.message
+            : `Replay: move ${this.index} of ${this.moves.length}`;
+        this.playButton.textContent = this.playing ? '❚❚ Pause' : '▶ Play';
+        this.playButton.disabled = this.finished;
+        this.stepButton.disabled = this.finished;
+        this.speedButton.textContent = `${this.speed}x`;
+    }
+
+    /**
+     * Copy a link that plays this replay
+     */
+    copyLink() {
+        if (!navigator.clipboard) return;
+
+        navigator.clipboard.writeText(Replay.getShareUrl(this.replay))
+            .then(() => {
+                this.statusText.textContent = 'Link copied';
+            })
+            .catch(error => console.error('Could not copy replay link:', error));
+    }
+
+    /**
+     * Remove the controls and put the scene's clock back to normal speed
+     */
+    destroy() {
+        if (this.stepEvent) {
+            this.stepEvent.remove();
+            this.stepEvent = null;
+        }
+        this.scene.time.timeScale = 1;
+        this.scene.tweens.timeScale = 1;
+
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
+
+// Pause between moves, and how long a word's path is shown before it is played (ms at 1x)
+ReplayPlayer.STEP_DELAY = 600;
+ReplayPlayer.SELECT_DELAY = 400;
+
+ReplayPlayer.SPEEDS = [1, 2, 4, 0.5];
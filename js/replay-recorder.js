@@ -0,0 +1,58 @@
+/**
+ * Records a game as it is played, for playback with ReplayPlayer
+ * Listens to the engine, so every submitted word path (valid or not), shuffle
+ * and settings change is captured in order. Undos are reported by the scene.
+ */
+class ReplayRecorder {
+    /**
+     * Start recording
+     * @param {GameEngine} engine - Engine of the game being played
+     * @param {Object} start - Game state the recording begins from
+     * @param {Object} saved - A recording to carry on with instead, from a saved game
+     */
+    constructor(engine, start, saved = null) {
+        this.engine = engine;
+        this.replay = saved ? { ...saved, moves: [...saved.moves] } : {
+            version: Replay.VERSION,
+            start,
+            parameters: { ...engine.parameters },
+            moves: []
+        };
+
+        engine.on('wordAccepted', (word, score, cells) => this.recordPath(cells));
+        engine.on('invalidWord', (word, cells) => this.recordPath(cells));
+        engine.on('boardShuffled', () => this.record(Replay.SHUFFLE));
+        engine.on('parametersChanged', parameters => this.record({ parameters: { ...parameters } }));
+    }
+
+    /**
+     * Record a submitted word
+     * @param {Object[]} cells - Cells in selection order
+     */
+    recordPath(cells) {
+        this.record(cells.map(cell => cell.row * this.engine.size + cell.col));
+    }
+
+    /**
+     * Record that the last word was taken back
+     */
+    recordUndo() {
+        this.record(Replay.UNDO);
+    }
+
+    /**
+     * Add a move to the recording
+     * @param {Array|string|Object} move - The move
+     */
+    record(move) {
+        this.replay.moves.push(move);
+    }
+
+    /**
+     * Get the recording so far
+     * @returns {Object} A copy of the replay
+     */
+    serialize() {
+        return { ...this.replay, moves: [...this.replay.moves] };
+    }
+}
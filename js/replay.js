@@ -0,0 +1,90 @@
+/**
+ * Replay format: where a game started and every action taken in it
+ * A replay is plain JSON, {version, start, parameters, moves}. `start` is the
+ * game state the recording began from (see GameScene.captureState) and
+ * `parameters` the engine parameters at that point. Each move is a word path
+ * given as cell indexes (row * size + col), 'shuffle', 'undo', or
+ * {parameters} for a settings change.
+ */
+class Replay {
+    /**
+     * Encode a replay for a link
+     * @param {Object} replay - The replay
+     * @returns {string} URL-safe base64 of the replay's JSON
+     */
+    static encode(replay) {
+        const bytes = new TextEncoder().encode(JSON.stringify(replay));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a replay made with encode()
+     * @param {string} text - Encoded replay
+     * @returns {Object} The replay
+     * @throws {Error} If the text is not a replay this version can play
+     */
+    static decode(text) {
+        let replay;
+        try {
+            const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            replay = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error(`replay is not readable (${error.message})`);
+        }
+
+        if (!replay || replay.version !== Replay.VERSION) {
+            throw new Error(`replay version ${replay && replay.version} is not supported`);
+        }
+        if (!replay.start || !replay.start.engine || !Array.isArray(replay.moves)) {
+            throw new Error('replay is missing its starting board or moves');
+        }
+
+        return replay;
+    }
+
+    /**
+     * Read a shared replay from the page URL (?replay=)
+     * @returns {Object|null} The replay, or null if the URL has none or it can't be read
+     */
+    static getFromUrl() {
+        if (typeof window === 'undefined' || !window.location) {
+            return null;
+        }
+
+        const text = new URLSearchParams(window.location.search).get('replay');
+        if (!text) {
+            return null;
+        }
+
+        try {
+            return Replay.decode(text);
+        } catch (error) {
+            console.warn('Ignoring the replay in the URL:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Build a link that opens the game and plays a replay
+     * @param {Object} replay - The replay
+     * @returns {string} The link
+     */
+    static getShareUrl(replay) {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('seed');
+        url.searchParams.set('replay', Replay.encode(replay));
+        return url.toString();
+    }
+}
+
+// Bump when the format changes; older replays are then refused
+Replay.VERSION = 1;
+
+// Moves that aren't word paths
+Replay.SHUFFLE = 'shuffle';
+Replay.UNDO = 'undo';
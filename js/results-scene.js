@@ -0,0 +1,409 @@
+/**
+ * End of level screen, run on top of the paused game scene
+ * Shows one of seven outcomes: the level was completed, the level was failed
+ * (a constraint ran out), the game is over (the board ran out of words), the
+ * day's Daily Challenge attempt is done, a Blitz game has ended, or a versus
+ * or online match has a winner.
+ */
+class ResultsScene extends Phaser.Scene {
+    constructor() {
+        super('ResultsScene');
+    }
+
+    /**
+     * @param {Object} data - Scene data
+     * @param {string} data.outcome - 'complete', 'failed', 'gameOver', 'daily', 'blitz', 'versus' or 'online'
+     * @param {number} data.levelNumber - The level that was played
+     * @param {number|null} data.nextLevel - The level after it, or null
+     * @param {number} data.score - Final score
+     * @param {number} data.stars - Stars earned, for completed levels
+     * @param {boolean} data.isNewBest - Whether the score beat the saved best
+     * @param {string} data.reason - Why the level ended, for failed levels and game over
+     * @param {Object[]} data.objectives - Objective lines as {text, complete}
+     * @param {Object} data.stats - {wordsFormed, cascadesCreated, bestWord, bestWordScore}
+     * @param {number} data.wordsPerMinute - Words per minute of play, for Blitz
+     * @param {string} data.date - Date of the Daily Challenge played ('YYYY-MM-DD'), for the daily outcome
+     * @param {Object[]} data.players - Each player's {name, score, words, cascades, bestWord, bestWordScore}, for versus and online
+     * @param {number|null} data.winner - Index of the winning player, or null for a draw, for versus and online
+     * @param {Object} data.replay - Recording of the game, for the Watch Replay button
+     */
+    init(data) {
+        this.results = data;
+    }
+
+    create() {
+        if (this.results.outcome === 'complete') {
+            this.container = this.createCompleteUI();
+        } else if (this.results.outcome === 'failed') {
+            this.container = this.createFailedUI();
+        } else if (this.results.outcome === 'daily') {
+            this.container = this.createDailyUI();
+        } else if (this.results.outcome === 'blitz') {
+            this.container = this.createBlitzUI();
+        } else if (this.results.outcome === 'versus') {
+            this.container = this.createVersusUI();
+        } else if (this.results.outcome === 'online') {
+            this.container = this.createOnlineUI();
+        } else {
+            this.container = this.createGameOverUI();
+        }
+        document.body.appendChild(this.container);
+
+        this.events.once('shutdown', () => {
+            this.container.remove();
+            this.container = null;
+        });
+    }
+
+    /**
+     * Build the level complete screen
+     * @returns {HTMLElement} The overlay
+     */
+    createCompleteUI() {
+        const { score, stars, isNewBest, nextLevel } = this.results;
+        const container = this.createOverlay('level-complete-container', 'Level Complete!', '#ffff00', 'rgba(255, 255, 255, 0.5)');
+
+        // Show the star rating
+        const starDisplay = document.createElement('div');
+        starDisplay.textContent = LevelSelect.formatStars(stars);
+        starDisplay.style.fontSize = '36px';
+        starDisplay.style.color = '#ffd700';
+        container.appendChild(starDisplay);
+
+        const scoreText = document.createElement('p');
+        scoreText.textContent = isNewBest ? `Score: ${score} (new best!)` : `Score: ${score}`;
+        scoreText.style.fontSize = '20px';
+        container.appendChild(scoreText);
+
+        const buttonContainer = this.createButtonRow(container);
+
+        // Only show "Next Level" if there is a next level
+        if (nextLevel !== null) {
+            buttonContainer.appendChild(this.createButton('Next Level', '#4caf50', () => this.startLevel(nextLevel)));
+        }
+        buttonContainer.appendChild(this.createButton('Restart Level', '#2196f3', () => this.startLevel(this.results.levelNumber)));
+        buttonContainer.appendChild(this.createButton('Watch Replay', '#555555', () => this.watchReplay()));
+        buttonContainer.appendChild(this.createButton('Levels', '#555555', () => this.showLevelSelect()));
+
+        return container;
+    }
+
+    /**
+     * Build the level failed screen
+     * @returns {HTMLElement} The overlay
+     */
+    createFailedUI() {
+        const container = this.createOverlay('level-failed-container', 'Level Failed', '#ff5555', 'rgba(255, 80, 80, 0.5)');
+
+        // Show why the level ended
+        const message = document.createElement('p');
+        message.textContent = this.results.reason;
+        message.style.fontSize = '18px';
+        container.appendChild(message);
+
+        // Show how far the player got with each objective
+        this.results.objectives.forEach(objective => {
+            const line = document.createElement('div');
+            line.textContent = objective.text;
+            line.style.color = objective.complete ? '#8eff8e' : '#cccccc';
+            container.appendChild(line);
+        });
+
+        const buttonContainer = this.createButtonRow(container);
+        buttonContainer.appendChild(this.createButton('Retry', '#4caf50', () => this.startLevel(this.results.levelNumber)));
+        buttonContainer.appendChild(this.createButton('Watch Replay', '#555555', () => this.watchReplay()));
+        buttonContainer.appendChild(this.createButton('Levels', '#555555', () => this.showLevelSelect()));
+
+        return container;
+    }
+
+    /**
+     * Build the game over screen shown when the board runs out of words
+     * @returns {HTMLElement} The overlay
+     */
+    createGameOverUI() {
+        const { reason, score, stats } = this.results;
+        const container = this.createOverlay('game-over-container', 'Game Over', '#ff5555', 'rgba(255, 255, 255, 0.5)');
+
+        const reasonText = document.createElement('p');
+        reasonText.textContent = reason;
+        container.appendChild(reasonText);
+
+        const scoreText = document.createElement('p');
+        scoreText.textContent = `Final Score: ${score}`;
+        scoreText.style.fontSize = '20px';
+        container.appendChild(scoreText);
+
+        const highScore = parseInt(localStorage.getItem('sporesHighScore')) || 0;
+        const statsText = document.createElement('p');
+        statsText.textContent = `Words: ${stats.wordsFormed} · Cascades: ${stats.cascadesCreated} · High Score: ${highScore}`;
+        container.appendChild(statsText);
+
+        const buttonContainer = this.createButtonRow(container);
+        buttonContainer.appendChild(this.createButton('Play Again', '#2196f3', () => this.startLevel(this.results.levelNumber)));
+        buttonContainer.appendChild(this.createButton('Watch Replay', '#555555', () => this.watchReplay()));
+        buttonContainer.appendChild(this.createButton('Levels', '#555555', () => this.showLevelSelect()));
+
+        return container;
+    }
+
+    /**
+     * Build the Daily Challenge screen: the day's score and the streak, with no retry
+     * @returns {HTMLElement} The overlay
+     */
+    createDailyUI() {
+        const { date, score, stats, reason } = this.results;
+        const daily = new DailyChallenge();
+        const container = this.createOverlay('daily-results-container', 'Daily Challenge', '#ffaa33', 'rgba(255, 170, 51, 0.5)');
+
+        const dateText = document.createElement('div');
+        dateText.textContent = DailyChallenge.formatDate(date);
+        dateText.style.color = '#cccccc';
+        container.appendChild(dateText);
+
+        const reasonText = document.createElement('p');
+        reasonText.textContent = reason;
+        container.appendChild(reasonText);
+
+        const scoreText = document.createElement('p');
+        scoreText.textContent = `Score: ${score}`;
+        scoreText.style.fontSize = '24px';
+        scoreText.style.fontWeight = 'bold';
+        container.appendChild(scoreText);
+
+        const statsText = document.createElement('p');
+        statsText.textContent = `Words: ${stats.wordsFormed} · Cascades: ${stats.cascadesCreated}`;
+        container.appendChild(statsText);
+
+        const streakText = document.createElement('p');
+        streakText.textContent = `Streak: ${daily.getCurrentStreak()} · Best: ${daily.getBestStreak()}`;
+        streakText.style.color = '#ffaa33';
+        container.appendChild(streakText);
+
+        const buttonContainer = this.createButtonRow(container);
+        buttonContainer.appendChild(this.createButton('Calendar', '#aa6600', () => {
+            this.scene.stop('GameScene');
+            this.scene.start('DailyScene');
+        }));
+        buttonContainer.appendChild(this.createButton('Watch Replay', '#555555', () => this.watchReplay()));
+        buttonContainer.appendChild(this.createButton('Main Menu', '#555555', () => {
+            this.scene.stop('GameScene');
+            this.scene.start('MenuScene');
+        }));
+
+        return container;
+    }
+
+    /**
+     * Build the Blitz screen: the score, how fast the player found words and their best one
+     * @returns {HTMLElement} The overlay
+     */
+    createBlitzUI() {
+        const { reason, score, stats, wordsPerMinute } = this.results;
+        const container = this.createOverlay('blitz-results-container', 'Blitz', '#66ccff', 'rgba(102, 204, 255, 0.5)');
+
+        const reasonText = document.createElement('p');
+        reasonText.textContent = reason;
+        container.appendChild(reasonText);
+
+        const scoreText = document.createElement('p');
+        scoreText.textContent = `Score: ${score}`;
+        scoreText.style.fontSize = '24px';
+        scoreText.style.fontWeight = 'bold';
+        container.appendChild(scoreText);
+
+        const speedText = document.createElement('p');
+        speedText.textContent = `Words: ${stats.wordsFormed} · Words per minute: ${wordsPerMinute}`;
+        container.appendChild(speedText);
+
+        const bestWordText = document.createElement('p');
+        bestWordText.textContent = stats.bestWord
+            ? `Best word: ${stats.bestWord} (${stats.bestWordScore} points)`
+            : 'Best word: none';
+        bestWordText.style.color = '#ffd700';
+        container.appendChild(bestWordText);
+
+        const highScore = parseInt(localStorage.getItem('sporesHighScore')) || 0;
+        const statsText = document.createElement('p');
+        statsText.textContent = `Cascades: ${stats.cascadesCreated} · High Score: ${highScore}`;
+        container.appendChild(statsText);
+
+        const buttonContainer = this.createButtonRow(container);
+        buttonContainer.appendChild(this.createButton('Play Again', '#4caf50', () => this.startLevel(this.results.levelNumber)));
+        buttonContainer.appendChild(this.createButton('Watch Replay', '#555555', () => this.watchReplay()));
+        buttonContainer.appendChild(this.createButton('Levels', '#555555', () => this.showLevelSelect()));
+
+        return container;
+    }
+
+    /**
+     * Build the versus screen: the winner, then each player's score and words
+     * @returns {HTMLElement} The overlay
+     */
+    createVersusUI() {
+        const { reason, players, winner } = this.results;
+        const titleText = winner === null ? "It's a draw!" : `${players[winner].name} wins!`;
+        const titleColor = winner === null ? '#ffffff' : VersusMatch.PLAYER_COLORS[winner];
+        const container = this.createOverlay('versus-results-container', titleText, titleColor, 'rgba(102, 204, 255, 0.5)');
+
+        const reasonText = document.createElement('p');
+        reasonText.textContent = reason;
+        container.appendChild(reasonText);
+        this.addPlayerScores(container, players, VersusMatch.PLAYER_COLORS);
+
+        const buttonContainer = this.createButtonRow(container);
+        buttonContainer.appendChild(this.createButton('Rematch', '#4caf50', () => this.startLevel(this.results.levelNumber)));
+        buttonContainer.appendChild(this.createButton('Watch Replay', '#555555', () => this.watchReplay()));
+        buttonContainer.appendChild(this.createButton('Main Menu', '#555555', () => {
+            this.scene.stop('GameScene');
+            this.scene.start('MenuScene');
+        }));
+
+        return container;
+    }
+
+    /**
+     * Build the online match screen: the winner and every player's scores
+     * The room stays open for a rematch, which starts for everyone when the host starts it.
+     * @returns {HTMLElement} The overlay
+     */
+    createOnlineUI() {
+        const { reason, players, winner } = this.results;
+        const titleText = winner === null ? "It's a draw!" : `${players[winner].name} wins!`;
+        const titleColor = winner === null ? '#ffffff' : OnlineProtocol.PLAYER_COLORS[winner];
+        const container = this.createOverlay('online-results-container', titleText, titleColor, 'rgba(142, 255, 142, 0.5)');
+
+        const reasonText = document.createElement('p');
+        reasonText.textContent = reason;
+        container.appendChild(reasonText);
+        this.addPlayerScores(container, players, OnlineProtocol.PLAYER_COLORS);
+
+        const buttonContainer = this.createButtonRow(container);
+        buttonContainer.appendChild(this.createButton('Back to Room', '#4caf50', () => {
+            this.scene.stop('GameScene');
+            this.scene.start('OnlineScene');
+        }));
+        buttonContainer.appendChild(this.createButton('Main Menu', '#555555', () => {
+            OnlineScene.getClient(this.registry).leaveRoom();
+            this.scene.stop('GameScene');
+            this.scene.start('MenuScene');
+        }));
+
+        return container;
+    }
+
+    /**
+     * Add each player's score and stats to a match screen
+     * @param {HTMLElement} container - The overlay
+     * @param {Object[]} players - Each player's {name, score, words, cascades, bestWord, bestWordScore}
+     * @param {string[]} colors - Colour of each player
+     */
+    addPlayerScores(container, players, colors) {
+        players.forEach((player, i) => {
+            const scoreText = document.createElement('p');
+            scoreText.textContent = `${player.name}: ${player.score}`;
+            scoreText.style.fontSize = '24px';
+            scoreText.style.fontWeight = 'bold';
+            scoreText.style.color = colors[i];
+            scoreText.style.marginBottom = '0';
+            container.appendChild(scoreText);
+
+            const statsText = document.createElement('div');
+            statsText.textContent = `Words: ${player.words} · Cascades: ${player.cascades} · Best word: ` +
+                (player.bestWord ? `${player.bestWord} (${player.bestWordScore})` : 'none');
+            statsText.style.color = '#cccccc';
+            container.appendChild(statsText);
+        });
+    }
+
+    /**
+     * Create the centred overlay with its heading
+     * @param {string} className - Class name of the overlay
+     * @param {string} titleText - Heading text
+     * @param {string} titleColor - Heading colour
+     * @param {string} glowColor - Colour of the overlay's glow
+     * @returns {HTMLElement} The overlay
+     */
+    createOverlay(className, titleText, titleColor, glowColor) {
+        const container = document.createElement('div');
+        container.className = className;
+        container.style.position = 'absolute';
+        container.style.top = '50%';
+        container.style.left = '50%';
+        container.style.transform = 'translate(-50%, -50%)';
+        container.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        container.style.color = 'white';
+        container.style.padding = '20px';
+        container.style.borderRadius = '10px';
+        container.style.textAlign = 'center';
+        container.style.fontFamily = 'Arial, sans-serif';
+        container.style.boxShadow = `0 0 20px ${glowColor}`;
+        container.style.minWidth = '300px';
+        container.style.zIndex = '1000';
+
+        const title = document.createElement('h2');
+        title.textContent = titleText;
+        title.style.color = titleColor;
+        title.style.marginTop = '0';
+        container.appendChild(title);
+
+        return container;
+    }
+
+    /**
+     * Add the row that holds the buttons
+     * @param {HTMLElement} container - The overlay
+     * @returns {HTMLElement} The button row
+     */
+    createButtonRow(container) {
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.marginTop = '20px';
+        container.appendChild(buttonContainer);
+        return buttonContainer;
+    }
+
+    /**
+     * Create a button in the overlay style
+     * @param {string} text - Button label
+     * @param {string} color - Background colour
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(text, color, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '10px 20px';
+        button.style.margin = '0 5px';
+        button.style.background = color;
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.color = 'white';
+        button.style.fontSize = '16px';
+        button.style.cursor = 'pointer';
+        button.onclick = onClick;
+        return button;
+    }
+
+    /**
+     * Start a level, replacing the paused game
+     * @param {number} levelNumber - Level to play
+     */
+    startLevel(levelNumber) {
+        this.scene.start('GameScene', { levelNumber });
+    }
+
+    /**
+     * Play back the game that just ended
+     */
+    watchReplay() {
+        this.scene.start('GameScene', { replay: this.results.replay });
+    }
+
+    /**
+     * Leave the game for the level select screen
+     */
+    showLevelSelect() {
+        this.scene.stop('GameScene');
+        this.scene.start('LevelSelectScene', { currentLevel: this.results.levelNumber });
+    }
+}
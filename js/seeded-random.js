@@ -0,0 +1,120 @@
+/**
+ * Seedable pseudo-random number generator
+ * Every random game decision (letters, spores, refills) goes through an instance
+ * of this class so a game can be reproduced from its seed.
+ */
+class SeededRandom {
+    /**
+     * Create a generator
+     * @param {string|number} seed - Seed to start from (a new random seed if omitted)
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {string|number} seed - The seed
+     */
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    /**
+     * Capture the generator's position so a saved game carries on the same sequence
+     * @returns {Object} {seed, state}
+     */
+    serialize() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Continue from a position captured with serialize()
+     * @param {Object} saved - {seed, state}
+     */
+    restore(saved) {
+        this.seed = String(saved.seed);
+        this.state = saved.state >>> 0;
+    }
+
+    /**
+     * Get the next random number (mulberry32)
+     * @returns {number} A float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer below a limit
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} An integer in [0, max)
+     */
+    integer(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element of an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} A random element
+     */
+    pick(array) {
+        return array[this.integer(array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.integer(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Hash a seed string into a 32-bit starting state
+     * @param {string} seed - The seed
+     * @returns {number} Unsigned 32-bit state
+     */
+    static hashSeed(seed) {
+        let hash = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+            hash = (hash << 13) | (hash >>> 19);
+        }
+        hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+        hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+
+    /**
+     * Create a short random seed for a new game
+     * @returns {string} A 6-character seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+    }
+
+    /**
+     * Read the seed from the page URL (?seed=)
+     * @returns {string|null} The seed, or null if the URL has none
+     */
+    static getSeedFromUrl() {
+        if (typeof window === 'undefined' || !window.location) {
+            return null;
+        }
+
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed && seed.trim().length > 0 ? seed.trim() : null;
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * Clickable text button drawn on the canvas
+ * Used by the menu and pause scenes, which have no DOM overlay of their own.
+ */
+class TextButton {
+    /**
+     * Add a button to a scene
+     * @param {Phaser.Scene} scene - The scene to draw in
+     * @param {number} x - Centre X position
+     * @param {number} y - Centre Y position
+     * @param {string} label - Button text
+     * @param {string} color - Background colour, e.g. '#4caf50'
+     * @param {Function} onClick - Called when the button is clicked
+     * @returns {Phaser.GameObjects.Text} The button
+     */
+    static create(scene, x, y, label, color, onClick) {
+        const button = scene.add.text(x, y, label, {
+            fontFamily: 'Arial',
+            fontSize: '22px',
+            fontWeight: 'bold',
+            color: '#ffffff',
+            backgroundColor: color,
+            padding: { x: 20, y: 10 },
+            fixedWidth: TextButton.WIDTH,
+            align: 'center'
+        }).setOrigin(0.5);
+
+        button.setInteractive({ useHandCursor: true });
+        button.on('pointerover', () => button.setAlpha(0.85));
+        button.on('pointerout', () => button.setAlpha(1));
+        button.on('pointerdown', onClick);
+
+        return button;
+    }
+}
+
+// Buttons share one width so stacked menus line up
+TextButton.WIDTH = 240;
@@ -9,7 +9,7 @@ class Tile {
      * @param {number} y - Y position 
      * @param {number} gridX - Grid X position (column)
      * @param {number} gridY - Grid Y position (row)
-     * @param {string} letter - The letter on the tile
+     * @param {string} letter - The letter on the tile (multi-letter tiles such as 'QU' are one tile)
      * @param {number} size - The size of the tile
      */
     constructor(scene, x, y, gridX, gridY, letter, size) {
@@ -17,9 +17,11 @@ class Tile {
         this.gridX = gridX;
         this.gridY = gridY;
         this.letter = letter;
-        this.sporeCount = 0;
+        this.cell = null; // Engine cell this tile renders, set by the grid
+        this.displayedSpores = 0; // Spore count currently shown (the engine cell holds the real count)
         this.sporeThreshold = 5; // Number of spores needed to explode
         this.selected = false;
+        this.marked = false; // Target of a "explode the marked tiles" objective
         this.size = size;
         
         // Initialize container array
@@ -30,9 +32,9 @@ class Tile {
         this.createMushroomTile(x, y, size, 0xfffff0);
         
         // Create the letter text with enhanced contrast and readability
-        this.letterText = scene.add.text(x, y, letter, {
+        this.letterText = scene.add.text(x, y, Tile.formatLetter(letter), {
             fontFamily: 'Arial',
-            fontSize: Math.floor(size * 0.5) + 'px',
+            fontSize: Tile.getLetterFontSize(letter, size) + 'px',
             fontWeight: 'bold',
             color: '#000000',
             stroke: '#ffffff',
@@ -177,16 +179,29 @@ class Tile {
     }
     
     /**
-     * Add spores to the tile
-     * @param {number} count - Number of spores to add
-     * @returns {boolean} Whether the tile exploded
+     * Outline the tile in gold when a level objective asks for it to be exploded
+     * @param {boolean} isMarked - Whether the tile is marked
      */
-    addSpores(count) {
-        this.sporeCount += count;
+    setMarked(isMarked) {
+        this.marked = isMarked;
         
-        // Update spore text and make it visible
-        this.sporeText.setText(this.sporeCount.toString());
-        this.sporeText.setVisible(true);
+        if (isMarked) {
+            this.background.setStrokeStyle(4, 0xffd700, 1);
+        } else {
+            this.background.setStrokeStyle(2, 0x888888, 0.5);
+        }
+    }
+    
+    /**
+     * Show the spore count of the tile's engine cell
+     * @param {number} count - Number of spores on the cell
+     */
+    setSporeCount(count) {
+        this.displayedSpores = count;
+        
+        // Update spore text and show it only when there are spores
+        this.sporeText.setText(count.toString());
+        this.sporeText.setVisible(count > 0);
         
         // Ensure the spore text stays in the correct position
         const x = this.background.x;
@@ -195,23 +210,6 @@ class Tile {
         
         // Update the tile's appearance based on spore count
         this.updateAppearance();
-        
-        // Check if the tile should explode
-        if (this.sporeCount >= this.sporeThreshold) {
-            return true; // Tile should explode
-        }
-        
-        return false;
-    }
-    
-    /**
-     * Reset the tile's spore count
-     */
-    resetSpores() {
-        this.sporeCount = 0;
-        this.sporeText.setText('0');
-        this.sporeText.setVisible(false);
-        this.updateAppearance();
     }
     
     /**
@@ -231,7 +229,7 @@ class Tile {
         
         // Use a simplified color progression based on spore count
         let color;
-        if (this.sporeCount === 0) {
+        if (this.displayedSpores === 0) {
             // Base color for tiles with no spores
             color = 0xfffff0; // Slight cream tint
             this.letterText.setColor('#000000'); // Black text
@@ -253,10 +251,10 @@ class Tile {
         } else {
             // Show spore counter
             this.sporeText.setVisible(true);
-            this.sporeText.setText(this.sporeCount.toString());
+            this.sporeText.setText(this.displayedSpores.toString());
             
             // Calculate progress toward explosion
-            const progress = Math.min(this.sporeCount / this.sporeThreshold, 0.99);
+            const progress = Math.min(this.displayedSpores / this.sporeThreshold, 0.99);
             
             // Use a color progression that works with our simplified tile style
             if (progress < 0.33) {
@@ -366,7 +364,7 @@ class Tile {
                 }
                 
                 // Add leaking spore particles for tiles near explosion threshold
-                if (this.sporeCount >= this.sporeThreshold - 1 && !this.leakEmitter) {
+                if (this.displayedSpores >= this.sporeThreshold - 1 && !this.leakEmitter) {
                     const x = this.background.x;
                     const y = this.background.y;
                     this.createLeakingSporeEffect(x, y);
@@ -773,9 +771,10 @@ class Tile {
         // Update letter property
         this.letter = letter;
         
-        // Update letter text display
+        // Update letter text display, shrinking the font for multi-letter tiles
         if (this.letterText) {
-            this.letterText.setText(letter);
+            this.letterText.setText(Tile.formatLetter(letter));
+            this.letterText.setFontSize(Tile.getLetterFontSize(letter, this.size));
         }
         
         // Update score value
@@ -825,4 +824,23 @@ class Tile {
             console.error("Error destroying tile:", e);
         }
     }
+    
+    /**
+     * Format a tile's letters for display: 'QU' is shown as 'Qu'
+     * @param {string} letter - The tile's letters, uppercase
+     * @returns {string} Display text
+     */
+    static formatLetter(letter) {
+        return letter.charAt(0) + letter.slice(1).toLowerCase();
+    }
+    
+    /**
+     * Get the letter font size for a tile, smaller when it holds several letters
+     * @param {string} letter - The tile's letters
+     * @param {number} size - The size of the tile
+     * @returns {number} Font size in pixels
+     */
+    static getLetterFontSize(letter, size) {
+        return Math.floor(size * (letter.length > 1 ? 0.4 : 0.5));
+    }
 }
@@ -0,0 +1,176 @@
+/**
+ * A hot-seat versus match: two players taking turns on the same board
+ * Each turn is one word. The word's score, and every cascade bonus its chain
+ * reaction earns, go to the player who played it; then the turn passes. The
+ * match ends when both players have had their turns (or the board runs out
+ * of words), and the higher score wins.
+ */
+class VersusMatch {
+    /**
+     * Start a match
+     * @param {Object} settings - {names, turns}: the players' names and how many turns each gets
+     */
+    constructor(settings = VersusMatch.loadSettings()) {
+        this.turnsPerPlayer = settings.turns;
+        this.players = settings.names.map(name => ({
+            name,
+            score: 0,
+            words: 0,
+            cascades: 0,
+            bestWord: null,
+            bestWordScore: 0
+        }));
+
+        // Turns finished so far; the player whose turn it is follows from this
+        this.turnsPlayed = 0;
+    }
+
+    /**
+     * Get the settings the match was started with
+     * @returns {Object} {names, turns}
+     */
+    getSettings() {
+        return { names: this.players.map(player => player.name), turns: this.turnsPerPlayer };
+    }
+
+    /**
+     * Get the index of the player whose turn it is
+     * @returns {number} 0 or 1
+     */
+    getCurrentIndex() {
+        return this.turnsPlayed % this.players.length;
+    }
+
+    /**
+     * Get the player whose turn it is
+     * @returns {Object} {name, score, words, cascades, bestWord, bestWordScore}
+     */
+    getCurrentPlayer() {
+        return this.players[this.getCurrentIndex()];
+    }
+
+    /**
+     * Get the number of the turn being played, counting each player's turns separately
+     * @returns {number} 1 for each player's first turn
+     */
+    getRound() {
+        return Math.min(Math.floor(this.turnsPlayed / this.players.length) + 1, this.turnsPerPlayer);
+    }
+
+    /**
+     * Credit the word played this turn to the current player
+     * @param {string} word - The word
+     * @param {number} score - Points it scored
+     */
+    addWord(word, score) {
+        const player = this.getCurrentPlayer();
+        player.score += score;
+        player.words++;
+        if (score > player.bestWordScore) {
+            player.bestWord = word;
+            player.bestWordScore = score;
+        }
+    }
+
+    /**
+     * Credit the chain reaction of this turn's word to the current player, then pass the turn
+     * @param {number} bonus - Cascade bonus points earned by the word
+     * @param {number} cascades - Cascades it set off
+     */
+    endTurn(bonus, cascades) {
+        const player = this.getCurrentPlayer();
+        player.score += bonus;
+        player.cascades += cascades;
+        this.turnsPlayed++;
+    }
+
+    /**
+     * Check if every turn has been played
+     * @returns {boolean} True when the match is over
+     */
+    isOver() {
+        return this.turnsPlayed >= this.turnsPerPlayer * this.players.length;
+    }
+
+    /**
+     * Get the player with the highest score
+     * @returns {number|null} Index of the winner, or null for a draw
+     */
+    getWinnerIndex() {
+        const best = Math.max(...this.players.map(player => player.score));
+        const leaders = this.players.filter(player => player.score === best);
+        return leaders.length === 1 ? this.players.indexOf(leaders[0]) : null;
+    }
+
+    /**
+     * Capture the match for a saved game, undo or replay
+     * @returns {Object} Plain data that restore() accepts
+     */
+    serialize() {
+        return {
+            turnsPerPlayer: this.turnsPerPlayer,
+            turnsPlayed: this.turnsPlayed,
+            players: this.players.map(player => ({ ...player }))
+        };
+    }
+
+    /**
+     * Carry on from a match captured with serialize()
+     * @param {Object} saved - Saved match
+     */
+    restore(saved) {
+        this.turnsPerPlayer = saved.turnsPerPlayer;
+        this.turnsPlayed = saved.turnsPlayed;
+        this.players = saved.players.map(player => ({ ...player }));
+    }
+
+    /**
+     * Load the names and turn count chosen last time
+     * @returns {Object} {names, turns}
+     */
+    static loadSettings() {
+        const defaults = { names: [...VersusMatch.DEFAULT_NAMES], turns: VersusMatch.DEFAULT_TURNS };
+        if (typeof localStorage === 'undefined') return defaults;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(VersusMatch.STORAGE_KEY));
+            if (saved && Array.isArray(saved.names) && saved.names.length === VersusMatch.PLAYER_COUNT &&
+                VersusMatch.TURN_CHOICES.includes(saved.turns)) {
+                return { names: saved.names, turns: saved.turns };
+            }
+        } catch (error) {
+            console.warn('Saved versus settings are unreadable, using the defaults:', error);
+        }
+        return defaults;
+    }
+
+    /**
+     * Remember the names and turn count for the next match
+     * @param {Object} settings - {names, turns}
+     */
+    static saveSettings(settings) {
+        if (typeof localStorage === 'undefined') return;
+
+        localStorage.setItem(VersusMatch.STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    /**
+     * Find the level versus matches are played on
+     * @param {Object[]} levels - Every level
+     * @returns {Object|undefined} The first level with mode "versus"
+     */
+    static findLevel(levels) {
+        return levels.find(level => level.mode === 'versus');
+    }
+}
+
+VersusMatch.STORAGE_KEY = 'sporesVersus';
+VersusMatch.PLAYER_COUNT = 2;
+VersusMatch.DEFAULT_NAMES = ['Player 1', 'Player 2'];
+
+// Turns each player gets, offered on the setup screen
+VersusMatch.TURN_CHOICES = [5, 10, 15, 20];
+VersusMatch.DEFAULT_TURNS = 10;
+
+// Colours of each player's score panel and turn indicator
+VersusMatch.PLAYER_COLORS = ['#66ccff', '#ff8866'];
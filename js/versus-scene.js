@@ -0,0 +1,16 @@
+/**
+ * Scene that shows the versus setup overlay
+ */
+class VersusScene extends Phaser.Scene {
+    constructor() {
+        super('VersusScene');
+    }
+
+    create() {
+        this.setup = new VersusSetup(this);
+        this.setup.show();
+
+        // The overlay lives in the DOM, so it has to be removed by hand
+        this.events.once('shutdown', () => this.setup.hide());
+    }
+}
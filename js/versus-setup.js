@@ -0,0 +1,174 @@
+/**
+ * Versus setup screen
+ * A DOM overlay where two players enter their names and pick how many turns
+ * each gets before starting a hot-seat match. The choices are remembered for
+ * the next match.
+ */
+class VersusSetup {
+    /**
+     * Create the setup screen
+     * @param {Phaser.Scene} scene - The versus scene that owns the overlay
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.container = null;
+        this.settings = VersusMatch.loadSettings();
+    }
+
+    /**
+     * Show the screen, replacing any open copy
+     */
+    show() {
+        this.hide();
+
+        const container = document.createElement('div');
+        container.className = 'versus-setup-container';
+        container.style.position = 'absolute';
+        container.style.top = '50%';
+        container.style.left = '50%';
+        container.style.transform = 'translate(-50%, -50%)';
+        container.style.backgroundColor = 'rgba(10, 26, 10, 0.95)';
+        container.style.color = 'white';
+        container.style.padding = '20px';
+        container.style.borderRadius = '10px';
+        container.style.textAlign = 'center';
+        container.style.fontFamily = 'Arial, sans-serif';
+        container.style.boxShadow = '0 0 20px rgba(102, 204, 255, 0.5)';
+        container.style.minWidth = '320px';
+        container.style.zIndex = '1001';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Versus';
+        title.style.color = '#66ccff';
+        title.style.margin = '0 0 5px 0';
+        container.appendChild(title);
+        container.appendChild(this.createNote('Take turns on one board. Your chain reactions score for you.'));
+
+        this.nameInputs = this.settings.names.map((name, i) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = name;
+            input.maxLength = VersusSetup.MAX_NAME_LENGTH;
+            input.style.display = 'block';
+            input.style.margin = '12px auto 0';
+            input.style.padding = '8px';
+            input.style.width = '200px';
+            input.style.fontSize = '16px';
+            input.style.border = `2px solid ${VersusMatch.PLAYER_COLORS[i]}`;
+            input.style.borderRadius = '5px';
+            container.appendChild(input);
+            return input;
+        });
+
+        const turnsLabel = this.createNote('Turns each');
+        turnsLabel.style.marginTop = '15px';
+        container.appendChild(turnsLabel);
+
+        const turnsRow = document.createElement('div');
+        this.turnButtons = VersusMatch.TURN_CHOICES.map(turns => {
+            const button = this.createButton(String(turns), '#555555');
+            button.style.margin = '5px 3px 0';
+            button.style.padding = '6px 14px';
+            button.onclick = () => {
+                this.settings.turns = turns;
+                this.updateTurnButtons();
+            };
+            turnsRow.appendChild(button);
+            return button;
+        });
+        container.appendChild(turnsRow);
+        this.updateTurnButtons();
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.marginTop = '20px';
+
+        const startButton = this.createButton('Start Match', '#4caf50');
+        startButton.style.margin = '0 5px';
+        startButton.onclick = () => this.startMatch();
+        buttonRow.appendChild(startButton);
+
+        const backButton = this.createButton('Back', '#555555');
+        backButton.style.margin = '0 5px';
+        backButton.onclick = () => this.scene.scene.start('MenuScene');
+        buttonRow.appendChild(backButton);
+
+        container.appendChild(buttonRow);
+
+        document.body.appendChild(container);
+        this.container = container;
+    }
+
+    /**
+     * Highlight the chosen turn count
+     */
+    updateTurnButtons() {
+        this.turnButtons.forEach((button, i) => {
+            button.style.background = VersusMatch.TURN_CHOICES[i] === this.settings.turns ? '#2196f3' : '#555555';
+        });
+    }
+
+    /**
+     * Save the choices and start the match
+     * Blank names fall back to "Player 1" and "Player 2".
+     */
+    startMatch() {
+        const levels = LevelLoader.levels || LevelLoader.FALLBACK_LEVELS;
+        const level = VersusMatch.findLevel(levels);
+        if (!level) {
+            console.error('No versus level found in levels/');
+            return;
+        }
+
+        const settings = {
+            names: this.nameInputs.map((input, i) => input.value.trim() || VersusMatch.DEFAULT_NAMES[i]),
+            turns: this.settings.turns
+        };
+        VersusMatch.saveSettings(settings);
+        this.scene.scene.start('GameScene', { levelNumber: level.levelNumber, versus: settings });
+    }
+
+    /**
+     * Create a line of small print
+     * @param {string} text - The note
+     * @returns {HTMLElement} The note
+     */
+    createNote(text) {
+        const note = document.createElement('div');
+        note.textContent = text;
+        note.style.fontSize = '14px';
+        note.style.color = '#cccccc';
+        note.style.marginTop = '6px';
+        return note;
+    }
+
+    /**
+     * Create a plain button in the overlay style
+     * @param {string} text - Button label
+     * @param {string} color - Background colour
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(text, color) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '10px 20px';
+        button.style.background = color;
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.color = 'white';
+        button.style.fontSize = '16px';
+        button.style.cursor = 'pointer';
+        return button;
+    }
+
+    /**
+     * Remove the screen
+     */
+    hide() {
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
+
+VersusSetup.MAX_NAME_LENGTH = 12;
@@ -0,0 +1,93 @@
+/**
+ * Finds every playable word on a board
+ * Walks all adjacent paths (including diagonals and turns) with a depth-first
+ * search, pruning any path whose letters are not the prefix of a dictionary word.
+ */
+class WordSolver {
+    /**
+     * Create a solver
+     * @param {Object} lexicon - Word list with has(word) and hasPrefix(prefix), uppercase
+     */
+    constructor(lexicon) {
+        this.lexicon = lexicon;
+    }
+
+    /**
+     * Find all words on a board
+     * @param {Array<Array<string|null>>} letters - Board letters indexed [row][col], null for empty
+     * @param {Object} options - Solver options
+     * @param {number} options.minLength - Minimum number of letters in a word (default 3)
+     * @param {Function} options.scoreWord - Scores a path of {row, col}; defaults to the sum of letter values
+     * @param {boolean} options.allPaths - List every path that spells a word, not just the best one for each word
+     * @returns {Object[]} Words as {word, path, score, length}, best score first
+     */
+    solve(letters, options = {}) {
+        const minLength = options.minLength || 3;
+        const scoreWord = options.scoreWord || (path =>
+            path.reduce((sum, pos) => sum + LetterData.getPointValue(letters[pos.row][pos.col]), 0)
+        );
+
+        const rows = letters.length;
+        const found = new Map();
+        const allPaths = [];
+        const visited = letters.map(row => row.map(() => false));
+        const path = [];
+
+        const visit = (row, col, prefix) => {
+            const letter = letters[row][col];
+            if (!letter || visited[row][col]) return;
+
+            // Stop as soon as no dictionary word starts with these letters
+            const word = prefix + letter.toUpperCase();
+            if (!this.lexicon.hasPrefix(word)) return;
+
+            visited[row][col] = true;
+            path.push({ row, col });
+
+            if (word.length >= minLength && this.lexicon.has(word)) {
+                // Keep the best scoring path for each word, or every path if asked
+                const score = scoreWord(path);
+                const existing = found.get(word);
+                if (options.allPaths) {
+                    allPaths.push({ word, path: [...path], score, length: word.length });
+                } else if (!existing || score > existing.score) {
+                    found.set(word, { word, path: [...path], score, length: word.length });
+                }
+            }
+
+            for (const dir of WordSolver.DIRECTIONS) {
+                const nextRow = row + dir.dr;
+                const nextCol = col + dir.dc;
+                if (nextRow >= 0 && nextRow < rows && nextCol >= 0 && nextCol < letters[nextRow].length) {
+                    visit(nextRow, nextCol, word);
+                }
+            }
+
+            path.pop();
+            visited[row][col] = false;
+        };
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < letters[row].length; col++) {
+                visit(row, col, '');
+            }
+        }
+
+        const results = options.allPaths ? allPaths : Array.from(found.values());
+        return results.sort((a, b) =>
+            b.score - a.score || b.length - a.length || (a.word < b.word ? -1 : 1)
+        );
+    }
+}
+
+// The 8 neighbouring directions a path can take
+WordSolver.DIRECTIONS = [
+    { dr: -1, dc: 0 },  // Up
+    { dr: -1, dc: 1 },  // Up-Right
+    { dr: 0, dc: 1 },   // Right
+    { dr: 1, dc: 1 },   // Down-Right
+    { dr: 1, dc: 0 },   // Down
+    { dr: 1, dc: -1 },  // Down-Left
+    { dr: 0, dc: -1 },  // Left
+    { dr: -1, dc: -1 }  // Up-Left
+];
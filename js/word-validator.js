@@ -1,11 +1,35 @@
 /**
  * Validates words against a dictionary
+ * The dictionary is loaded and indexed in a Web Worker where available, and the
+ * worker answers every lookup asynchronously. The word graph is only built on the
+ * main thread when no worker can start, which is when the synchronous queries work.
  */
 class WordValidator {
-    constructor() {
-        this.dictionary = new Set();
+    /**
+     * Create a validator
+     * @param {Object} pack - Language pack to load (defaults to the one chosen in settings)
+     */
+    constructor(pack = LanguagePacks.getPack(LanguagePacks.getSelectedId())) {
+        this.pack = pack;
+        this.minWordLength = pack.minWordLength;
+        this.dawg = null; // Word graph on the main thread, only when there is no worker
+        this.wordCount = 0; // Words in the loaded dictionary, wherever it is held
+        
+        // Filter layers loaded from the pack's data files
+        this.blocklist = new Set(); // Never shown as hints; rejected in family mode
+        this.commonWords = null; // Only words accepted when commonWordsOnly is on
+        this.familyMode = WordValidator.loadFamilyMode();
+        this.commonWordsOnly = false;
+        
         this.loaded = false;
         this.loading = false;
+        this.progress = 0; // Loading progress in percent
+        
+        // Worker requests waiting for an answer, by request id
+        this.worker = null;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+        this.loadedCallbacks = [];
         
         // Load the dictionary when the class is instantiated
         this.loadDictionary();
@@ -20,27 +44,337 @@ class WordValidator {
         }
         
         this.loading = true;
-        console.log('Loading dictionary...');
+        this.progress = 0;
+        console.log(`Loading dictionary for ${this.pack.name}...`);
+        
+        // The filter lists are small, so they load on the main thread alongside
+        this.loadFilters();
+        
+        // Prefer the worker so parsing doesn't stall the main thread
+        if (!this.startWorker()) {
+            // Use fetch with error handling for CORS
+            this.fetchDictionaryWithFallback();
+        }
+    }
+    
+    /**
+     * Load the pack's blocklist and common word list
+     */
+    loadFilters() {
+        const pack = this.pack;
+        this.blocklist = new Set();
+        this.commonWords = null;
+        
+        if (pack.blocklist) {
+            WordValidator.fetchWordList(pack.blocklist)
+                .then(words => {
+                    if (pack === this.pack) this.blocklist = words;
+                })
+                .catch(error => console.warn(`Could not load blocklist ${pack.blocklist}:`, error.message));
+        }
+        
+        if (pack.commonWords) {
+            WordValidator.fetchWordList(pack.commonWords)
+                .then(words => {
+                    if (pack === this.pack) this.commonWords = words;
+                })
+                .catch(error => console.warn(`Could not load common words ${pack.commonWords}:`, error.message));
+        }
+    }
+    
+    /**
+     * Turn family mode on or off and remember the choice
+     * In family mode blocklisted words are rejected entirely, not just hidden from hints
+     * @param {boolean} enabled - Whether family mode is on
+     */
+    setFamilyMode(enabled) {
+        this.familyMode = enabled;
+        
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(WordValidator.FAMILY_MODE_KEY, enabled ? 'true' : 'false');
+        }
+    }
+    
+    /**
+     * Limit accepted words to the pack's common word list (used by the tutorial)
+     * Has no effect for packs without a common word list
+     * @param {boolean} enabled - Whether only common words are accepted
+     */
+    setCommonWordsOnly(enabled) {
+        this.commonWordsOnly = enabled;
+    }
+    
+    /**
+     * Check a dictionary word against the active filters
+     * @param {string} word - Uppercase word
+     * @returns {boolean} True if the filters allow the word to be played
+     */
+    isAllowed(word) {
+        if (this.familyMode && this.blocklist.has(word)) {
+            return false;
+        }
+        
+        if (this.commonWordsOnly && this.commonWords && !this.commonWords.has(word)) {
+            return false;
+        }
         
-        // Use fetch with error handling for CORS
-        this.fetchDictionaryWithFallback();
+        return true;
+    }
+    
+    /**
+     * Check if a word may be suggested as a hint
+     * Blocklisted words are never suggested, even when family mode is off
+     * @param {string} word - The word
+     * @returns {boolean} True if the word can be shown as a hint
+     */
+    isHintable(word) {
+        const upperWord = word.toUpperCase();
+        return !this.blocklist.has(upperWord) && this.isAllowed(upperWord);
+    }
+    
+    /**
+     * Switch to another language pack and load its dictionary
+     * @param {Object} pack - The language pack
+     */
+    setLanguagePack(pack) {
+        if (pack === this.pack) {
+            return;
+        }
+        
+        // Drop the old dictionary; late answers for the old pack are ignored
+        this.stopWorker();
+        this.pack = pack;
+        this.minWordLength = pack.minWordLength;
+        this.dawg = null;
+        this.wordCount = 0;
+        this.loaded = false;
+        this.loading = false;
+        
+        this.loadDictionary();
+    }
+    
+    /**
+     * Start loading the dictionary in a Web Worker
+     * @returns {boolean} True if the worker started
+     */
+    startWorker() {
+        if (typeof Worker === 'undefined' || window.location.protocol === 'file:') {
+            return false;
+        }
+        
+        try {
+            this.worker = new Worker(WordValidator.WORKER_URL);
+        } catch (error) {
+            console.warn('Could not start dictionary worker, loading on the main thread:', error);
+            this.worker = null;
+            return false;
+        }
+        
+        this.worker.onmessage = event => this.handleWorkerMessage(event.data);
+        this.worker.onerror = error => {
+            console.error('Dictionary worker failed:', error.message);
+            this.stopWorker();
+            if (!this.loaded) {
+                this.fetchDictionaryWithFallback();
+            }
+        };
+        
+        // Worker URLs resolve against the worker script, so send absolute dictionary URLs
+        this.worker.postMessage({
+            type: 'load',
+            binaryUrl: new URL(this.pack.binaryDictionary, window.location.href).href,
+            url: new URL(this.pack.dictionary, window.location.href).href,
+            pack: this.pack
+        });
+        return true;
+    }
+    
+    /**
+     * Stop the worker and fail any requests still waiting on it
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        this.pendingRequests.forEach(request => request.reject(new Error('Dictionary worker stopped')));
+        this.pendingRequests.clear();
+    }
+    
+    /**
+     * Handle a message from the dictionary worker
+     * @param {Object} message - Message posted by js/dictionary-worker.js
+     */
+    handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'progress':
+                this.progress = message.percent;
+                break;
+                
+            case 'loaded':
+                // The graph stays in the worker; only its size comes back
+                this.setDictionary(null, message.size);
+                console.log(`Dictionary loaded in worker with ${message.size} words`);
+                break;
+                
+            case 'error':
+                console.error('Error loading dictionary:', message.message);
+                console.warn('Could not load dictionary file. Try running the game using the server.js script.');
+                this.stopWorker();
+                this.createFallbackDictionary();
+                break;
+                
+            case 'result': {
+                const request = this.pendingRequests.get(message.id);
+                if (!request) break;
+                
+                this.pendingRequests.delete(message.id);
+                if (message.error) {
+                    request.reject(new Error(message.error));
+                } else {
+                    request.resolve(message.result);
+                }
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Send a request to the worker
+     * @param {string} type - Request type ('validate', 'lookup' or 'solve')
+     * @param {Object} data - Request fields
+     * @returns {Promise<*>} Resolves with the worker's result
+     */
+    requestFromWorker(type, data) {
+        const id = this.nextRequestId++;
+        
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ type, id, ...data });
+        });
+    }
+    
+    /**
+     * Use a newly loaded dictionary
+     * @param {Dawg|null} dawg - The word graph, or null when the worker holds it
+     * @param {number} wordCount - Words in the dictionary
+     */
+    setDictionary(dawg, wordCount = dawg.size) {
+        this.dawg = dawg;
+        this.wordCount = wordCount;
+        this.loaded = true;
+        this.loading = false;
+        this.progress = 100;
+        
+        const callbacks = this.loadedCallbacks;
+        this.loadedCallbacks = [];
+        callbacks.forEach(callback => callback());
+    }
+    
+    /**
+     * Wait for the dictionary to finish loading
+     * @returns {Promise<void>} Resolves once words can be checked
+     */
+    whenLoaded() {
+        if (this.loaded) {
+            return Promise.resolve();
+        }
+        
+        return new Promise(resolve => this.loadedCallbacks.push(resolve));
+    }
+    
+    /**
+     * Check a word without blocking, waiting for the dictionary if it is still loading
+     * @param {string} word - The word to check
+     * @returns {Promise<boolean>} Resolves with true if the word is valid
+     */
+    validate(word) {
+        if (word.length < this.minWordLength) {
+            return Promise.resolve(false);
+        }
+        
+        if (this.worker) {
+            return this.requestFromWorker('validate', { word })
+                .then(valid => valid && this.isAllowed(word.toUpperCase()));
+        }
+        
+        return this.whenLoaded().then(() => this.isValid(word));
+    }
+    
+    /**
+     * Classify a word or the start of one without blocking
+     * @param {string} word - Letters selected so far
+     * @returns {Promise<string>} Resolves with 'word' if it is a playable word,
+     *   'prefix' if it can still become one, or 'dead' if no word starts with it
+     */
+    lookup(word) {
+        const upperWord = word.toUpperCase();
+        const classify = (inDictionary, isPrefix) => {
+            if (upperWord.length >= this.minWordLength && inDictionary && this.isAllowed(upperWord)) {
+                return 'word';
+            }
+            return isPrefix ? 'prefix' : 'dead';
+        };
+        
+        if (this.worker) {
+            return this.requestFromWorker('lookup', { word: upperWord })
+                .then(result => classify(result.word, result.prefix));
+        }
+        
+        return this.whenLoaded().then(() => classify(this.has(upperWord), this.hasPrefix(upperWord)));
+    }
+    
+    /**
+     * Find every word on a board without blocking, scored by letter values
+     * @param {Array<Array<string|null>>} letters - Board letters indexed [row][col]
+     * @param {Object} options - Solver options
+     * @param {number} options.minLength - Minimum number of letters in a word (defaults to the pack's)
+     * @returns {Promise<Object[]>} Resolves with words as {word, path, score, length}
+     */
+    solve(letters, options = {}) {
+        const minLength = options.minLength || this.minWordLength;
+        
+        if (this.worker) {
+            return this.requestFromWorker('solve', { letters, minLength })
+                .then(results => results.filter(result => this.isAllowed(result.word)));
+        }
+        
+        return this.whenLoaded().then(() => new WordSolver(this).solve(letters, { minLength }));
     }
     
     /**
      * Fetch dictionary with fallback options for CORS issues
+     * Reads the binary dictionary when it has been built, otherwise the plain word list
      */
     fetchDictionaryWithFallback() {
-        fetch('dict.txt')
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`Failed to load dictionary: ${response.status} ${response.statusText}`);
-                }
-                return response.text();
-            })
-            .then(text => {
-                this.processDictionary(text);
+        const pack = this.pack;
+        
+        this.fetchBinaryDictionary(pack)
+            .catch(error => {
+                console.warn(`Binary dictionary unavailable (${error.message}), loading ${pack.dictionary}`);
+                
+                return fetch(pack.dictionary)
+                    .then(response => {
+                        if (!LanguagePacks.isDictionaryResponse(response)) {
+                            throw new Error(`Failed to load dictionary: ${pack.dictionary} not found (${response.status} ${response.statusText})`);
+                        }
+                        return response.text();
+                    })
+                    .then(text => {
+                        // A page served in place of a missing list would otherwise become the dictionary
+                        if (!LanguagePacks.isWordList(text)) {
+                            throw new Error(`${pack.dictionary} is not a word list`);
+                        }
+                        
+                        // Ignore the result if another pack was chosen meanwhile
+                        if (pack === this.pack) {
+                            this.processDictionary(text);
+                        }
+                    });
             })
             .catch(error => {
+                if (pack !== this.pack) return;
                 console.error('Error loading dictionary:', error);
                 
                 // Try with a different approach if it might be a CORS issue
@@ -55,34 +389,49 @@ class WordValidator {
             });
     }
     
+    /**
+     * Fetch and read the binary dictionary built by scripts/build-dictionary.js
+     * @param {Object} pack - Language pack the dictionary belongs to
+     * @returns {Promise<void>} Rejects if the file is missing or not a dictionary
+     */
+    fetchBinaryDictionary(pack) {
+        return fetch(pack.binaryDictionary)
+            .then(response => {
+                if (!LanguagePacks.isDictionaryResponse(response)) {
+                    throw new Error(`${pack.binaryDictionary} not found (${response.status} ${response.statusText})`);
+                }
+                return response.arrayBuffer();
+            })
+            .then(buffer => {
+                const dawg = Dawg.fromBinary(buffer);
+                if (pack !== this.pack) return;
+                
+                this.setDictionary(dawg);
+                console.log(`Binary dictionary loaded with ${this.dawg.size} words`);
+            });
+    }
+    
     /**
      * Process the dictionary text data
      */
     processDictionary(text) {
-        // Clear the dictionary before adding new words
-        this.dictionary.clear();
-        
-        // Split the text by newlines and add each word to the dictionary
-        const words = text.split(/\r?\n/);
-        
-        // Create dictionary with all words
-        let count = 0;
-        words.forEach(word => {
+        // Split the text by newlines and collect each word
+        const words = [];
+        text.split(/\r?\n/).forEach(word => {
             const trimmedWord = word.trim();
             if (trimmedWord.length > 0) {
-                this.dictionary.add(trimmedWord.toUpperCase());
-                count++;
+                words.push(trimmedWord.toUpperCase());
             }
         });
         
-        this.loaded = true;
-        this.loading = false;
-        console.log(`Dictionary loaded with ${this.dictionary.size} words (${count} added)`);
+        // Build the word graph that replaces the flat word list
+        this.setDictionary(Dawg.build(words));
+        console.log(`Dictionary loaded with ${this.dawg.size} words (${this.dawg.edges.length} graph edges)`);
         
         // Test with some common words to verify it's working
         const testWords = ['THE', 'AND', 'CAT', 'DOG', 'HELLO', 'WORLD'];
         testWords.forEach(word => {
-            console.log(`Test word "${word}" is ${this.dictionary.has(word) ? 'in' : 'NOT in'} dictionary`);
+            console.log(`Test word "${word}" is ${this.has(word) ? 'in' : 'NOT in'} dictionary`);
         });
     }
     
@@ -93,37 +442,20 @@ class WordValidator {
     createFallbackDictionary() {
         console.log('Creating fallback dictionary');
         
-        // Clear the dictionary before adding fallback words
-        this.dictionary.clear();
-        
-        const commonWords = [
-            'THE', 'AND', 'THAT', 'HAVE', 'FOR', 'NOT', 'WITH', 'YOU', 'THIS', 'BUT',
-            'HIS', 'FROM', 'THEY', 'SAY', 'SHE', 'WILL', 'ONE', 'ALL', 'WOULD', 'THERE',
-            'THEIR', 'WHAT', 'OUT', 'ABOUT', 'WHO', 'GET', 'WHICH', 'WHEN', 'MAKE', 'CAN',
-            'LIKE', 'TIME', 'JUST', 'HIM', 'KNOW', 'TAKE', 'PEOPLE', 'INTO', 'YEAR', 'YOUR',
-            'GOOD', 'SOME', 'COULD', 'THEM', 'SEE', 'OTHER', 'THAN', 'THEN', 'NOW', 'LOOK',
-            'ONLY', 'COME', 'ITS', 'OVER', 'THINK', 'ALSO', 'BACK', 'AFTER', 'USE', 'TWO',
-            'HOW', 'OUR', 'WORK', 'FIRST', 'WELL', 'WAY', 'EVEN', 'NEW', 'WANT', 'BECAUSE',
-            'ANY', 'THESE', 'GIVE', 'DAY', 'MOST', 'CAT', 'DOG', 'MAN', 'CAR', 'TREE',
-            'BIRD', 'GAME', 'FOOD', 'LOVE', 'AIR', 'SUN', 'MOON', 'WATER', 'BOOK', 'STAR'
-        ];
-        
-        commonWords.forEach(word => {
-            this.dictionary.add(word);
-        });
-        
-        this.loaded = true;
-        console.log(`Fallback dictionary created with ${this.dictionary.size} words`);
+        // Each language pack carries a short list of common words for this case
+        this.setDictionary(Dawg.build(this.pack.fallbackWords));
+        console.log(`Fallback dictionary created with ${this.dawg.size} words`);
     }
     
     /**
      * Check if a word is valid
+     * Only answers from a dictionary on the main thread; use validate() when the worker holds it.
      * @param {string} word - The word to check
      * @returns {boolean} True if the word is valid
      */
     isValid(word) {
-        // Minimum length requirement
-        if (word.length < 3) {
+        // Minimum length requirement of the language pack
+        if (word.length < this.minWordLength) {
             return false;
         }
         
@@ -145,19 +477,69 @@ class WordValidator {
         
         // Check if the word is in the dictionary
         const upperWord = word.toUpperCase();
-        const result = this.dictionary.has(upperWord);
+        const result = this.has(upperWord);
         
         // Only log for longer words to reduce console spam
         if (word.length >= 6) {
             console.log(`Word "${word}" (${upperWord}) is ${result ? 'valid' : 'invalid'}`);
-            console.log(`Dictionary size: ${this.dictionary.size}, contains 'THE': ${this.dictionary.has('THE')}`);
+            console.log(`Dictionary size: ${this.size}, contains 'THE': ${this.has('THE')}`);
         }
         
         return result;
     }
     
+    /**
+     * Number of words the synchronous queries can search
+     * 0 until the dictionary has loaded, and while the worker holds it.
+     * @returns {number} Word count
+     */
+    get size() {
+        return this.dawg ? this.dawg.size : 0;
+    }
+    
+    /**
+     * Check if a word is in the dictionary and allowed by the filters, without length rules or fallbacks
+     * @param {string} word - Uppercase word
+     * @returns {boolean} True if the dictionary contains the word
+     */
+    has(word) {
+        return !!this.dawg && this.dawg.has(word) && this.isAllowed(word);
+    }
+    
+    /**
+     * Check if any dictionary word starts with a prefix
+     * Lets the solver prune dead paths and the grid flag selections that can't become words
+     * @param {string} prefix - The prefix
+     * @returns {boolean} True if some word starts with the prefix
+     */
+    hasPrefix(prefix) {
+        return !!this.dawg && this.dawg.hasPrefix(prefix.toUpperCase());
+    }
+    
+    /**
+     * List dictionary words that start with a prefix, in alphabetical order
+     * @param {string} prefix - The prefix
+     * @param {number} limit - Maximum number of words to return
+     * @returns {string[]} Matching words
+     */
+    completions(prefix, limit = 20) {
+        return this.dawg ? this.dawg.completions(prefix.toUpperCase(), limit) : [];
+    }
+    
+    /**
+     * List dictionary words matching a pattern, in alphabetical order
+     * '?' matches any single letter and '*' matches any run of letters
+     * @param {string} pattern - Pattern such as 'C?T' or 'UN*ED'
+     * @param {number} limit - Maximum number of words to return
+     * @returns {string[]} Matching words
+     */
+    wordsMatching(pattern, limit = 100) {
+        return this.dawg ? this.dawg.wordsMatching(pattern.toUpperCase(), limit) : [];
+    }
+    
     /**
      * Get the word from an array of tiles
+     * Multi-letter tiles such as 'QU' contribute all of their letters
      * @param {Tile[]} tiles - Array of selected tiles
      * @returns {string} The formed word
      */
@@ -173,4 +555,43 @@ class WordValidator {
             return '';
         }
     }
+    
+    /**
+     * Read the saved family mode setting
+     * @returns {boolean} True if family mode was turned on
+     */
+    static loadFamilyMode() {
+        return typeof localStorage !== 'undefined' && localStorage.getItem(WordValidator.FAMILY_MODE_KEY) === 'true';
+    }
+    
+    /**
+     * Fetch a filter list: one word per line, lines starting with # ignored
+     * @param {string} url - List URL
+     * @returns {Promise<Set<string>>} The uppercase words
+     */
+    static fetchWordList(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                const words = new Set();
+                text.split(/\r?\n/).forEach(line => {
+                    const word = line.trim();
+                    if (word.length > 0 && !word.startsWith('#')) {
+                        words.add(word.toUpperCase());
+                    }
+                });
+                return words;
+            });
+    }
 }
+
+// The worker that loads and indexes dictionaries, relative to index.html
+WordValidator.WORKER_URL = 'js/dictionary-worker.js';
+
+// localStorage key remembering whether family mode is on
+WordValidator.FAMILY_MODE_KEY = 'sporesFamilyMode';
@@ -0,0 +1,60 @@
+/**
+ * Compile word lists into binary dictionaries
+ * Builds the same word graph the game uses and writes it in the packed format
+ * read by Dawg.fromBinary, so browsers skip downloading and parsing the text list.
+ *
+ * Usage: node scripts/build-dictionary.js [input] [output]
+ * Without arguments every language pack whose word list is present is compiled
+ * (dict.txt -> dict.bin for the default pack).
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadGameScripts, getGameGlobal } = require('./load-game-scripts');
+
+loadGameScripts(['js/letter-data.js', 'js/language-packs.js', 'js/dawg.js']);
+const Dawg = getGameGlobal('Dawg');
+const LanguagePacks = getGameGlobal('LanguagePacks');
+
+const rootDir = path.join(__dirname, '..');
+
+/**
+ * Compile one word list
+ * @param {string} inputFile - Absolute path of the word list
+ * @param {string} outputFile - Absolute path of the binary to write
+ */
+function buildDictionary(inputFile, outputFile) {
+    const text = fs.readFileSync(inputFile, 'utf8');
+    const words = text.split(/\r?\n/)
+        .map(word => word.trim().toUpperCase())
+        .filter(word => word.length > 0);
+
+    const dawg = Dawg.build(words);
+    const binary = Buffer.from(dawg.toBinary());
+
+    // Read the output back and make sure every word survived the round trip
+    const check = Dawg.fromBinary(binary.buffer.slice(binary.byteOffset, binary.byteOffset + binary.byteLength));
+    const missing = words.filter(word => !check.has(word));
+    if (missing.length > 0 || check.size !== dawg.size) {
+        console.error(`Binary dictionary check failed: ${missing.length} words missing (e.g. ${missing.slice(0, 5).join(', ')})`);
+        process.exit(1);
+    }
+
+    fs.writeFileSync(outputFile, binary);
+
+    const inputSize = fs.statSync(inputFile).size;
+    console.log(`Wrote ${path.relative(rootDir, outputFile)}: ${dawg.size} words, ${dawg.edges.length} edges, ` +
+        `${(binary.length / 1024).toFixed(0)} KB (${path.relative(rootDir, inputFile)} is ${(inputSize / 1024).toFixed(0)} KB)`);
+}
+
+if (process.argv[2]) {
+    buildDictionary(path.resolve(rootDir, process.argv[2]), path.resolve(rootDir, process.argv[3] || 'dict.bin'));
+} else {
+    LanguagePacks.getPacks().forEach(pack => {
+        const inputFile = path.join(rootDir, pack.dictionary);
+        if (!fs.existsSync(inputFile)) {
+            console.log(`Skipping ${pack.name}: ${pack.dictionary} not found`);
+            return;
+        }
+        buildDictionary(inputFile, path.join(rootDir, pack.binaryDictionary));
+    });
+}
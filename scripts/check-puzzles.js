@@ -0,0 +1,204 @@
+/**
+ * Check that every puzzle level can be finished
+ * Puzzle boards never refill, and spores spread from the level's fixed seed, so
+ * a puzzle plays out the same way every time the same words are played. This
+ * searches the words (and every path that spells them) move by move until the
+ * level's objectives are met, and prints one solution for each puzzle. Exits
+ * with an error if a puzzle has no solution or the search gives up first.
+ *
+ * Usage: node scripts/check-puzzles.js [maxBoards]
+ * maxBoards caps the boards searched per puzzle (default 20000).
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadGameScripts, getGameGlobal, createDictionaryValidator } = require('./load-game-scripts');
+
+loadGameScripts();
+loadGameScripts(['js/language-packs.js', 'js/level-loader.js', 'js/level-manager.js']);
+const GameEngine = getGameGlobal('GameEngine');
+const SeededRandom = getGameGlobal('SeededRandom');
+const LetterBag = getGameGlobal('LetterBag');
+const LetterData = getGameGlobal('LetterData');
+const LanguagePacks = getGameGlobal('LanguagePacks');
+const LevelLoader = getGameGlobal('LevelLoader');
+const LevelManager = getGameGlobal('LevelManager');
+
+const rootDir = path.join(__dirname, '..');
+const levelsDir = path.join(rootDir, 'levels');
+const maxBoards = parseInt(process.argv[2], 10) || 20000;
+
+// Validators by dictionary file, as each one takes a while to build
+const validators = new Map();
+
+/**
+ * Read and parse a level file
+ * @param {string} file - Path of the file inside levels/
+ * @returns {Promise<Object>} Parsed contents
+ */
+async function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(levelsDir, file), 'utf8'));
+}
+
+/**
+ * Get the validator a puzzle plays with, honouring commonWordsOnly
+ * @param {Object} pack - The puzzle's language pack
+ * @param {boolean} commonWordsOnly - Whether only common words are accepted
+ * @returns {Object} Validator with has, hasPrefix and isValid
+ */
+function getValidator(pack, commonWordsOnly) {
+    if (!validators.has(pack.dictionary)) {
+        validators.set(pack.dictionary, createDictionaryValidator(pack.dictionary));
+    }
+    const validator = validators.get(pack.dictionary);
+    if (!commonWordsOnly || !pack.commonWords) {
+        return validator;
+    }
+
+    const common = new Set(fs.readFileSync(path.join(rootDir, pack.commonWords), 'utf8')
+        .split(/\r?\n/)
+        .map(word => word.trim().toUpperCase()));
+    return {
+        ...validator,
+        has: word => common.has(word) && validator.has(word),
+        isValid: word => common.has(word.toUpperCase()) && validator.isValid(word)
+    };
+}
+
+/**
+ * Set up an engine the way Grid does for the level
+ * @param {Object} level - Normalized puzzle level
+ * @param {Object} pack - The level's language pack
+ * @returns {GameEngine} The engine, with the puzzle board dealt
+ */
+function createEngine(level, pack) {
+    LetterData.usePack(pack);
+
+    const rng = new SeededRandom(level.seed);
+    const overrides = level.letterBag && level.letterBag.distribution;
+    const parameters = {};
+    if (level.sporeThreshold !== undefined) {
+        parameters.sporeThreshold = level.sporeThreshold;
+    }
+
+    const engine = new GameEngine({
+        size: level.gridSize,
+        validator: getValidator(pack, !!level.commonWordsOnly),
+        minWordLength: pack.minWordLength,
+        rng,
+        letterBag: overrides ? new LetterBag(rng, { ...LetterData.distribution, ...overrides }) : undefined,
+        parameters,
+        shuffles: 0,
+        refills: false
+    });
+    engine.reset({ layout: level.board, spores: level.spores, marked: level.markedTiles });
+    return engine;
+}
+
+/**
+ * Add one move to the objectives' progress, the way GameScene counts it
+ * @param {GameEngine} engine - Engine the move was played on
+ * @param {Object[]} objectives - The level's objectives
+ * @param {number[]} progress - Progress before the move
+ * @param {Object} result - The engine's summary of the move
+ * @param {number} score - Score before the move
+ * @returns {Object} {progress, score} after the move
+ */
+function advanceProgress(engine, objectives, progress, result, score) {
+    // Word score plus the chain reaction's bonuses
+    const newScore = score + result.score + engine.calculateCascadeBonuses(result.cascadeCount).total;
+    return { progress: LevelManager.countMove(objectives, progress, result, newScore), score: newScore };
+}
+
+/**
+ * Search for a sequence of words that finishes a puzzle
+ * @param {Object} level - Normalized puzzle level
+ * @returns {Object} {words, boards} with words null if none was found, and gaveUp if the search hit maxBoards
+ */
+function solve(level) {
+    const pack = LanguagePacks.packs[level.language];
+    const engine = createEngine(level, pack);
+    const maxMoves = (level.constraints && level.constraints.maxMoves) || Infinity;
+    const seen = new Set();
+    let boards = 0;
+
+    const capture = () => ({ engine: engine.serialize(), rng: engine.rng.serialize() });
+    const restore = state => {
+        engine.restore(state.engine);
+        engine.rng.restore(state.rng);
+    };
+
+    // Depth-first over every path on the board; returns the words that finish the puzzle from here
+    const search = (state, progress, score, depth) => {
+        restore(state);
+        const moves = engine.findWords({ allPaths: true });
+
+        for (const move of moves) {
+            if (boards >= maxBoards) return null;
+            boards++;
+
+            restore(state);
+            const result = engine.submitWord(move.path.map(pos => engine.board.getCell(pos.row, pos.col)));
+            const next = advanceProgress(engine, level.objectives, progress, result, score);
+            if (level.objectives.every((objective, i) => next.progress[i] >= objective.target)) {
+                return [move.word];
+            }
+            if (depth + 1 >= maxMoves || result.deadBoard) continue;
+
+            // Different words can leave the same board behind
+            const nextState = capture();
+            const key = JSON.stringify([nextState, next.progress]);
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            const words = search(nextState, next.progress, next.score, depth + 1);
+            if (words) return [move.word, ...words];
+        }
+
+        return null;
+    };
+
+    const words = search(capture(), level.objectives.map(() => 0), 0, 0);
+    return { words, boards, gaveUp: !words && boards >= maxBoards };
+}
+
+async function main() {
+    const { levels, errors } = await LevelLoader.loadFiles('', readJson);
+    if (errors.length > 0) {
+        console.error('Fix the level errors first (npm run validate-levels)');
+        process.exit(1);
+    }
+
+    const puzzles = levels.filter(level => level.mode === 'puzzle');
+    let problems = 0;
+
+    // Keep the engine's logging out of the report
+    const log = console.log;
+    console.log = () => {};
+
+    puzzles.forEach(level => {
+        const pack = LanguagePacks.packs[level.language];
+        if (!fs.existsSync(path.join(rootDir, pack.dictionary))) {
+            log(`Skipped ${level.file}: the ${pack.name} dictionary (${pack.dictionary}) is missing`);
+            return;
+        }
+
+        const { words, boards, gaveUp } = solve(level);
+        if (words) {
+            log(`${level.file}: solved in ${words.length} word${words.length === 1 ? '' : 's'}: ${words.join(', ')} (${boards} boards searched)`);
+        } else if (gaveUp) {
+            problems++;
+            log(`${level.file}: no solution found in the first ${boards} boards (try a higher maxBoards)`);
+        } else {
+            problems++;
+            log(`${level.file}: can't be finished (searched all ${boards} boards)`);
+        }
+    });
+
+    if (problems > 0) {
+        console.error(`${problems} puzzle(s) could not be solved`);
+        process.exit(1);
+    }
+    log(`All ${puzzles.length} puzzles can be finished`);
+}
+
+main();
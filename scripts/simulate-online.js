@@ -0,0 +1,162 @@
+/**
+ * Headless online match
+ * Starts the room server on a free port and connects bots to it through the
+ * game's own OnlineClient: one creates a room, the others join it by its code,
+ * and they race to play words until the clock runs out. Halfway through, one
+ * bot's connection is cut to check that it rejoins its seat. Prints each
+ * word as the server plays it and the final scores, and exits with an error
+ * if the match doesn't run its course.
+ *
+ * Usage: node scripts/simulate-online.js [players] [seconds]
+ */
+const http = require('http');
+const WebSocket = require('ws');
+const { loadGameScripts, getGameGlobal } = require('./load-game-scripts');
+const OnlineServer = require('../server/online-server');
+
+loadGameScripts();
+loadGameScripts(['js/online-protocol.js', 'js/online-client.js']);
+const GameEngine = getGameGlobal('GameEngine');
+const OnlineProtocol = getGameGlobal('OnlineProtocol');
+const OnlineClient = getGameGlobal('OnlineClient');
+
+const playerCount = Math.min(Math.max(parseInt(process.argv[2], 10) || 3, OnlineProtocol.MIN_PLAYERS), OnlineProtocol.MAX_PLAYERS);
+const seconds = parseInt(process.argv[3], 10) || 10;
+
+// Keep the engine's and server's logging out of the report
+const log = console.log;
+console.log = () => {};
+
+// Bots think for a moment before each word, so they sometimes lose a race for the board
+const THINK_TIME = [150, 600];
+
+/**
+ * Connect a bot and have it play whenever the board changes
+ * @param {string} name - Bot's name
+ * @param {string} url - Room server URL
+ * @param {Object} validator - The server's validator, used to find words
+ * @param {Object} report - Counts shared by every bot
+ * @returns {OnlineClient} The bot's connection
+ */
+function createBot(name, url, validator, report) {
+    const client = new OnlineClient({ url, WebSocket });
+    const engine = new GameEngine({ size: OnlineProtocol.GRID_SIZE, validator, shuffles: null });
+    let thinking = null;
+
+    // Trace one of the best words on the latest board
+    const play = () => {
+        clearTimeout(thinking);
+        if (!client.game) return;
+
+        engine.restore(client.game.board);
+        const words = engine.findWords().slice(0, 5);
+        if (words.length === 0) return;
+
+        const choice = words[Math.floor(Math.random() * words.length)];
+        const delay = THINK_TIME[0] + Math.random() * (THINK_TIME[1] - THINK_TIME[0]);
+        thinking = setTimeout(() => {
+            client.submitPath(choice.path.map(pos => OnlineProtocol.toIndex(pos.row, pos.col)));
+        }, delay);
+    };
+
+    client.on('started', play);
+    client.on('move', play);
+    client.on('rejected', (word, reason) => {
+        report.rejected++;
+        log(`  ${name}: ${word} rejected (${reason})`);
+        play();
+    });
+    client.on('joined', () => {
+        report.joins[name] = (report.joins[name] || 0) + 1;
+    });
+    client.on('ended', results => {
+        clearTimeout(thinking);
+        report.results.push(results);
+    });
+    client.on('error', message => log(`  ${name}: error: ${message}`));
+    return client;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} check - Returns true when done
+ * @param {number} timeout - Give up after this long (ms)
+ * @returns {Promise<void>} Resolves when the check passes
+ */
+function waitFor(check, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const poll = setInterval(() => {
+            if (check()) {
+                clearInterval(poll);
+                resolve();
+            } else if (Date.now() - started > timeout) {
+                clearInterval(poll);
+                reject(new Error('Timed out waiting for the server'));
+            }
+        }, 20);
+    });
+}
+
+async function main() {
+    const onlineServer = new OnlineServer({ timeLimit: seconds });
+
+    const httpServer = http.createServer();
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    onlineServer.attach(httpServer);
+    const url = `ws://localhost:${httpServer.address().port}${OnlineProtocol.PATH}`;
+
+    const report = { rejected: 0, joins: {}, results: [], moves: 0 };
+    const bots = Array.from({ length: playerCount }, (_, i) => createBot(`Bot ${i + 1}`, url, onlineServer.getValidator(), report));
+
+    bots[0].createRoom('Bot 1');
+    await waitFor(() => bots[0].room);
+    const code = bots[0].room.code;
+    log(`Room ${code} opened`);
+
+    bots.slice(1).forEach((bot, i) => bot.joinRoom(code, `Bot ${i + 2}`));
+    await waitFor(() => bots[0].room.players.length === playerCount);
+    bots[0].on('move', move => {
+        report.moves++;
+        const player = move.players.find(candidate => candidate.id === move.playerId);
+        log(`  ${player.name} played ${move.word} for ${move.score}${move.shuffled ? ' (board shuffled)' : ''}`);
+    });
+
+    bots[0].startMatch();
+    await waitFor(() => bots.every(bot => bot.game));
+    log(`Match started on seed ${bots[0].game.seed} with ${playerCount} players, ${seconds}s on the clock`);
+
+    // Cut the last bot's connection without telling it, as a dropped network would
+    const dropped = bots[playerCount - 1];
+    setTimeout(() => {
+        log(`  Bot ${playerCount} loses its connection`);
+        dropped.socket.terminate();
+    }, seconds * 500);
+
+    await waitFor(() => report.results.length === playerCount, (seconds + 10) * 1000);
+
+    const { players, winner } = report.results[0];
+    log('');
+    players.forEach(player => {
+        log(`${player.name}: ${player.score} (${player.words} words, ${player.cascades} cascades, best ${player.bestWord || 'none'})`);
+    });
+    log(winner === null ? "It's a draw" : `${players[winner].name} wins`);
+    log(`${report.moves} words played, ${report.rejected} rejected`);
+
+    const rejoined = report.joins[`Bot ${playerCount}`] > 1;
+    log(rejoined ? `Bot ${playerCount} rejoined its seat` : `Bot ${playerCount} did not rejoin`);
+
+    bots.forEach(bot => bot.disconnect());
+    onlineServer.close();
+    httpServer.close();
+
+    if (report.moves === 0 || !rejoined) {
+        console.error('The match did not play out as expected');
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,89 @@
+/**
+ * Headless game simulation
+ * Plays games in Node by submitting paths to the engine and prints how often
+ * words are found and how many cascades they trigger. The random player picks
+ * random adjacent paths; the bot plays the best scoring word on the board.
+ *
+ * Usage: node scripts/simulate.js [games] [movesPerGame] [seed] [random|bot]
+ * Runs with the same seed produce the same games.
+ */
+const { loadGameScripts, getGameGlobal, createDictionaryValidator } = require('./load-game-scripts');
+
+loadGameScripts();
+const GameEngine = getGameGlobal('GameEngine');
+const SeededRandom = getGameGlobal('SeededRandom');
+
+const games = parseInt(process.argv[2], 10) || 5;
+const movesPerGame = parseInt(process.argv[3], 10) || 200;
+const seed = process.argv[4] || SeededRandom.generateSeed();
+const player = process.argv[5] === 'bot' ? 'bot' : 'random';
+
+const validator = createDictionaryValidator();
+
+/**
+ * Build a random path of adjacent cells on the board
+ * @param {GameEngine} engine - The engine to pick cells from
+ * @param {number} length - Number of cells in the path
+ * @param {SeededRandom} rng - Random number generator for the player's choices
+ * @returns {Object[]} Cells in path order
+ */
+function randomPath(engine, length, rng) {
+    const board = engine.board;
+    let cell = board.getCell(rng.integer(engine.size), rng.integer(engine.size));
+    const path = [cell];
+
+    while (path.length < length) {
+        const neighbours = GameEngine.DIRECTIONS
+            .map(dir => board.getCell(cell.row + dir.dr, cell.col + dir.dc))
+            .filter(next => next && !path.includes(next));
+        if (neighbours.length === 0) break;
+
+        cell = rng.pick(neighbours);
+        path.push(cell);
+    }
+
+    return path;
+}
+
+/**
+ * Pick the path of the best scoring word on the board
+ * @param {GameEngine} engine - The engine to search
+ * @returns {Object[]|null} Cells in path order, or null if no word is left
+ */
+function bestWordPath(engine) {
+    const best = engine.findWords()[0];
+    if (!best) return null;
+
+    return best.path.map(pos => engine.board.getCell(pos.row, pos.col));
+}
+
+// Keep the engine's logging out of the report
+console.log = () => {};
+
+process.stdout.write(`Seed: ${seed}, player: ${player}\n`);
+
+for (let game = 1; game <= games; game++) {
+    // The engine and the simulated player get their own seeded sequences
+    const engine = new GameEngine({ size: 7, validator, rng: new SeededRandom(`${seed}-${game}`) });
+    const playerRng = new SeededRandom(`${seed}-${game}-player`);
+    engine.reset();
+
+    const stats = { words: 0, score: 0, tilesExploded: 0, cascades: 0 };
+    for (let move = 0; move < movesPerGame; move++) {
+        const path = player === 'bot'
+            ? bestWordPath(engine)
+            : randomPath(engine, 3 + playerRng.integer(3), playerRng);
+        if (!path) break;
+
+        const result = engine.submitWord(path);
+        if (!result.valid) continue;
+
+        stats.words++;
+        stats.score += result.score;
+        stats.tilesExploded += result.tilesExploded;
+        stats.cascades += result.cascadeCount;
+    }
+
+    process.stdout.write(`Game ${game}: ${stats.words} words, score ${stats.score}, ` +
+        `${stats.tilesExploded} tiles exploded, ${stats.cascades} cascades\n`);
+}
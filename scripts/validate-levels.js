@@ -0,0 +1,58 @@
+/**
+ * Check the level files in levels/
+ * Runs the same schema checks the game runs when it loads levels, and also
+ * flags level files that index.json doesn't list. Exits with an error if any
+ * level has a problem, so a broken level fails the build.
+ *
+ * Usage: node scripts/validate-levels.js
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadGameScripts, getGameGlobal } = require('./load-game-scripts');
+
+loadGameScripts(['js/letter-data.js', 'js/language-packs.js', 'js/level-loader.js']);
+const LevelLoader = getGameGlobal('LevelLoader');
+
+const levelsDir = path.join(__dirname, '..', 'levels');
+
+/**
+ * Read and parse a level file, with the same messages the browser loader gives
+ * @param {string} file - Path of the file inside levels/
+ * @returns {Promise<Object>} Parsed contents
+ */
+async function readJson(file) {
+    let text;
+    try {
+        text = fs.readFileSync(path.join(levelsDir, file), 'utf8');
+    } catch (error) {
+        throw new Error(`could not be loaded (${error.code})`);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`is not valid JSON (${error.message})`);
+    }
+}
+
+async function main() {
+    const { levels, errors } = await LevelLoader.loadFiles('', readJson);
+
+    // Files that were added to levels/ but never listed are easy to miss
+    const listed = new Set(levels.map(level => level.file));
+    const index = JSON.parse(fs.readFileSync(path.join(levelsDir, LevelLoader.INDEX_FILE), 'utf8'));
+    (Array.isArray(index.levels) ? index.levels : []).forEach(file => listed.add(file));
+    fs.readdirSync(levelsDir)
+        .filter(file => file.endsWith('.json') && file !== LevelLoader.INDEX_FILE && !listed.has(file))
+        .forEach(file => console.warn(`Warning: ${file} is not listed in ${LevelLoader.INDEX_FILE}`));
+
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`Error: ${error}`));
+        console.error(`${errors.length} problem(s) found in levels/`);
+        process.exit(1);
+    }
+
+    console.log(`All ${levels.length} levels are valid`);
+}
+
+main();
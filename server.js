@@ -1,6 +1,7 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const OnlineServer = require('./server/online-server');
 
 const port = 3001; // Changed from 3000 to 3001
 const baseDir = __dirname;
@@ -19,6 +20,7 @@ const mimeTypes = {
     '.mp3': 'audio/mpeg',
     '.mp4': 'video/mp4',
     '.txt': 'text/plain',
+    '.bin': 'application/octet-stream',
     '.ttf': 'font/ttf',
     '.otf': 'font/otf',
     '.woff': 'font/woff',
@@ -32,6 +34,13 @@ const server = http.createServer((request, response) => {
     // Normalize URL to prevent directory traversal
     let filePath = path.normalize(path.join(baseDir, request.url));
     
+    // Only files inside the game directory are served
+    if (filePath !== baseDir && !filePath.startsWith(baseDir + path.sep)) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+    
     // Default to index.html for root path
     if (request.url === '/') {
         filePath = path.join(baseDir, 'index.html');
@@ -57,13 +66,18 @@ const server = http.createServer((request, response) => {
             }
         } else {
             // Successful response
-            response.writeHead(200, { 'Content-Type': contentType });
+            // Content-Length lets the dictionary worker report download progress
+            response.writeHead(200, { 'Content-Type': contentType, 'Content-Length': content.length });
             response.end(content, 'utf-8');
         }
     });
 });
 
+// Online matches are played over a WebSocket on the same port
+const onlineServer = new OnlineServer();
+
 server.listen(port, () => {
     console.log(`Server running at http://localhost:${port}/`);
     console.log(`Serving files from ${baseDir}`);
+    onlineServer.attach(server);
 });
@@ -0,0 +1,381 @@
+/**
+ * One online room: its players, and the board they share once the match starts
+ * The room is the referee. Players send it the paths they trace, and it plays
+ * each word on its own engine in the order they arrive, so two players racing
+ * for the same letters can't both have them. Everyone is sent the board and
+ * scores after every word.
+ */
+const crypto = require('crypto');
+const { loadGameScripts, getGameGlobal } = require('../scripts/load-game-scripts');
+
+loadGameScripts();
+loadGameScripts(['js/online-protocol.js']);
+const GameEngine = getGameGlobal('GameEngine');
+const SeededRandom = getGameGlobal('SeededRandom');
+const OnlineProtocol = getGameGlobal('OnlineProtocol');
+
+class OnlineRoom {
+    /**
+     * Open a room
+     * @param {string} code - Room code players join with
+     * @param {Object} options - Room options
+     * @param {Object} options.validator - Word validator for the server's language
+     * @param {number} options.minWordLength - Shortest word allowed
+     * @param {number} options.timeLimit - Length of a match in seconds
+     */
+    constructor(code, options) {
+        this.code = code;
+        this.validator = options.validator;
+        this.minWordLength = options.minWordLength;
+        this.timeLimit = options.timeLimit;
+
+        // Seats in joining order; the first seat still taken is the host's
+        this.players = [];
+        this.nextPlayerId = 1;
+
+        // 'lobby' until the host starts a match, 'playing' until the clock runs out
+        this.state = 'lobby';
+        this.seed = null;
+        this.engine = null;
+
+        // Counts the boards of this match, so words traced on an older board can be turned away
+        this.version = 0;
+        this.endsAt = 0;
+        this.endTimer = null;
+    }
+
+    /**
+     * Give a new player a seat
+     * @param {string} name - Player's name
+     * @param {Object} socket - The player's WebSocket
+     * @returns {Object} The player
+     * @throws {Error} If the room is full or its match has started
+     */
+    addPlayer(name, socket) {
+        if (this.state !== 'lobby') {
+            throw new Error(`Room ${this.code} is already playing`);
+        }
+        if (this.players.length >= OnlineProtocol.MAX_PLAYERS) {
+            throw new Error(`Room ${this.code} is full`);
+        }
+
+        const player = {
+            id: this.nextPlayerId++,
+            name: String(name || '').trim().slice(0, OnlineProtocol.MAX_NAME_LENGTH) || `Player ${this.players.length + 1}`,
+            token: OnlineRoom.createToken(),
+            socket,
+            connected: true,
+            ...OnlineRoom.createScore()
+        };
+        this.players.push(player);
+        this.send(player, { type: 'joined', code: this.code, playerId: player.id, token: player.token });
+        this.broadcastRoom();
+        return player;
+    }
+
+    /**
+     * Seat a player again on a new connection
+     * @param {string} token - Token the player was given on joining
+     * @param {Object} socket - The new WebSocket
+     * @returns {Object} The player
+     * @throws {Error} If the token doesn't belong to a seat in this room
+     */
+    rejoin(token, socket) {
+        const player = this.players.find(candidate => candidate.token === token && !candidate.left);
+        if (!player) {
+            throw new Error(`Your seat in room ${this.code} has gone`);
+        }
+
+        // A second tab taking the seat over leaves the first one without it
+        if (player.socket && player.socket !== socket) {
+            player.socket.close();
+        }
+        player.socket = socket;
+        player.connected = true;
+
+        this.send(player, { type: 'joined', code: this.code, playerId: player.id, token: player.token });
+        this.broadcastRoom();
+        if (this.state === 'playing') {
+            this.send(player, { type: 'started', game: this.getGame() });
+        }
+        return player;
+    }
+
+    /**
+     * Keep a player's seat after their connection drops, so they can rejoin
+     * @param {Object} player - The player
+     */
+    disconnect(player) {
+        player.socket = null;
+        player.connected = false;
+        this.broadcastRoom();
+    }
+
+    /**
+     * Give up a player's seat
+     * In the lobby the seat is freed; during a match the player's score stays
+     * on the board until the match ends.
+     * @param {Object} player - The player
+     */
+    removePlayer(player) {
+        if (this.state === 'lobby') {
+            this.players = this.players.filter(candidate => candidate !== player);
+        } else {
+            player.left = true;
+        }
+        player.socket = null;
+        player.connected = false;
+        this.broadcastRoom();
+    }
+
+    /**
+     * Get the host, who starts the matches
+     * @returns {Object|undefined} The first player who hasn't left
+     */
+    getHost() {
+        return this.players.find(player => !player.left);
+    }
+
+    /**
+     * Start a match on a freshly dealt board
+     * @param {Object} player - Player asking to start
+     * @throws {Error} If the player isn't the host, a match is running or too few players are here
+     */
+    start(player) {
+        if (player !== this.getHost()) {
+            throw new Error('Only the host can start the match');
+        }
+        if (this.state !== 'lobby') {
+            throw new Error('The match has already started');
+        }
+        const connected = this.players.filter(candidate => candidate.connected);
+        if (connected.length < OnlineProtocol.MIN_PLAYERS) {
+            throw new Error(`At least ${OnlineProtocol.MIN_PLAYERS} players are needed to start`);
+        }
+
+        // Seats nobody came back to are given up
+        this.players = connected;
+        this.players.forEach(seated => Object.assign(seated, OnlineRoom.createScore()));
+
+        this.seed = SeededRandom.generateSeed();
+        this.engine = new GameEngine({
+            size: OnlineProtocol.GRID_SIZE,
+            validator: this.validator,
+            minWordLength: this.minWordLength,
+            rng: new SeededRandom(this.seed),
+
+            // The board is shuffled for everyone as soon as it runs out of words
+            shuffles: null
+        });
+        this.engine.reset({ ensureWords: true });
+        this.version = 0;
+        this.state = 'playing';
+
+        this.endsAt = Date.now() + this.timeLimit * 1000;
+        this.endTimer = setTimeout(() => this.finish(), this.timeLimit * 1000);
+
+        console.log(`Room ${this.code}: match started with ${this.players.length} players (seed ${this.seed})`);
+        this.broadcastRoom();
+        this.broadcast({ type: 'started', game: this.getGame() });
+    }
+
+    /**
+     * Play a word traced by a player, if it still fits the board
+     * @param {Object} player - The player
+     * @param {number[]} path - Cell indexes in selection order
+     * @param {number} version - Board the path was traced on
+     */
+    submit(player, path, version) {
+        if (this.state !== 'playing' || player.left) {
+            this.send(player, { type: 'rejected', word: '', reason: 'The match is not running' });
+            return;
+        }
+
+        const size = this.engine.size;
+        const cells = Array.isArray(path)
+            ? path.map(index => Number.isInteger(index) ? this.engine.board.getCell(Math.floor(index / size), index % size) : null)
+            : [];
+        const word = cells.every(cell => cell) ? this.engine.getWord(cells) : '';
+
+        // Another player's word got there first and changed the board
+        if (version !== this.version) {
+            this.send(player, { type: 'rejected', word, reason: 'Too slow: the board changed' });
+            return;
+        }
+        if (cells.length === 0 || !cells.every(cell => cell) || !this.engine.isValidPath(cells)) {
+            this.send(player, { type: 'rejected', word, reason: 'Not a path on the board' });
+            return;
+        }
+
+        // Counted in letters like the local game, so a Qu tile counts as two
+        if (word.length < this.minWordLength) {
+            this.send(player, { type: 'rejected', word, reason: `Too short: at least ${this.minWordLength} letters` });
+            return;
+        }
+
+        const result = this.engine.submitWord(cells);
+        if (!result.valid) {
+            this.send(player, { type: 'rejected', word, reason: 'Not in dictionary!' });
+            return;
+        }
+
+        // Word score plus the chain reaction's bonuses, as in a local game
+        const cascades = result.cascadeCount;
+        const score = result.score + this.engine.calculateCascadeBonuses(cascades).total;
+        player.score += score;
+        player.words++;
+        player.cascades += cascades;
+        if (score > player.bestWordScore) {
+            player.bestWord = result.word;
+            player.bestWordScore = score;
+        }
+
+        const shuffled = result.deadBoard && !!this.engine.shuffle();
+        this.version++;
+
+        this.broadcast({
+            type: 'move',
+            move: {
+                playerId: player.id,
+                word: result.word,
+                score,
+                cascades,
+                shuffled,
+                board: this.getBoard(),
+                version: this.version,
+                players: this.getScores()
+            }
+        });
+    }
+
+    /**
+     * End the match, send the final scores and go back to the lobby for a rematch
+     */
+    finish() {
+        if (this.state !== 'playing') return;
+
+        clearTimeout(this.endTimer);
+        this.endTimer = null;
+        this.state = 'lobby';
+
+        const players = this.getScores();
+        const best = Math.max(...players.map(player => player.score));
+        const leaders = players.filter(player => player.score === best);
+        const winner = leaders.length === 1 ? players.indexOf(leaders[0]) : null;
+
+        console.log(`Room ${this.code}: match over, ${winner === null ? 'a draw' : `${players[winner].name} wins`}`);
+        this.broadcast({ type: 'ended', players, winner });
+
+        // Players who left or lost their connection during the match give up their seats now
+        this.players = this.players.filter(player => !player.left && player.connected);
+        this.broadcastRoom();
+    }
+
+    /**
+     * Stop the room's clock, for a room being closed
+     */
+    close() {
+        clearTimeout(this.endTimer);
+        this.endTimer = null;
+    }
+
+    /**
+     * Get the match as it stands, for a player starting or rejoining it
+     * @returns {Object} {seed, board, version, timeLeft, players}
+     */
+    getGame() {
+        return {
+            seed: this.seed,
+            board: this.getBoard(),
+            version: this.version,
+            timeLeft: Math.max(0, this.endsAt - Date.now()),
+            players: this.getScores()
+        };
+    }
+
+    /**
+     * Get the board as the players see it
+     * The letter bag stays on the server: its tiles are dealt in order, so
+     * sending it would tell everyone which letters drop next.
+     * @returns {Object} {size, cells, shufflesRemaining}, as GameEngine.restore reads it
+     */
+    getBoard() {
+        const { size, cells, shufflesRemaining } = this.engine.serialize();
+        return { size, cells, shufflesRemaining };
+    }
+
+    /**
+     * Get each player's scores, in seat order
+     * @returns {Object[]} {id, name, score, words, cascades, bestWord, bestWordScore}
+     */
+    getScores() {
+        return this.players.map(player => ({
+            id: player.id,
+            name: player.name,
+            score: player.score,
+            words: player.words,
+            cascades: player.cascades,
+            bestWord: player.bestWord,
+            bestWordScore: player.bestWordScore
+        }));
+    }
+
+    /**
+     * Send everyone the room's players and state
+     */
+    broadcastRoom() {
+        const host = this.getHost();
+        this.broadcast({
+            type: 'room',
+            room: {
+                code: this.code,
+                hostId: host ? host.id : null,
+                state: this.state,
+                players: this.players.map(player => ({
+                    id: player.id,
+                    name: player.name,
+                    score: player.score,
+                    connected: player.connected,
+                    left: !!player.left
+                }))
+            }
+        });
+    }
+
+    /**
+     * Send a message to every connected player
+     * @param {Object} message - The message
+     */
+    broadcast(message) {
+        this.players.forEach(player => this.send(player, message));
+    }
+
+    /**
+     * Send a message to one player, if they are connected
+     * @param {Object} player - The player
+     * @param {Object} message - The message
+     */
+    send(player, message) {
+        if (player.socket && player.socket.readyState === player.socket.OPEN) {
+            player.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Create a player's scores for a new match
+     * @returns {Object} {score, words, cascades, bestWord, bestWordScore}
+     */
+    static createScore() {
+        return { score: 0, words: 0, cascades: 0, bestWord: null, bestWordScore: 0 };
+    }
+
+    /**
+     * Create the secret a player rejoins their seat with
+     * @returns {string} Random token
+     */
+    static createToken() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+}
+
+module.exports = OnlineRoom;
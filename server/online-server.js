@@ -0,0 +1,266 @@
+/**
+ * WebSocket endpoint for online matches
+ * Hands out room codes, seats players in their rooms and passes each message
+ * on to the room it is for. A dropped connection keeps its seat for a while,
+ * so the player can rejoin with the token they were given; a room that has
+ * been empty that long is closed.
+ */
+const { WebSocketServer } = require('ws');
+const { loadGameScripts, getGameGlobal, createDictionaryValidator } = require('../scripts/load-game-scripts');
+const OnlineRoom = require('./online-room');
+
+loadGameScripts();
+loadGameScripts(['js/language-packs.js', 'js/online-protocol.js']);
+const LetterData = getGameGlobal('LetterData');
+const LanguagePacks = getGameGlobal('LanguagePacks');
+const OnlineProtocol = getGameGlobal('OnlineProtocol');
+
+class OnlineServer {
+    /**
+     * Get ready for players
+     * @param {Object} options - Server options
+     * @param {number} options.timeLimit - Length of a match in seconds (OnlineProtocol.TIME_LIMIT by default)
+     * @param {number} options.reconnectTime - How long a dropped player's seat is kept, in ms
+     */
+    constructor(options = {}) {
+        this.timeLimit = options.timeLimit || OnlineProtocol.TIME_LIMIT;
+        this.reconnectTime = options.reconnectTime || OnlineServer.RECONNECT_TIME;
+
+        // Every room plays in one language, with the same letters and dictionary as the game
+        this.pack = LanguagePacks.packs[OnlineProtocol.LANGUAGE];
+        LetterData.usePack(this.pack);
+        this.minWordLength = this.pack.minWordLength;
+
+        // Loaded when the first room opens; see getValidator()
+        this.validator = null;
+
+        this.rooms = new Map();
+        this.wss = null;
+
+        // Timers that free a dropped player's seat, or close an empty room, by player
+        this.dropTimers = new Map();
+    }
+
+    /**
+     * Get the dictionary the rooms check words with, loading it the first time
+     * Loading it here rather than up front lets server.js serve the game straight away.
+     * @returns {Object} Validator with size, has, hasPrefix and isValid
+     */
+    getValidator() {
+        if (!this.validator) {
+            this.validator = createDictionaryValidator(this.pack.dictionary, this.pack.binaryDictionary);
+            console.log(`Online dictionary loaded: ${this.validator.size} words`);
+        }
+        return this.validator;
+    }
+
+    /**
+     * Start accepting connections on a running HTTP server
+     * @param {http.Server} httpServer - Server that also serves the game's files
+     * @returns {OnlineServer} This server for chaining
+     */
+    attach(httpServer) {
+        this.wss = new WebSocketServer({ server: httpServer, path: OnlineProtocol.PATH });
+        this.wss.on('connection', socket => this.onConnection(socket));
+        console.log(`Online matches at ws://localhost:${httpServer.address().port}${OnlineProtocol.PATH}`);
+        return this;
+    }
+
+    /**
+     * Close every room and connection
+     */
+    close() {
+        this.rooms.forEach(room => room.close());
+        this.rooms.clear();
+        this.dropTimers.forEach(timer => clearTimeout(timer));
+        this.dropTimers.clear();
+        if (this.wss) {
+            this.wss.clients.forEach(socket => socket.terminate());
+            this.wss.close();
+            this.wss = null;
+        }
+    }
+
+    /**
+     * Listen to a new connection
+     * Until the socket creates, joins or rejoins a room it has no seat.
+     * @param {WebSocket} socket - The connection
+     */
+    onConnection(socket) {
+        const seat = { room: null, player: null };
+
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                this.sendError(socket, 'Messages must be JSON');
+                return;
+            }
+
+            try {
+                this.handleMessage(socket, seat, message || {});
+            } catch (error) {
+                this.sendError(socket, error.message, message && message.type);
+            }
+        });
+
+        socket.on('close', () => {
+            if (seat.player && seat.player.socket === socket) {
+                seat.room.disconnect(seat.player);
+                this.scheduleDrop(seat.room, seat.player);
+            }
+        });
+    }
+
+    /**
+     * Carry out a client's message
+     * @param {WebSocket} socket - The connection it came on
+     * @param {Object} seat - {room, player} the connection sits in, updated on joining
+     * @param {Object} message - The message; see OnlineProtocol
+     * @throws {Error} If the message can't be carried out
+     */
+    handleMessage(socket, seat, message) {
+        if (['create', 'join', 'rejoin'].includes(message.type)) {
+            const room = message.type === 'create' ? this.createRoom() : this.findRoom(message.code);
+
+            // The new seat is taken before the old one is given up, so a join that fails leaves the player seated
+            const player = message.type === 'rejoin' ? room.rejoin(message.token, socket) : room.addPlayer(message.name, socket);
+            if (seat.player && seat.player !== player) {
+                this.leave(seat);
+            }
+            seat.player = player;
+            seat.room = room;
+            this.cancelDrop(player);
+            return;
+        }
+
+        if (!seat.player) {
+            throw new Error('Create or join a room first');
+        }
+
+        switch (message.type) {
+            case 'start':
+                seat.room.start(seat.player);
+                break;
+            case 'submit':
+                seat.room.submit(seat.player, message.path, message.version);
+                break;
+            case 'leave':
+                this.leave(seat);
+                break;
+            default:
+                throw new Error(`Unknown message type "${message.type}"`);
+        }
+    }
+
+    /**
+     * Give up a connection's seat
+     * @param {Object} seat - {room, player}, emptied
+     */
+    leave(seat) {
+        this.cancelDrop(seat.player);
+        seat.room.removePlayer(seat.player);
+        this.closeIfEmpty(seat.room);
+        seat.room = null;
+        seat.player = null;
+    }
+
+    /**
+     * Free a dropped player's seat if they don't come back in time
+     * @param {OnlineRoom} room - The player's room
+     * @param {Object} player - The player
+     */
+    scheduleDrop(room, player) {
+        this.cancelDrop(player);
+        this.dropTimers.set(player, setTimeout(() => {
+            this.dropTimers.delete(player);
+            if (player.connected) return;
+
+            // During a match the seat stays until the end; a player who never came back just stops scoring
+            if (room.state === 'lobby') {
+                room.removePlayer(player);
+            }
+            this.closeIfEmpty(room);
+        }, this.reconnectTime));
+    }
+
+    /**
+     * Stop the timer that would free a player's seat
+     * @param {Object} player - The player
+     */
+    cancelDrop(player) {
+        if (this.dropTimers.has(player)) {
+            clearTimeout(this.dropTimers.get(player));
+            this.dropTimers.delete(player);
+        }
+    }
+
+    /**
+     * Close a room nobody is connected to or coming back to
+     * @param {OnlineRoom} room - The room
+     */
+    closeIfEmpty(room) {
+        if (this.rooms.get(room.code) !== room) return;
+        if (room.players.some(player => player.connected || this.dropTimers.has(player))) return;
+
+        room.close();
+        room.players.forEach(player => this.cancelDrop(player));
+        this.rooms.delete(room.code);
+        console.log(`Room ${room.code} closed`);
+    }
+
+    /**
+     * Open a room with a code no other room is using
+     * @returns {OnlineRoom} The room
+     */
+    createRoom() {
+        let code;
+        do {
+            code = Array.from({ length: OnlineProtocol.ROOM_CODE_LENGTH }, () =>
+                OnlineProtocol.ROOM_CODE_LETTERS[Math.floor(Math.random() * OnlineProtocol.ROOM_CODE_LETTERS.length)]
+            ).join('');
+        } while (this.rooms.has(code));
+
+        const room = new OnlineRoom(code, {
+            validator: this.getValidator(),
+            minWordLength: this.minWordLength,
+            timeLimit: this.timeLimit
+        });
+        this.rooms.set(code, room);
+        console.log(`Room ${code} opened`);
+        return room;
+    }
+
+    /**
+     * Find a room by the code a player typed
+     * @param {string} code - Room code
+     * @returns {OnlineRoom} The room
+     * @throws {Error} If there is no such room
+     */
+    findRoom(code) {
+        const normalized = OnlineProtocol.normalizeRoomCode(code);
+        const room = this.rooms.get(normalized);
+        if (!room) {
+            throw new Error(`There is no room ${normalized || 'without a code'}`);
+        }
+        return room;
+    }
+
+    /**
+     * Tell a client why its request failed
+     * @param {WebSocket} socket - The connection
+     * @param {string} message - What went wrong
+     * @param {string} request - Type of the message that failed, if it could be read
+     */
+    sendError(socket, message, request = null) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify({ type: 'error', message, request }));
+        }
+    }
+}
+
+// How long a dropped connection keeps its seat (ms)
+OnlineServer.RECONNECT_TIME = 60000;
+
+module.exports = OnlineServer;
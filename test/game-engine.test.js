@@ -0,0 +1,171 @@
+/**
+ * Game engine tests
+ * Runs the headless rules on small hand-made boards with a few words, the
+ * same way Node tools use them.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameScripts, getGameGlobal } = require('../scripts/load-game-scripts');
+
+loadGameScripts();
+const GameEngine = getGameGlobal('GameEngine');
+const SeededRandom = getGameGlobal('SeededRandom');
+const Dawg = getGameGlobal('Dawg');
+
+// Keep the engine's logging out of the test report
+console.log = () => {};
+
+const WORDS = ['CAT', 'ACT', 'TACT', 'CATTLE'];
+
+/**
+ * Create a validator over a few words
+ * @returns {Object} Validator with size, has, hasPrefix and isValid
+ */
+function createValidator() {
+    const dawg = Dawg.build(WORDS);
+    return {
+        size: dawg.size,
+        has: word => dawg.has(word),
+        hasPrefix: prefix => dawg.hasPrefix(prefix),
+        isValid: word => word.length >= 3 && dawg.has(word.toUpperCase())
+    };
+}
+
+/**
+ * Create an engine dealt with a layout
+ * New letters after the layout are all Z, and spores never burst, so a word
+ * explodes its own tiles and nothing else.
+ * @param {string[]} rows - One string of letters per row
+ * @param {Object} options - More engine options
+ * @returns {GameEngine} The engine
+ */
+function createEngine(rows, options = {}) {
+    const letters = [...rows.join('')];
+    const engine = new GameEngine({
+        size: rows.length,
+        validator: createValidator(),
+        letterGenerator: () => letters.shift() || 'Z',
+        parameters: { sporeThreshold: 100 },
+        ...options
+    });
+    engine.reset();
+    return engine;
+}
+
+/**
+ * Get the cells along a path
+ * @param {GameEngine} engine - The engine
+ * @param {number[][]} path - [row, col] pairs
+ * @returns {Object[]} The cells
+ */
+function cellsAt(engine, path) {
+    return path.map(([row, col]) => engine.board.getCell(row, col));
+}
+
+test('the same seed deals the same board', () => {
+    const deal = seed => {
+        const engine = new GameEngine({ size: 6, rng: new SeededRandom(seed) });
+        engine.reset();
+        return engine.board.getLetters();
+    };
+
+    assert.deepEqual(deal('abc123'), deal('abc123'));
+    assert.notDeepEqual(deal('abc123'), deal('xyz789'));
+});
+
+test('a word scores its letters, explodes its tiles and refills the board', () => {
+    const engine = createEngine(['CATZ', 'ZZZZ', 'ZZZZ', 'ZZZZ']);
+    const events = [];
+    engine.on('wordAccepted', (word, score) => events.push(['wordAccepted', word, score]));
+    engine.on('tileExploded', cell => events.push(['tileExploded', cell.letter]));
+
+    const result = engine.submitWord(cellsAt(engine, [[0, 0], [0, 1], [0, 2]]));
+
+    assert.equal(result.valid, true);
+    assert.equal(result.word, 'CAT');
+    assert.equal(result.score, 5);
+    assert.equal(result.tilesExploded, 3);
+    assert.equal(result.cascadeCount, 0);
+    assert.deepEqual(events, [
+        ['wordAccepted', 'CAT', 5],
+        ['tileExploded', 'C'],
+        ['tileExploded', 'A'],
+        ['tileExploded', 'T']
+    ]);
+
+    // New letters fill the gaps
+    engine.board.cells.forEach(row => row.forEach(cell => assert.ok(cell && cell.letter)));
+});
+
+test('words missing from the dictionary and broken paths are turned down', () => {
+    const engine = createEngine(['CATZ', 'ZZZZ', 'ZZZZ', 'ZZZZ']);
+    const before = engine.board.getLetters();
+    const invalid = [];
+    engine.on('invalidWord', word => invalid.push(word));
+
+    assert.equal(engine.submitWord(cellsAt(engine, [[0, 0], [0, 1], [1, 1]])).valid, false);
+
+    // C and T are not next to each other, and no cell can be used twice
+    assert.equal(engine.isValidPath(cellsAt(engine, [[0, 0], [0, 2], [0, 1]])), false);
+    assert.equal(engine.isValidPath(cellsAt(engine, [[0, 0], [0, 1], [0, 0]])), false);
+    assert.equal(engine.submitWord(cellsAt(engine, [[0, 2], [0, 0], [0, 1]])).valid, false);
+
+    assert.deepEqual(invalid, ['CAZ', 'TCA']);
+    assert.deepEqual(engine.board.getLetters(), before);
+});
+
+test('long words earn the word length bonus', () => {
+    const engine = createEngine(['CATZ', 'ZZZZ', 'ZZZZ', 'ZZZZ']);
+    const letters = word => [...word].map(letter => ({ letter }));
+
+    assert.equal(engine.calculateWordScore(letters('CAT')), 5);
+
+    // 8 points, times the default factor of 1.5
+    assert.equal(engine.calculateWordScore(letters('CATTLE')), 12);
+});
+
+test('spores that reach the threshold set off a chain reaction', () => {
+    const engine = createEngine(['CATZ', 'ZZZZ', 'ZZZZ', 'ZZZZ'], { parameters: { sporeThreshold: 2 } });
+    engine.board.forEachCell(cell => {
+        cell.sporeCount = 1;
+    });
+
+    const result = engine.submitWord(cellsAt(engine, [[0, 0], [0, 1], [0, 2]]));
+
+    assert.equal(result.valid, true);
+    assert.ok(result.cascadeCount > 0);
+    assert.ok(result.tilesExploded > 3);
+});
+
+test('a board without words is dead until the shuffles run out', () => {
+    const engine = createEngine(['ZZZZ', 'ZZZZ', 'ZZZZ', 'ZZZZ'], { shuffles: 1 });
+
+    assert.equal(engine.isDeadBoard(), true);
+    assert.ok(Array.isArray(engine.shuffle()));
+    assert.equal(engine.shufflesRemaining, 0);
+    assert.equal(engine.shuffle(), null);
+
+    assert.equal(createEngine(['CATZ', 'ZZZZ', 'ZZZZ', 'ZZZZ']).isDeadBoard(), false);
+});
+
+test('chain reactions earn cascade, overload and max cascade bonuses', () => {
+    const engine = createEngine(['CATZ', 'ZZZZ', 'ZZZZ', 'ZZZZ']);
+
+    assert.deepEqual(engine.calculateCascadeBonuses(0), { cascade: 0, overload: 0, maxCascade: 0, total: 0 });
+    assert.deepEqual(engine.calculateCascadeBonuses(2), { cascade: 30, overload: 0, maxCascade: 0, total: 30 });
+    assert.deepEqual(engine.calculateCascadeBonuses(3), { cascade: 45, overload: 50, maxCascade: 0, total: 95 });
+    assert.deepEqual(engine.calculateCascadeBonuses(8), { cascade: 120, overload: 50, maxCascade: 100, total: 270 });
+});
+
+test('a serialized board restores exactly', () => {
+    const engine = new GameEngine({ size: 5, rng: new SeededRandom('save') });
+    engine.reset();
+    engine.board.getCell(2, 2).sporeCount = 1;
+    const saved = engine.serialize();
+
+    const copy = new GameEngine({ size: 5 });
+    copy.restore(saved);
+    assert.deepEqual(copy.serialize(), saved);
+
+    assert.throws(() => new GameEngine({ size: 6 }).restore(saved), /does not fit a 6x6 grid/);
+});
@@ -0,0 +1,252 @@
+/**
+ * Online room tests
+ * Plays rooms on fake sockets with a small word list, so the referee's
+ * decisions can be checked without a network or the full dictionary.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameScripts, getGameGlobal } = require('../scripts/load-game-scripts');
+const OnlineRoom = require('../server/online-room');
+const OnlineServer = require('../server/online-server');
+
+loadGameScripts();
+const Dawg = getGameGlobal('Dawg');
+
+// Keep the engine's and room's logging out of the test report
+console.log = () => {};
+
+const WORDS = ['CAT', 'ACT', 'TACT', 'SCAT'];
+
+// Starting board: CAT along the top row, letters no word uses everywhere else
+const BOARD = [
+    'CATZZZZZ',
+    'ZZZZZZZZ',
+    'ZZZZZZZZ',
+    'ZZZZZZZZ',
+    'ZZZZZZZZ',
+    'ZZZZZZZZ',
+    'ZZZZZZZZ',
+    'ZZZZZZZZ'
+];
+
+/**
+ * Create a validator over a few words, shaped like the server's
+ * @returns {Object} Validator with size, has, hasPrefix and isValid
+ */
+function createValidator() {
+    const dawg = Dawg.build(WORDS);
+    return {
+        size: dawg.size,
+        has: word => dawg.has(word),
+        hasPrefix: prefix => dawg.hasPrefix(prefix),
+        isValid: word => word.length >= 3 && dawg.has(word.toUpperCase())
+    };
+}
+
+/**
+ * Create a socket that keeps what it is sent
+ * @returns {Object} Fake WebSocket
+ */
+function createSocket() {
+    return {
+        OPEN: 1,
+        readyState: 1,
+        sent: [],
+        send(data) {
+            this.sent.push(JSON.parse(data));
+        },
+        close() {
+            this.readyState = 3;
+        }
+    };
+}
+
+/**
+ * Get the last message of a type a socket was sent
+ * @param {Object} socket - Fake socket
+ * @param {string} type - Message type
+ * @returns {Object|undefined} The message
+ */
+function lastMessage(socket, type) {
+    return socket.sent.filter(message => message.type === type).pop();
+}
+
+/**
+ * Open a room with two players and start its match on BOARD
+ * Spores never set off cascades, so a word scores its letters alone.
+ * @param {TestContext} t - The test, which closes the room when it ends
+ * @returns {Object} {room, host, guest, hostSocket, guestSocket}
+ */
+function startMatch(t) {
+    const room = new OnlineRoom('ABCD', { validator: createValidator(), minWordLength: 3, timeLimit: 60 });
+    t.after(() => room.close());
+
+    const hostSocket = createSocket();
+    const guestSocket = createSocket();
+    const host = room.addPlayer('Ana', hostSocket);
+    const guest = room.addPlayer('Bo', guestSocket);
+    room.start(host);
+
+    room.engine.restore({ size: 8, cells: BOARD.map(row => [...row].map(letter => ({ letter, sporeCount: 0 }))), shufflesRemaining: null });
+    room.engine.parameters.sporeThreshold = 100;
+    return { room, host, guest, hostSocket, guestSocket };
+}
+
+test('only the host can start the match', t => {
+    const room = new OnlineRoom('ABCD', { validator: createValidator(), minWordLength: 3, timeLimit: 60 });
+    t.after(() => room.close());
+
+    const host = room.addPlayer('Ana', createSocket());
+    assert.throws(() => room.start(host), /At least 2 players/);
+
+    const guestSocket = createSocket();
+    const guest = room.addPlayer('Bo', guestSocket);
+    assert.throws(() => room.start(guest), /Only the host can start the match/);
+    assert.equal(room.state, 'lobby');
+
+    room.start(host);
+    assert.equal(room.state, 'playing');
+    assert.ok(lastMessage(guestSocket, 'started'));
+});
+
+test('players are sent the board without the letter bag', t => {
+    const { room, guestSocket } = startMatch(t);
+
+    const game = lastMessage(guestSocket, 'started').game;
+    assert.deepEqual(Object.keys(game.board).sort(), ['cells', 'shufflesRemaining', 'size']);
+    assert.equal(room.getGame().board.letterBag, undefined);
+});
+
+test('a word on the current board scores its letters', t => {
+    const { room, host, hostSocket, guestSocket } = startMatch(t);
+
+    room.submit(host, [0, 1, 2], 0);
+
+    const move = lastMessage(guestSocket, 'move').move;
+    assert.equal(move.word, 'CAT');
+    assert.equal(move.score, 5);
+    assert.equal(move.cascades, 0);
+    assert.equal(move.version, 1);
+    assert.equal(move.board.letterBag, undefined);
+    assert.equal(host.score, 5);
+    assert.equal(host.words, 1);
+    assert.equal(lastMessage(hostSocket, 'rejected'), undefined);
+});
+
+test('a word earns the chain reaction bonuses on top of its score', t => {
+    const { room, host, guestSocket } = startMatch(t);
+
+    // Spores ready to burst around the word set off a chain
+    room.engine.parameters.sporeThreshold = 2;
+    room.engine.board.cells.forEach(row => row.forEach(cell => {
+        cell.sporeCount = 1;
+    }));
+
+    room.submit(host, [0, 1, 2], 0);
+
+    const move = lastMessage(guestSocket, 'move').move;
+    assert.ok(move.cascades > 0);
+    assert.equal(move.score, 5 + room.engine.calculateCascadeBonuses(move.cascades).total);
+    assert.equal(host.score, move.score);
+    assert.equal(host.cascades, move.cascades);
+});
+
+test('a word traced on an older board is too slow', t => {
+    const { room, host, guest, guestSocket } = startMatch(t);
+
+    room.submit(host, [0, 1, 2], 0);
+    room.submit(guest, [2, 1, 0], 0);
+
+    assert.equal(lastMessage(guestSocket, 'rejected').reason, 'Too slow: the board changed');
+    assert.equal(guest.score, 0);
+    assert.equal(room.version, 1);
+});
+
+test('a path that is not on the board is turned down', t => {
+    const { room, host, hostSocket } = startMatch(t);
+
+    // C and T are not next to each other
+    room.submit(host, [0, 2, 1], 0);
+    assert.equal(lastMessage(hostSocket, 'rejected').reason, 'Not a path on the board');
+
+    room.submit(host, [0, 1, 99], 0);
+    assert.equal(lastMessage(hostSocket, 'rejected').reason, 'Not a path on the board');
+
+    room.submit(host, 'CAT', 0);
+    assert.equal(lastMessage(hostSocket, 'rejected').reason, 'Not a path on the board');
+    assert.equal(room.version, 0);
+});
+
+test('a word shorter than the minimum is turned down as too short', t => {
+    const { room, host, hostSocket } = startMatch(t);
+
+    room.submit(host, [0, 1], 0);
+
+    const rejected = lastMessage(hostSocket, 'rejected');
+    assert.equal(rejected.word, 'CA');
+    assert.equal(rejected.reason, 'Too short: at least 3 letters');
+    assert.equal(room.version, 0);
+});
+
+test('a word missing from the dictionary is turned down', t => {
+    const { room, host, hostSocket } = startMatch(t);
+
+    room.submit(host, [0, 1, 9], 0);
+
+    const rejected = lastMessage(hostSocket, 'rejected');
+    assert.equal(rejected.word, 'CAZ');
+    assert.equal(rejected.reason, 'Not in dictionary!');
+    assert.equal(host.score, 0);
+    assert.equal(room.version, 0);
+});
+
+test('a dropped player rejoins their seat with their token', t => {
+    const { room, guest, hostSocket } = startMatch(t);
+
+    room.disconnect(guest);
+    assert.equal(guest.connected, false);
+    assert.equal(lastMessage(hostSocket, 'room').room.players[1].connected, false);
+
+    assert.throws(() => room.rejoin('not-the-token', createSocket()), /Your seat in room ABCD has gone/);
+
+    const socket = createSocket();
+    assert.equal(room.rejoin(guest.token, socket), guest);
+    assert.equal(guest.connected, true);
+    assert.equal(lastMessage(socket, 'joined').playerId, guest.id);
+    assert.equal(lastMessage(socket, 'started').game.version, room.version);
+});
+
+test('a join that fails keeps the player in their seat', t => {
+    const server = new OnlineServer({ timeLimit: 60 });
+    t.after(() => server.close());
+
+    const join = (socket, seat, message) => {
+        try {
+            server.handleMessage(socket, seat, message);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    };
+
+    const ana = { socket: createSocket(), seat: { room: null, player: null } };
+    const bo = { socket: createSocket(), seat: { room: null, player: null } };
+    join(ana.socket, ana.seat, { type: 'create', name: 'Ana' });
+    join(bo.socket, bo.seat, { type: 'join', code: ana.seat.room.code, name: 'Bo' });
+    join(ana.socket, ana.seat, { type: 'start' });
+
+    // A player in the lobby of another room can't join a match in progress
+    const cy = { socket: createSocket(), seat: { room: null, player: null } };
+    join(cy.socket, cy.seat, { type: 'create', name: 'Cy' });
+    const lobby = cy.seat.room;
+    assert.match(join(cy.socket, cy.seat, { type: 'join', code: ana.seat.room.code, name: 'Cy' }), /already playing/);
+    assert.equal(cy.seat.room, lobby);
+    assert.deepEqual(lobby.players.map(player => player.name), ['Cy']);
+    assert.ok(server.rooms.has(lobby.code));
+
+    // Nor can a player in that match join their own room again
+    const match = bo.seat.room;
+    assert.match(join(bo.socket, bo.seat, { type: 'join', code: match.code, name: 'Bo' }), /already playing/);
+    assert.equal(bo.seat.player.left, undefined);
+    assert.equal(match.players.length, 2);
+});